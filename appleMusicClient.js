@@ -2,7 +2,8 @@
  * Apple Music API Client
  * 
  * Handles all Apple Music API interactions including developer token generation,
- * playlist fetching, and track metadata retrieval.
+ * playlist fetching, and track metadata retrieval. Catalog playlists (pl.xxx)
+ * and the user's library playlists (p.xxx) are told apart by ID prefix.
  * 
  * Dependencies: jsonwebtoken, node-fetch, config.js, endpoints.js, utils/logger.js
  * API Docs: https://developer.apple.com/documentation/applemusicapi/
@@ -18,6 +19,15 @@ const logger = require('./utils/logger');
 let developerToken = null;
 let tokenExpiry = null;
 
+/**
+ * Check whether a playlist ID refers to the user's library rather than the catalog
+ * @param {string} playlistId - Apple Music playlist ID
+ * @returns {boolean} - True for library playlist IDs (p.xxx)
+ */
+function isLibraryPlaylist(playlistId) {
+  return /^p\./.test(playlistId);
+}
+
 /**
  * Generate Apple Music Developer Token
  * @returns {string} - JWT developer token
@@ -161,6 +171,10 @@ async function appleMusicRequest(url, options = {}) {
  * @returns {Promise<Object>} - Playlist metadata
  */
 async function getPlaylist(playlistId) {
+  if (isLibraryPlaylist(playlistId)) {
+    return getLibraryPlaylist(playlistId);
+  }
+
   try {
     // Apple Music Get Playlist: https://developer.apple.com/documentation/applemusicapi/get_a_catalog_playlist
     const url = APPLE_MUSIC.PLAYLIST(config.appleMusic.storefront, playlistId);
@@ -184,6 +198,7 @@ async function getPlaylist(playlistId) {
       trackCount: playlist.attributes.trackCount,
       url: playlist.attributes.url,
       curatorName: playlist.attributes.curatorName,
+      lastModified: playlist.attributes.lastModifiedDate,
     };
   } catch (error) {
     logger.error(`Failed to get Apple Music playlist ${playlistId}: ${error.message}`, error);
@@ -191,32 +206,97 @@ async function getPlaylist(playlistId) {
   }
 }
 
+/**
+ * Get metadata for one of the user's library playlists
+ * @param {string} playlistId - Library playlist ID (p.xxx)
+ * @returns {Promise<Object>} - Playlist metadata
+ */
+async function getLibraryPlaylist(playlistId) {
+  try {
+    // Apple Music Get a Library Playlist: https://developer.apple.com/documentation/applemusicapi/get_a_library_playlist
+    const data = await appleMusicRequest(APPLE_MUSIC.LIBRARY_PLAYLIST(playlistId));
+
+    const playlist = data.data[0];
+    if (!playlist) {
+      throw new Error(`Library playlist ${playlistId} not found`);
+    }
+
+    // Library playlists don't report a track count; the tracks relationship does
+    const tracksPage = await appleMusicRequest(`${APPLE_MUSIC.LIBRARY_PLAYLIST_TRACKS(playlistId)}?limit=1`);
+
+    logger.debug(`Retrieved Apple Music library playlist`, {
+      playlistId,
+      name: playlist.attributes.name,
+      trackCount: tracksPage.meta?.total,
+    });
+
+    return {
+      id: playlist.id,
+      name: playlist.attributes.name,
+      description: playlist.attributes.description?.standard || '',
+      trackCount: tracksPage.meta?.total ?? null,
+      url: APPLE_MUSIC.LIBRARY_PLAYLIST_PAGE(playlist.id),
+      curatorName: null,
+      lastModified: playlist.attributes.lastModifiedDate,
+    };
+  } catch (error) {
+    logger.error(`Failed to get Apple Music library playlist ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
 /**
  * Get all tracks from a playlist with pagination
- * @param {string} playlistId - Apple Music playlist ID
+ * @param {string} playlistId - Apple Music playlist ID (catalog pl.xxx or library p.xxx)
  * @returns {Promise<Array>} - Array of track objects
  */
 async function getPlaylistTracks(playlistId) {
   try {
     const tracks = [];
-    let nextUrl = `${APPLE_MUSIC.PLAYLIST_TRACKS(config.appleMusic.storefront, playlistId)}?limit=100`;
+
+    // Look up the playlist name once rather than once per track
+    let playlistName;
+    try {
+      playlistName = (await getPlaylist(playlistId)).name;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      playlistName = playlistId;
+    }
+    const library = isLibraryPlaylist(playlistId);
+    let nextUrl = library
+      ? `${APPLE_MUSIC.LIBRARY_PLAYLIST_TRACKS(playlistId)}?limit=100&include=catalog`
+      : `${APPLE_MUSIC.PLAYLIST_TRACKS(config.appleMusic.storefront, playlistId)}?limit=100`;
     
     while (nextUrl) {
       // Apple Music Get Playlist Tracks: https://developer.apple.com/documentation/applemusicapi/get_a_catalog_playlist_s_tracks
+      // Library playlists: https://developer.apple.com/documentation/applemusicapi/get_a_library_playlist_s_relationship_directly_by_name
       const data = await appleMusicRequest(nextUrl);
       
       // Process each track
       if (data.data) {
         for (const track of data.data) {
           if (track.type === 'songs') {
-            const trackData = await processTrackData(track, playlistId);
+            const trackData = await processTrackData(track, playlistId, playlistName);
+            tracks.push(trackData);
+          } else if (track.type === 'library-songs') {
+            // Library songs only carry basic tags; the matching catalog song has ISRC, label and
+            // composer. Uploaded songs with no catalog match fall back to their own tags.
+            const catalogSong = track.relationships?.catalog?.data?.[0];
+            const song = catalogSong?.attributes ? catalogSong : track;
+            const trackData = await processTrackData(song, playlistId, playlistName);
             tracks.push(trackData);
           }
         }
       }
       
-      // Check for pagination
-      nextUrl = data.next ? `${APPLE_MUSIC.BASE_URL}${data.next}` : null;
+      // Check for pagination: `next` is a path from the API root, without the include parameter
+      if (data.next) {
+        const next = new URL(data.next, APPLE_MUSIC.BASE_URL);
+        if (library) next.searchParams.set('include', 'catalog');
+        nextUrl = next.toString();
+      } else {
+        nextUrl = null;
+      }
       
       logger.debug(`Processed Apple Music playlist page`, {
         playlistId,
@@ -267,13 +347,97 @@ async function getTrack(trackId) {
   }
 }
 
+/**
+ * Look up a catalog song by ISRC, or by title and artist
+ * @param {Object} query - { isrc, title, artist }
+ * @returns {Promise<Object|null>} - Normalized track data (no playlist fields) or null if not found
+ */
+async function searchTrack(query) {
+  const storefront = config.appleMusic.storefront;
+
+  try {
+    let song;
+    if (query.isrc) {
+      // Apple Music Get Songs by ISRC: https://developer.apple.com/documentation/applemusicapi/get_multiple_catalog_songs_by_isrc
+      const params = new URLSearchParams({ 'filter[isrc]': query.isrc });
+      const data = await appleMusicRequest(`${APPLE_MUSIC.SONGS(storefront)}?${params}`);
+      song = data.data?.[0];
+    } else {
+      const term = [query.title, query.artist].filter(Boolean).join(' ');
+      if (!term) return null;
+
+      // Apple Music Search: https://developer.apple.com/documentation/applemusicapi/search_for_catalog_resources
+      const params = new URLSearchParams({ term, types: 'songs', limit: '1' });
+      const data = await appleMusicRequest(`${APPLE_MUSIC.SEARCH(storefront)}?${params}`);
+      song = data.results?.songs?.data?.[0];
+    }
+    if (!song) return null;
+
+    const trackData = await processTrackData(song, null, 'Search');
+    // Search results belong to no playlist
+    delete trackData.playlist;
+    delete trackData.type;
+    return trackData;
+  } catch (error) {
+    logger.error(`Apple Music search failed: ${error.message}`, { query, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Look up metadata for a pasted Apple Music song or album link
+ * @param {string} url - Apple Music URL
+ * @returns {Promise<Object|null>} - Normalized track data (an album link describes the release,
+ *                                   with its UPC as isrc), or null for other links
+ */
+async function lookupUrl(url) {
+  const songId = extractTrackId(url);
+  if (songId) {
+    const trackData = await processTrackData(await getTrack(songId), null, 'Link');
+    // Links belong to no playlist
+    delete trackData.playlist;
+    delete trackData.type;
+    return trackData;
+  }
+
+  const albumMatch = url.match(/music\.apple\.com\/[^/]+\/album\/(?:[^/]+\/)?(\d+)/);
+  if (!albumMatch) return null;
+
+  try {
+    // Apple Music Get Album: https://developer.apple.com/documentation/applemusicapi/get_a_catalog_album
+    const data = await appleMusicRequest(APPLE_MUSIC.ALBUM(config.appleMusic.storefront, albumMatch[1]));
+    const album = data.data[0];
+    if (!album) {
+      throw new Error(`Album ${albumMatch[1]} not found`);
+    }
+
+    const attrs = album.attributes;
+    return {
+      source: 'Apple Music',
+      title: attrs.name,
+      url: attrs.url || url,
+      artist: attrs.artistName,
+      performedBy: attrs.artistName,
+      album: attrs.name,
+      releaseDate: attrs.releaseDate,
+      label: attrs.recordLabel,
+      isrc: attrs.upc,
+      genre: attrs.genreNames?.join(', '),
+    };
+  } catch (error) {
+    logger.error(`Failed to get Apple Music album ${albumMatch[1]}: ${error.message}`, error);
+    throw error;
+  }
+}
+
 /**
  * Process track data into normalized format
  * @param {Object} track - Apple Music track object
  * @param {string} playlistId - Source playlist ID
+ * @param {string} [playlistName] - Source playlist name (looked up if omitted)
  * @returns {Promise<Object>} - Normalized track data
  */
-async function processTrackData(track, playlistId) {
+async function processTrackData(track, playlistId, playlistName) {
   const missingFields = [];
   const attrs = track.attributes;
   
@@ -292,6 +456,11 @@ async function processTrackData(track, playlistId) {
   if (attrs.artistName) {
     trackData.artist = attrs.artistName;
     trackData.performedBy = attrs.artistName;
+    // artistName is one display string ('A & B'); its ID only maps to it when a single artist is related
+    const artistIds = track.relationships?.artists?.data || [];
+    if (artistIds.length === 1) {
+      trackData.artists = [{ name: attrs.artistName, id: artistIds[0].id }];
+    }
   } else {
     missingFields.push('artist');
   }
@@ -299,6 +468,11 @@ async function processTrackData(track, playlistId) {
   // Album information
   if (attrs.albumName) {
     trackData.album = attrs.albumName;
+    // Song links look like /album/<slug>/<albumId>?i=<songId>
+    const albumId = (attrs.url || '').match(/\/album\/(?:[^/?]+\/)?(\d+)/)?.[1];
+    if (albumId) {
+      trackData.albumId = albumId;
+    }
   } else {
     missingFields.push('album');
   }
@@ -338,12 +512,16 @@ async function processTrackData(track, playlistId) {
   trackData.type = 'Source'; // Default, will be overridden by orchestrator
   
   // Get playlist name for reference with service prefix
-  try {
-    const playlist = await getPlaylist(playlistId);
-    trackData.playlist = `Apple Music - ${playlist.name}`;
-  } catch (error) {
-    logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
-    trackData.playlist = `Apple Music - ${playlistId}`;
+  if (playlistName) {
+    trackData.playlist = `Apple Music - ${playlistName}`;
+  } else {
+    try {
+      const playlist = await getPlaylist(playlistId);
+      trackData.playlist = `Apple Music - ${playlist.name}`;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      trackData.playlist = `Apple Music - ${playlistId}`;
+    }
   }
 
   // Log metadata gaps
@@ -356,22 +534,61 @@ async function processTrackData(track, playlistId) {
 
 /**
  * Extract playlist ID from Apple Music URL
- * @param {string} url - Apple Music playlist URL
- * @returns {string|null} - Playlist ID or null if invalid
+ * @param {string} url - Apple Music catalog or library playlist URL
+ * @returns {string|null} - Catalog (pl.xxx) or library (p.xxx) playlist ID, or null if invalid
  */
 function extractPlaylistId(url) {
-  // Handle both catalog and library playlist URLs
+  // Library playlists: music.apple.com/library/playlist/p.xxx (optionally after a storefront)
+  const libraryMatch = url.match(/music\.apple\.com\/(?:[^/]+\/)?library\/playlist\/(p\.[a-zA-Z0-9_-]+)/);
+  if (libraryMatch) {
+    return libraryMatch[1];
+  }
+
+  // Catalog playlists, with or without the name slug
   const catalogRegex = /music\.apple\.com\/[^/]+\/playlist\/[^/]+\/pl\.([a-zA-Z0-9_-]+)/;
-  const libraryRegex = /music\.apple\.com\/[^/]+\/playlist\/pl\.([a-zA-Z0-9_-]+)/;
+  const shortCatalogRegex = /music\.apple\.com\/[^/]+\/playlist\/pl\.([a-zA-Z0-9_-]+)/;
   
   let match = url.match(catalogRegex);
   if (!match) {
-    match = url.match(libraryRegex);
+    match = url.match(shortCatalogRegex);
   }
   
   return match ? `pl.${match[1]}` : null;
 }
 
+/**
+ * Extract song ID from Apple Music URL
+ * @param {string} url - Apple Music song or album-track URL
+ * @returns {string|null} - Song ID or null if invalid
+ */
+function extractTrackId(url) {
+  if (!url) return null;
+  // Album links carry the song as ?i=<id>; direct song links end with the ID
+  const albumTrackRegex = /music\.apple\.com\/.+[?&]i=(\d+)/;
+  const songRegex = /music\.apple\.com\/[^/]+\/song\/(?:[^/]+\/)?(\d+)/;
+
+  const match = url.match(albumTrackRegex) || url.match(songRegex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Recognise a music.apple.com playlist (catalog pl. or library p.) or song link;
+ * an album link with ?i= counts as that song
+ * @param {string} url - Pasted link
+ * @returns {Object|null} - { type: 'playlist'|'track', id } or null for other links
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  const playlistId = extractPlaylistId(url);
+  if (playlistId) return { type: 'playlist', id: playlistId };
+
+  const trackId = extractTrackId(url);
+  if (trackId) return { type: 'track', id: trackId };
+
+  return null;
+}
+
 /**
  * Check if Apple Music service is available
  * @returns {Promise<boolean>} - Service availability status
@@ -395,8 +612,13 @@ module.exports = {
   getPlaylist,
   getPlaylistTracks,
   getTrack,
+  searchTrack,
   processTrackData,
   extractPlaylistId,
+  extractTrackId,
+  parseUrl,
+  lookupUrl,
+  isLibraryPlaylist,
   checkServiceHealth,
   getDeveloperToken,
   generateDeveloperToken,
@@ -0,0 +1,272 @@
+/**
+ * Artists and Albums Databases
+ *
+ * Keeps companion Notion databases with one page per artist and per release,
+ * and relates tracks to them. Pages are matched by service ID first
+ * ('Spotify:<artistId>') and then by normalized name, so the same artist seen
+ * on Spotify and Apple Music shares one page; a match from a new service adds
+ * that service's ID to the page. Only Name and the automated fields are
+ * written, so notes the team keeps on a page (contact, publisher, PRO) apply
+ * across all of the artist's tracks. Enabled by NOTION_ARTISTS_DB_ID and
+ * NOTION_ALBUMS_DB_ID; without them every function is a no-op.
+ *
+ * Dependencies: config.js, schema.js, notionClient.js, utils/normalize.js, utils/logger.js
+ */
+
+const config = require('./config');
+const notionClient = require('./notionClient');
+const { NOTION_FIELDS, ARTIST_FIELDS, ALBUM_FIELDS, NOTION_PROPERTY_TYPES, extractPropertyValue } = require('./schema');
+const { normalizeText } = require('./utils/normalize');
+const logger = require('./utils/logger');
+
+/**
+ * Create the in-memory index of one companion database
+ * @param {string} label - Name used in logs ('artist', 'album')
+ * @param {Function} getDatabaseId - Returns the configured database ID
+ * @param {Function} getNameKey - Page -> normalized name key
+ * @returns {Object} - Index state
+ */
+function createIndex(label, getDatabaseId, getNameKey) {
+  return {
+    label,
+    getDatabaseId,
+    getNameKey,
+    byServiceId: new Map(),
+    byName: new Map(),
+    // Lookups per name key, chained so concurrent tracks never create the same page twice
+    pending: new Map(),
+    loading: null,
+  };
+}
+
+const artists = createIndex('artist', () => config.notion.artistsDatabaseId,
+  page => normalizeText(extractPropertyValue(page.properties[ARTIST_FIELDS.NAME])));
+
+const albums = createIndex('album', () => config.notion.albumsDatabaseId,
+  page => getAlbumKey(
+    extractPropertyValue(page.properties[ALBUM_FIELDS.NAME]),
+    extractPropertyValue(page.properties[ALBUM_FIELDS.ARTIST])));
+
+/**
+ * Build the name key of a release; the artist keeps two albums called 'Greatest Hits' apart
+ * @param {string} album - Album name
+ * @param {string} artist - Album artist
+ * @returns {string|null} - Key or null without an album name
+ */
+function getAlbumKey(album, artist) {
+  const normalizedAlbum = normalizeText(album);
+  if (!normalizedAlbum) return null;
+  return `${normalizedAlbum}:${normalizeText(artist)}`;
+}
+
+/**
+ * Read the service IDs a page was matched by
+ * @param {Object} page - Artist or album page
+ * @param {string} field - Service IDs property name
+ * @returns {Array<string>} - 'Service:id' entries
+ */
+function getServiceIds(page, field) {
+  return (extractPropertyValue(page.properties[field]) || '')
+    .split(/[\n,]/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Add a page to an index
+ * @param {Object} index - Index state
+ * @param {Object} page - Artist or album page
+ * @param {string} serviceIdsField - Service IDs property name
+ */
+function indexPage(index, page, serviceIdsField) {
+  getServiceIds(page, serviceIdsField).forEach(serviceId => index.byServiceId.set(serviceId, page));
+  const nameKey = index.getNameKey(page);
+  // The oldest page wins when the team has created duplicates by hand
+  if (nameKey && !index.byName.has(nameKey)) {
+    index.byName.set(nameKey, page);
+  }
+}
+
+/**
+ * Load every page of a companion database once per run
+ * @param {Object} index - Index state
+ * @param {string} serviceIdsField - Service IDs property name
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded(index, serviceIdsField) {
+  if (!index.loading) {
+    index.loading = notionClient.queryCompanionPages(index.getDatabaseId()).then(pages => {
+      pages.forEach(page => indexPage(index, page, serviceIdsField));
+      logger.debug(`Loaded ${pages.length} ${index.label} pages`);
+    });
+    // A failed load is retried by the next track instead of sticking
+    index.loading.catch(() => { index.loading = null; });
+  }
+  return index.loading;
+}
+
+/**
+ * Find the page for an artist or album, creating it when there is none
+ * @param {Object} index - Index state
+ * @param {Object} entry - Lookup details
+ * @param {string} entry.nameKey - Normalized name key
+ * @param {string|null} entry.serviceId - 'Service:id', when the service reports one
+ * @param {string} entry.serviceIdsField - Service IDs property name
+ * @param {Function} entry.buildProperties - serviceIds -> Notion properties for a new page
+ * @returns {Promise<string>} - Page ID
+ */
+function findOrCreatePage(index, entry) {
+  const previous = index.pending.get(entry.nameKey) || Promise.resolve();
+  const lookup = previous.catch(() => {}).then(async () => {
+    const page = (entry.serviceId && index.byServiceId.get(entry.serviceId)) || index.byName.get(entry.nameKey);
+    const databaseId = index.getDatabaseId();
+
+    if (!page) {
+      const created = await notionClient.saveCompanionPage(databaseId, null,
+        entry.buildProperties(entry.serviceId ? [entry.serviceId] : []));
+      indexPage(index, created, entry.serviceIdsField);
+      logger.info(`Created ${index.label} page: ${entry.nameKey}`, { pageId: created.id });
+      return created.id;
+    }
+
+    // Matched by name from another service: remember its ID for next time
+    const serviceIds = getServiceIds(page, entry.serviceIdsField);
+    if (entry.serviceId && !serviceIds.includes(entry.serviceId)) {
+      const { [entry.serviceIdsField]: property } = entry.buildProperties([...serviceIds, entry.serviceId]);
+      await notionClient.saveCompanionPage(databaseId, page, { [entry.serviceIdsField]: property });
+      indexPage(index, page, entry.serviceIdsField);
+    }
+
+    return page.id;
+  });
+
+  index.pending.set(entry.nameKey, lookup);
+  return lookup;
+}
+
+/**
+ * Find or create the artist pages of a track
+ * @param {Object} trackData - Normalized track data
+ * @returns {Promise<Array<string>>} - Page IDs, in credit order
+ */
+async function resolveArtistPages(trackData) {
+  await ensureLoaded(artists, ARTIST_FIELDS.SERVICE_IDS);
+
+  // Services without individual credits get one page for the whole artist string
+  const credits = trackData.artists?.length > 0 ? trackData.artists : [{ name: trackData.artist }];
+  const pageIds = [];
+
+  for (const credit of credits) {
+    const nameKey = normalizeText(credit.name);
+    if (!nameKey) continue;
+
+    pageIds.push(await findOrCreatePage(artists, {
+      nameKey,
+      serviceId: credit.id && trackData.source ? `${trackData.source}:${credit.id}` : null,
+      serviceIdsField: ARTIST_FIELDS.SERVICE_IDS,
+      buildProperties: serviceIds => notionClient.buildArtistProperties({ name: credit.name, serviceIds }),
+    }));
+  }
+
+  return [...new Set(pageIds)];
+}
+
+/**
+ * Find or create the album page of a track
+ * @param {Object} trackData - Normalized track data
+ * @returns {Promise<string|null>} - Page ID, or null for a track without an album
+ */
+async function resolveAlbumPage(trackData) {
+  const artist = trackData.albumArtist || trackData.artist;
+  const nameKey = getAlbumKey(trackData.album, artist);
+  if (!nameKey) return null;
+
+  await ensureLoaded(albums, ALBUM_FIELDS.SERVICE_IDS);
+
+  return findOrCreatePage(albums, {
+    nameKey,
+    serviceId: trackData.albumId && trackData.source ? `${trackData.source}:${trackData.albumId}` : null,
+    serviceIdsField: ALBUM_FIELDS.SERVICE_IDS,
+    buildProperties: serviceIds => notionClient.buildAlbumProperties({
+      name: trackData.album,
+      artist,
+      releaseDate: trackData.releaseDate,
+      label: trackData.label,
+      serviceIds,
+    }),
+  });
+}
+
+/**
+ * Find or create the artist and album pages of a track
+ * @param {Object} trackData - Normalized track data
+ * @param {Object} [which] - Which pages to resolve (default: both)
+ * @param {boolean} which.artists - Resolve artist pages
+ * @param {boolean} which.albums - Resolve the album page
+ * @returns {Promise<Object>} - { artistPageIds, albumPageId }; empty when disabled or the pages couldn't be saved
+ */
+async function resolvePages(trackData, which = { artists: true, albums: true }) {
+  const result = { artistPageIds: [], albumPageId: null };
+
+  // The track still syncs; it just isn't related this run
+  if (which.artists && config.notion.artistsDatabaseId) {
+    try {
+      result.artistPageIds = await resolveArtistPages(trackData);
+    } catch (error) {
+      logger.warn(`Could not save artist pages for ${trackData.title}`, { error: error.message });
+    }
+  }
+
+  if (which.albums && config.notion.albumsDatabaseId) {
+    try {
+      result.albumPageId = await resolveAlbumPage(trackData);
+    } catch (error) {
+      logger.warn(`Could not save album page for ${trackData.title}`, { error: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a track page has an empty relation property
+ * @param {Object} page - Track page object
+ * @param {string} field - Relation property name
+ * @returns {boolean} - True when the property exists as a relation and relates to nothing
+ */
+function isUnlinked(page, field) {
+  const property = page.properties[field];
+  return property?.type === NOTION_PROPERTY_TYPES.RELATION && extractPropertyValue(property).length === 0;
+}
+
+/**
+ * Relate an existing track to its artist and album pages
+ * Relations someone already set (or corrected) are left alone.
+ * @param {Object} page - Track page object
+ * @param {Object} trackData - Normalized track data
+ * @returns {Promise<boolean>} - True when the page was updated
+ */
+async function linkTrack(page, trackData) {
+  const linkArtists = Boolean(config.notion.artistsDatabaseId) && isUnlinked(page, NOTION_FIELDS.ARTIST_PAGES);
+  const linkAlbum = Boolean(config.notion.albumsDatabaseId) && isUnlinked(page, NOTION_FIELDS.ALBUM_PAGE);
+  if (!linkArtists && !linkAlbum) return false;
+
+  const { artistPageIds, albumPageId } = await resolvePages(trackData, { artists: linkArtists, albums: linkAlbum });
+  const relations = {};
+  if (linkArtists && artistPageIds.length > 0) relations[NOTION_FIELDS.ARTIST_PAGES] = artistPageIds;
+  if (linkAlbum && albumPageId) relations[NOTION_FIELDS.ALBUM_PAGE] = [albumPageId];
+  if (Object.keys(relations).length === 0) return false;
+
+  try {
+    await notionClient.updateTrackRelations(page, relations);
+    return true;
+  } catch (error) {
+    logger.warn(`Could not relate ${trackData.title} to its artist and album pages`, { pageId: page.id, error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  resolvePages,
+  linkTrack,
+};
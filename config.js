@@ -4,7 +4,7 @@
  * Centralized access to all environment variables with validation.
  * All other modules MUST access environment variables through this file.
  * 
- * Dependencies: None
+ * Dependencies: js-yaml (YAML playlist configs), providers.js (resolving playlist URLs)
  */
 
 const fs = require('fs');
@@ -40,10 +40,31 @@ function getEnv(key, defaultValue = '') {
   return process.env[key] || defaultValue;
 }
 
+/**
+ * Get optional environment variable as a positive number
+ * @param {string} key - Environment variable name
+ * @param {string} defaultValue - Default value if not set
+ * @returns {number} - Parsed value
+ * @throws {Error} - If the value is not a positive number
+ */
+function getPositiveNumberEnv(key, defaultValue) {
+  const value = Number(getEnv(key, defaultValue));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Environment variable ${key} must be a positive number, got "${process.env[key]}"`);
+  }
+  return value;
+}
+
 // Notion Configuration
 const notion = {
   apiKey: requireEnv('NOTION_KEY'),
-  databaseId: requireEnv('NOTION_DB_ID'),
+  // Only optional so `init-db` can create the database; every other command requires it
+  databaseId: getEnv('NOTION_DB_ID'),
+  // Optional companion database with a page per playlist, related to its tracks
+  playlistsDatabaseId: getEnv('NOTION_PLAYLISTS_DB_ID'),
+  // Optional databases with one page per artist / album, related to their tracks
+  artistsDatabaseId: getEnv('NOTION_ARTISTS_DB_ID'),
+  albumsDatabaseId: getEnv('NOTION_ALBUMS_DB_ID'),
 };
 
 // Spotify Configuration
@@ -61,8 +82,23 @@ const spotify = {
     temp: {
       id: getEnv('SPOTIFY_TEMP_PLAYLIST_ID'),
       type: 'Temp'
+    },
+    // Library sources (see LIBRARY_SOURCES in spotifyClient.js), switched on by flag
+    likedSongs: {
+      id: getEnv('SPOTIFY_SYNC_LIKED_SONGS', 'false').toLowerCase() === 'true' ? 'liked-songs' : '',
+      type: 'Liked'
+    },
+    savedAlbums: {
+      id: getEnv('SPOTIFY_SYNC_SAVED_ALBUMS', 'false').toLowerCase() === 'true' ? 'saved-albums' : '',
+      type: 'Saved Album'
+    },
+    followedReleases: {
+      id: getEnv('SPOTIFY_SYNC_FOLLOWED_RELEASES', 'false').toLowerCase() === 'true' ? 'followed-releases' : '',
+      type: 'New Release'
     }
-  }
+  },
+  // How far back followed-artist releases are picked up
+  releaseWindowDays: parseInt(getEnv('SPOTIFY_RELEASE_WINDOW_DAYS', '30')),
 };
 
 // Apple Music Configuration
@@ -90,8 +126,226 @@ const appleMusic = {
   }
 };
 
-// Helper function to get all configured playlists with their metadata
-function getAllConfiguredPlaylists() {
+// YouTube Configuration
+const youtube = {
+  apiKey: getEnv('YOUTUBE_API_KEY'),
+  // Override to point the client at a local mock server
+  apiBaseUrl: getEnv('YOUTUBE_API_BASE_URL'),
+  playlists: {
+    source: {
+      id: getEnv('YOUTUBE_SOURCE_PLAYLIST_ID'),
+      type: 'Source'
+    },
+    temp: {
+      id: getEnv('YOUTUBE_TEMP_PLAYLIST_ID'),
+      type: 'Temp'
+    }
+  }
+};
+
+// Deezer Configuration
+const deezer = {
+  // Only needed for private playlists; public ones are read anonymously
+  accessToken: getEnv('DEEZER_ACCESS_TOKEN'),
+  playlists: {
+    source: {
+      id: getEnv('DEEZER_SOURCE_PLAYLIST_ID'),
+      type: 'Source'
+    },
+    temp: {
+      id: getEnv('DEEZER_TEMP_PLAYLIST_ID'),
+      type: 'Temp'
+    }
+  }
+};
+
+// Tidal Configuration
+const tidal = {
+  clientId: getEnv('TIDAL_CLIENT_ID'),
+  clientSecret: getEnv('TIDAL_CLIENT_SECRET'),
+  countryCode: getEnv('TIDAL_COUNTRY_CODE', 'US'),
+  playlists: {
+    source: {
+      id: getEnv('TIDAL_SOURCE_PLAYLIST_ID'),
+      type: 'Source'
+    },
+    temp: {
+      id: getEnv('TIDAL_TEMP_PLAYLIST_ID'),
+      type: 'Temp'
+    }
+  }
+};
+
+// SoundCloud Configuration
+const soundcloud = {
+  clientId: getEnv('SOUNDCLOUD_CLIENT_ID'),
+  clientSecret: getEnv('SOUNDCLOUD_CLIENT_SECRET'),
+  // Set IDs may be numeric or a set permalink path ('artist/sets/demos')
+  playlists: {
+    source: {
+      id: getEnv('SOUNDCLOUD_SOURCE_PLAYLIST_ID'),
+      type: 'Source'
+    },
+    temp: {
+      id: getEnv('SOUNDCLOUD_TEMP_PLAYLIST_ID'),
+      type: 'Temp'
+    }
+  }
+};
+
+// Declarative playlist files, looked up in this order next to config.js
+const PLAYLIST_CONFIG_FILES = ['music-soup.config.json', 'music-soup.config.yaml', 'music-soup.config.yml'];
+
+/**
+ * Locate the playlist configuration file
+ * @returns {string|null} - Absolute path, or null when playlists come from env vars
+ * @throws {Error} - If MUSIC_SOUP_CONFIG points at a missing file
+ */
+function getPlaylistConfigPath() {
+  const configuredPath = getEnv('MUSIC_SOUP_CONFIG');
+  if (configuredPath) {
+    const resolvedPath = path.resolve(configuredPath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Playlist config file ${resolvedPath} (MUSIC_SOUP_CONFIG) does not exist`);
+    }
+    return resolvedPath;
+  }
+
+  return PLAYLIST_CONFIG_FILES
+    .map(fileName => path.join(__dirname, fileName))
+    .find(filePath => fs.existsSync(filePath)) || null;
+}
+
+/**
+ * Read and parse a JSON or YAML playlist configuration file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|Array} - Parsed contents
+ * @throws {Error} - If the file cannot be parsed
+ */
+function readPlaylistConfigFile(filePath) {
+  try {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    if (/\.ya?ml$/i.test(filePath)) {
+      return require('js-yaml').load(contents);
+    }
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Could not read playlist config ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the Notion property-name overrides from the config file's "notionFields" section
+ * @returns {Object} - { NOTION_FIELDS key or default name: property name }, empty when not configured
+ * @throws {Error} - If the section is not an object
+ */
+function getNotionFieldMapping() {
+  const configPath = getPlaylistConfigPath();
+  const parsed = configPath ? readPlaylistConfigFile(configPath) : null;
+  const mapping = parsed && !Array.isArray(parsed) ? parsed.notionFields : undefined;
+
+  if (mapping === undefined || mapping === null) return {};
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`${path.basename(configPath)}: "notionFields" must map fields to Notion property names`);
+  }
+  return mapping;
+}
+
+// Playlist config entries already warned about, so repeated reads of the file warn once
+const skippedPlaylistWarnings = new Set();
+
+/**
+ * Warn that a playlist config entry is skipped because its service has no credentials
+ * @param {string} description - Entry location and playlist
+ * @param {Object} provider - Provider of the entry's service
+ */
+function warnSkippedPlaylist(description, provider) {
+  if (skippedPlaylistWarnings.has(description)) return;
+  skippedPlaylistWarnings.add(description);
+
+  // Required here rather than at the top: the logger reads this module's settings
+  const logger = require('./utils/logger');
+  const missing = provider.credentials.filter(name => !process.env[name]);
+  logger.warn(`Skipping ${description}: ${provider.name} is not configured. Set ${missing.join(', ')} to sync it.`);
+}
+
+/**
+ * Build the configured playlists listed in a playlist configuration file
+ * @param {string} filePath - Path to the file
+ * @returns {Array<Object>} - Enabled playlists in file order
+ * @throws {Error} - If an entry is invalid
+ */
+function getFilePlaylists(filePath) {
+  // Required here rather than at the top: providers.js depends on this module
+  const providers = require('./providers');
+
+  const parsed = readPlaylistConfigFile(filePath);
+  const entries = Array.isArray(parsed) ? parsed : parsed?.playlists;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Playlist config ${filePath} must contain a "playlists" list`);
+  }
+
+  const playlists = [];
+
+  entries.forEach((entry, index) => {
+    const where = `${path.basename(filePath)} playlists[${index}]`;
+
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`${where}: expected an object`);
+    }
+    if (entry.enabled === false) return;
+    if (!entry.url && !entry.id) {
+      throw new Error(`${where}: "url" or "id" is required`);
+    }
+
+    // The service can be left out when the URL identifies it
+    let provider;
+    try {
+      provider = entry.service ? providers.getProvider(entry.service) : providers.parseUrl(entry.url)?.provider;
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+    if (!provider) {
+      throw new Error(`${where}: "service" is required when the URL is not recognised`);
+    }
+
+    let id = entry.id;
+    if (!id) {
+      const parsedUrl = provider.parseUrl(entry.url);
+      if (!parsedUrl || parsedUrl.type !== 'playlist') {
+        throw new Error(`${where}: ${entry.url} is not a ${provider.name} playlist URL`);
+      }
+      id = parsedUrl.id;
+    }
+
+    if (entry.type !== undefined && (typeof entry.type !== 'string' || !entry.type.trim())) {
+      throw new Error(`${where}: "type" must be a non-empty string`);
+    }
+
+    // Same rule as env playlists: services without credentials are left out
+    if (!provider.isConfigured()) {
+      warnSkippedPlaylist(`${where} (${provider.name} ${id})`, provider);
+      return;
+    }
+
+    playlists.push({
+      service: provider.id,
+      key: entry.name || entry.key || `${provider.id}-${index + 1}`,
+      id: String(id),
+      type: entry.type ? entry.type.trim() : (provider.getDefaultType?.(String(id)) || 'Source'),
+      tags: [].concat(entry.tags || []).map(String),
+      url: entry.url || null,
+    });
+  });
+
+  return playlists;
+}
+
+/**
+ * Build the playlists configured through SPOTIFY_* / APPLE_MUSIC_* / YOUTUBE_* / DEEZER_* / TIDAL_* / SOUNDCLOUD_* env vars
+ * @returns {Array<Object>} - Configured playlists
+ */
+function getEnvPlaylists() {
   const playlists = [];
   
   // Add Spotify playlists
@@ -101,7 +355,9 @@ function getAllConfiguredPlaylists() {
         service: 'spotify',
         key,
         id: playlist.id,
-        type: playlist.type
+        type: playlist.type,
+        tags: [],
+        url: null,
       });
     }
   });
@@ -113,27 +369,121 @@ function getAllConfiguredPlaylists() {
         service: 'appleMusic',
         key,
         id: playlist.id,
-        type: playlist.type
+        type: playlist.type,
+        tags: [],
+        url: null,
+      });
+    }
+  });
+  
+  // Add YouTube playlists
+  Object.entries(youtube.playlists).forEach(([key, playlist]) => {
+    if (playlist.id && playlist.id !== '' && youtube.apiKey) {
+      playlists.push({
+        service: 'youtube',
+        key,
+        id: playlist.id,
+        type: playlist.type,
+        tags: [],
+        url: null,
+      });
+    }
+  });
+  
+  // Add Deezer playlists
+  Object.entries(deezer.playlists).forEach(([key, playlist]) => {
+    if (playlist.id && playlist.id !== '') {
+      playlists.push({
+        service: 'deezer',
+        key,
+        id: playlist.id,
+        type: playlist.type,
+        tags: [],
+        url: null,
       });
     }
   });
   
+  // Add Tidal playlists (only if credentials are configured)
+  if (tidal.clientId && tidal.clientSecret) {
+    Object.entries(tidal.playlists).forEach(([key, playlist]) => {
+      if (playlist.id && playlist.id !== '') {
+        playlists.push({
+          service: 'tidal',
+          key,
+          id: playlist.id,
+          type: playlist.type,
+          tags: [],
+          url: null,
+        });
+      }
+    });
+  }
+  
+  // Add SoundCloud sets (only if credentials are configured)
+  if (soundcloud.clientId && soundcloud.clientSecret) {
+    Object.entries(soundcloud.playlists).forEach(([key, playlist]) => {
+      if (playlist.id && playlist.id !== '') {
+        playlists.push({
+          service: 'soundcloud',
+          key,
+          id: playlist.id,
+          type: playlist.type,
+          tags: [],
+          url: null,
+        });
+      }
+    });
+  }
+  
   return playlists;
 }
 
+// Helper function to get all configured playlists with their metadata.
+// A playlist config file takes precedence; env vars are the fallback.
+function getAllConfiguredPlaylists() {
+  const configPath = getPlaylistConfigPath();
+  return configPath ? getFilePlaylists(configPath) : getEnvPlaylists();
+}
+
 // General Configuration
 const config = {
   syncIntervalMinutes: parseInt(getEnv('SYNC_INTERVAL_MINUTES', '5')),
   logLevel: getEnv('LOG_LEVEL', 'info'),
   dryRun: getEnv('DRY_RUN', 'false').toLowerCase() === 'true',
+  // Incremental sync: skip unchanged playlists unless a full sync is forced
+  fullSync: getEnv('FULL_SYNC', 'false').toLowerCase() === 'true',
+  syncStatePath: getEnv('SYNC_STATE_PATH', path.join(__dirname, '.sync-state.json')),
+  // Refresh mode: patch automated fields on existing pages instead of skipping them
+  refreshMetadata: getEnv('REFRESH_METADATA', 'false').toLowerCase() === 'true',
+  // Cleanup safety: refuse to mark more than this many tracks removed (count or percent)
+  cleanupMaxRemovals: getEnv('CLEANUP_MAX_REMOVALS', '50%'),
+  forceCleanup: getEnv('FORCE_CLEANUP', 'false').toLowerCase() === 'true',
+};
+
+// Concurrency Configuration
+const concurrency = {
+  // Playlists synced at once per service (services always run side by side)
+  playlists: parseInt(getEnv('PLAYLIST_CONCURRENCY', '2')),
+  // Tracks per playlist processed at once
+  tracks: parseInt(getEnv('TRACK_CONCURRENCY', '3')),
+  // Notion allows an average of ~3 requests/second per integration
+  notionRequestsPerSecond: getPositiveNumberEnv('NOTION_REQUESTS_PER_SECOND', '3'),
 };
 
 module.exports = {
   notion,
   spotify,
   appleMusic,
+  youtube,
+  deezer,
+  tidal,
+  soundcloud,
   config,
+  concurrency,
   getAllConfiguredPlaylists,
+  getPlaylistConfigPath,
+  getNotionFieldMapping,
   requireEnv,
   getEnv,
 };
@@ -0,0 +1,423 @@
+/**
+ * CSV Track Import
+ *
+ * Bulk-imports spreadsheet rows (cue lists, editorial temp lists) into the
+ * tracks database. Columns are mapped onto NOTION_FIELDS, either by a mapping
+ * file or by matching header names, and every row goes through the same
+ * matching as playlist sync (syncTrackToNotion), so a row for a recording
+ * already in Notion never creates a duplicate. Rows can optionally be looked
+ * up on Spotify/Apple Music to fill in missing metadata.
+ *
+ * Mapping file (JSON or YAML):
+ *   { "columns": { "TRACK_TITLE": "Cue Title", "Artist": "Performer", "NOTES": "Scene" },
+ *     "type": "Temp" }
+ * Keys are NOTION_FIELDS keys or Notion property names (default or renamed through
+ * notionFields); values are CSV headers.
+ *
+ * Dependencies: js-yaml, syncOrchestrator.js, providers.js, schema.js, trackIndex.js,
+ *               utils/csv.js, utils/normalize.js, utils/logger.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const syncOrchestrator = require('./syncOrchestrator');
+const providers = require('./providers');
+const trackIndex = require('./trackIndex');
+const { NOTION_FIELDS, DEFAULT_NOTION_FIELDS } = require('./schema');
+const { parseCsv, stringifyCsv } = require('./utils/csv');
+const { normalizeText } = require('./utils/normalize');
+const logger = require('./utils/logger');
+
+// Source value for records created from a spreadsheet
+const CSV_IMPORT_SOURCE = 'CSV Import';
+
+// Notion fields that map onto track data keys (the rest are written as-is on create)
+const TRACK_DATA_KEYS = {
+  [NOTION_FIELDS.TRACK_TITLE]: 'title',
+  [NOTION_FIELDS.TRACK_NUMBER]: 'trackNumber',
+  [NOTION_FIELDS.ALBUM]: 'album',
+  [NOTION_FIELDS.ARTIST]: 'artist',
+  [NOTION_FIELDS.PERFORMED_BY]: 'performedBy',
+  [NOTION_FIELDS.RELEASE_DATE]: 'releaseDate',
+  [NOTION_FIELDS.DURATION]: 'duration',
+  [NOTION_FIELDS.ISRC_UPC]: 'isrc',
+  [NOTION_FIELDS.URL]: 'url',
+  [NOTION_FIELDS.TYPE]: 'type',
+  [NOTION_FIELDS.COMPOSER]: 'composer',
+  [NOTION_FIELDS.PRODUCER]: 'producer',
+  [NOTION_FIELDS.ARTWORK]: 'artwork',
+};
+
+// Fields sync maintains itself; an import can't map onto them
+const SYNC_MANAGED_FIELDS = [
+  NOTION_FIELDS.SOURCE,
+  NOTION_FIELDS.SERVICES,
+  NOTION_FIELDS.PLAYLISTS,
+  NOTION_FIELDS.CREATED_TIME,
+  NOTION_FIELDS.REMOVED,
+  NOTION_FIELDS.REMOVED_ON,
+  NOTION_FIELDS.RESTORED_ON,
+  NOTION_FIELDS.FILE_PATH,
+  NOTION_FIELDS.FILE_HASH,
+];
+
+// Common spreadsheet headers, normalized, for mapping without a mapping file
+const COLUMN_ALIASES = {
+  'title': NOTION_FIELDS.TRACK_TITLE,
+  'song': NOTION_FIELDS.TRACK_TITLE,
+  'song title': NOTION_FIELDS.TRACK_TITLE,
+  'track': NOTION_FIELDS.TRACK_TITLE,
+  'track name': NOTION_FIELDS.TRACK_TITLE,
+  'cue title': NOTION_FIELDS.TRACK_TITLE,
+  'artist name': NOTION_FIELDS.ARTIST,
+  'artists': NOTION_FIELDS.ARTIST,
+  'performer': NOTION_FIELDS.ARTIST,
+  'isrc': NOTION_FIELDS.ISRC_UPC,
+  'upc': NOTION_FIELDS.ISRC_UPC,
+  'length': NOTION_FIELDS.DURATION,
+  'year': NOTION_FIELDS.RELEASE_DATE,
+  'link': NOTION_FIELDS.URL,
+  'writer': NOTION_FIELDS.COMPOSER,
+  'writers': NOTION_FIELDS.COMPOSER,
+  'composers': NOTION_FIELDS.COMPOSER,
+  'mood': NOTION_FIELDS.MOOD,
+  'keywords': NOTION_FIELDS.MOOD,
+};
+
+// Track data a catalog lookup may fill in when the row leaves it empty
+const LOOKUP_KEYS = ['isrc', 'album', 'duration', 'releaseDate', 'trackNumber', 'label', 'composer', 'genre', 'performedBy'];
+
+/**
+ * Resolve a mapping key to a Notion property name
+ * @param {string} key - NOTION_FIELDS key ('TRACK_TITLE') or property name ('Track Title')
+ * @returns {string|null} - Property name or null if unknown
+ */
+function resolveField(key) {
+  const wanted = String(key).trim().toLowerCase();
+  const match = Object.entries(NOTION_FIELDS).find(([constant, field]) =>
+    constant.toLowerCase() === wanted || field.toLowerCase() === wanted ||
+    DEFAULT_NOTION_FIELDS[constant].toLowerCase() === wanted);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read a column mapping file
+ * @param {string} mappingPath - Path to a .json, .yaml or .yml file
+ * @returns {Object} - { columns: { key: header }, type }
+ */
+function loadColumnMapping(mappingPath) {
+  const raw = fs.readFileSync(mappingPath, 'utf8');
+  const definition = /\.ya?ml$/i.test(mappingPath) ? yaml.load(raw) : JSON.parse(raw);
+
+  if (!definition || typeof definition.columns !== 'object' || Array.isArray(definition.columns)) {
+    throw new Error(`Column mapping ${mappingPath} must have a "columns" object`);
+  }
+  return definition;
+}
+
+/**
+ * Map CSV headers to Notion fields by name and common aliases
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} - { columns: { field: header } }
+ */
+function autoMapColumns(headers) {
+  const columns = {};
+
+  headers.forEach(header => {
+    const normalized = normalizeText(header);
+    const field = resolveField(header) ||
+      Object.values(NOTION_FIELDS).find(candidate => normalizeText(candidate) === normalized) ||
+      COLUMN_ALIASES[normalized];
+    if (field && !columns[field] && !SYNC_MANAGED_FIELDS.includes(field)) {
+      columns[field] = header;
+    }
+  });
+
+  return { columns };
+}
+
+/**
+ * Validate a mapping definition against the CSV headers
+ * @param {Array<string>} headers - CSV header row
+ * @param {Object} definition - { columns: { key: header } }
+ * @returns {Map<string, number>} - Notion property name -> column index
+ */
+function buildColumnMapping(headers, definition) {
+  const trimmedHeaders = headers.map(header => header.trim());
+  const mapping = new Map();
+  const problems = [];
+
+  Object.entries(definition.columns).forEach(([key, header]) => {
+    const field = resolveField(key);
+    const index = trimmedHeaders.indexOf(String(header).trim());
+
+    if (!field) {
+      problems.push(`unknown Notion field "${key}"`);
+    } else if (SYNC_MANAGED_FIELDS.includes(field)) {
+      problems.push(`"${field}" is maintained by sync and can't be imported`);
+    } else if (index === -1) {
+      problems.push(`column "${header}" (for ${field}) is not in the CSV header`);
+    } else {
+      mapping.set(field, index);
+    }
+  });
+
+  if (!mapping.has(NOTION_FIELDS.TRACK_TITLE) && problems.length === 0) {
+    problems.push(`no column is mapped to "${NOTION_FIELDS.TRACK_TITLE}"`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid column mapping: ${problems.join('; ')}`);
+  }
+  return mapping;
+}
+
+/**
+ * Parse a duration cell ('3:25', '1:02:03' or seconds)
+ * @param {string} value - Cell text
+ * @returns {number} - Duration in seconds
+ */
+function parseDurationCell(value) {
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.round(parseFloat(value));
+  }
+  if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+    return value.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  }
+  throw new Error(`Unrecognised duration "${value}" (use m:ss or seconds)`);
+}
+
+/**
+ * Parse a release date cell into an ISO date or a year
+ * @param {string} value - Cell text
+ * @returns {string} - 'YYYY-MM-DD', 'YYYY-MM' or 'YYYY'
+ */
+function parseReleaseDateCell(value) {
+  if (/^\d{4}(-\d{2}){0,2}$/.test(value)) return value;
+
+  // Locale formats ('03/05/2019', 'May 2019'): keep the year, which is all Notion stores
+  const year = value.match(/\b(\d{4})\b/);
+  if (year) return year[1];
+
+  throw new Error(`Unrecognised release date "${value}"`);
+}
+
+/**
+ * Turn one CSV row into track data
+ * @param {Array<string>} values - Row cells
+ * @param {Map<string, number>} mapping - Notion property name -> column index
+ * @param {Object} defaults - { type } applied when the row has no value
+ * @returns {Object} - Track data for syncTrackToNotion()
+ */
+function rowToTrackData(values, mapping, defaults = {}) {
+  const trackData = { playlist: CSV_IMPORT_SOURCE, extraProperties: {} };
+  if (defaults.type) trackData.type = defaults.type;
+
+  mapping.forEach((index, field) => {
+    const value = (values[index] || '').trim();
+    if (!value) return;
+
+    const provider = providers.getProviders().find(candidate => candidate.urlField === field);
+    if (field === NOTION_FIELDS.URL || provider) {
+      if (!/^https?:\/\//i.test(value)) {
+        throw new Error(`"${value}" in ${field} is not a URL`);
+      }
+      // A service track URL identifies the recording, so matching can use it
+      const parsed = providers.parseUrl(value);
+      if (!trackData.url && (!provider || parsed?.provider === provider)) {
+        trackData.url = value;
+        if (parsed && parsed.type === 'track') {
+          trackData.source = parsed.provider.name;
+          trackData.sourceId = parsed.id;
+        }
+      }
+      if (provider) trackData.extraProperties[field] = value;
+      return;
+    }
+
+    switch (field) {
+      case NOTION_FIELDS.DURATION:
+        trackData.duration = parseDurationCell(value);
+        break;
+      case NOTION_FIELDS.RELEASE_DATE:
+        trackData.releaseDate = parseReleaseDateCell(value);
+        break;
+      case NOTION_FIELDS.TRACK_NUMBER:
+        if (!/^\d+$/.test(value)) throw new Error(`Track number "${value}" is not a number`);
+        trackData.trackNumber = parseInt(value);
+        break;
+      case NOTION_FIELDS.ISRC_UPC: {
+        const code = trackIndex.normalizeIsrc(value);
+        if (!/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(code) && !/^\d{12,13}$/.test(code)) {
+          throw new Error(`"${value}" is not an ISRC or UPC`);
+        }
+        trackData.isrc = code;
+        break;
+      }
+      default:
+        if (TRACK_DATA_KEYS[field]) {
+          trackData[TRACK_DATA_KEYS[field]] = value;
+        } else {
+          trackData.extraProperties[field] = value;
+        }
+    }
+  });
+
+  if (!trackData.title) {
+    throw new Error(`Missing ${NOTION_FIELDS.TRACK_TITLE}`);
+  }
+  if (trackData.artist && !trackData.performedBy) {
+    trackData.performedBy = trackData.artist;
+  }
+
+  return trackData;
+}
+
+/**
+ * Fill empty fields of a row from the first catalog that knows the track
+ * @param {Object} trackData - Track data from rowToTrackData() (modified in place)
+ * @returns {Promise<string|null>} - Name of the service that matched, or null
+ */
+async function lookupMetadata(trackData) {
+  const missing = LOOKUP_KEYS.some(key => trackData[key] === undefined) || !trackData.source;
+  if (!missing) return null;
+
+  const searchable = providers.getProviders().filter(provider => provider.searchTrack && provider.isConfigured());
+
+  for (const provider of searchable) {
+    try {
+      const found = await provider.searchTrack(
+        trackData.isrc ? { isrc: trackData.isrc } : { title: trackData.title, artist: trackData.artist },
+      );
+      if (!found) continue;
+
+      // Title searches return the closest match; only accept the same title and artist
+      if (!trackData.isrc) {
+        const sameTitle = normalizeText(found.title).includes(normalizeText(trackData.title));
+        const sameArtist = !trackData.artist || normalizeText(found.artist).includes(normalizeText(trackData.artist));
+        if (!sameTitle || !sameArtist) continue;
+      }
+
+      LOOKUP_KEYS.forEach(key => {
+        if (trackData[key] === undefined && found[key] !== undefined && found[key] !== null) {
+          trackData[key] = found[key];
+        }
+      });
+      if (!trackData.artist) trackData.artist = found.artist;
+      if (!trackData.source) {
+        trackData.source = found.source;
+        trackData.sourceId = found.sourceId;
+        trackData.url = trackData.url || found.url;
+      }
+
+      return provider.name;
+    } catch (error) {
+      logger.warn(`${provider.name} lookup failed for ${trackData.title}`, { error: error.message });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Import a CSV file into the tracks database
+ * @param {string} filePath - CSV file
+ * @param {Object} options - Import options
+ * @param {string} options.mappingPath - Column mapping file (headers are matched by name when omitted)
+ * @param {boolean} options.lookup - Fill missing metadata from Spotify/Apple Music
+ * @returns {Promise<Object>} - Counts per outcome and a per-row report
+ */
+async function importCsv(filePath, options = {}) {
+  const startTime = Date.now();
+  const results = { rows: 0, created: 0, updated: 0, restored: 0, skipped: 0, invalid: 0, errors: 0, report: [] };
+
+  try {
+    const [header, ...rows] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+    if (!header) {
+      throw new Error(`${filePath} is empty`);
+    }
+
+    const definition = options.mappingPath ? loadColumnMapping(options.mappingPath) : autoMapColumns(header.values);
+    const mapping = buildColumnMapping(header.values, definition);
+    results.rows = rows.length;
+
+    logger.info(`📥 Importing ${rows.length} rows from ${path.basename(filePath)}`, {
+      columns: Object.fromEntries([...mapping].map(([field, index]) => [field, header.values[index]])),
+      lookup: Boolean(options.lookup),
+    });
+
+    await trackIndex.ensureLoaded();
+
+    // Rows run one at a time so duplicates within the file match the page created for the first
+    for (const row of rows) {
+      const cell = field => (mapping.has(field) && row.values[mapping.get(field)] || '').trim() || null;
+      const entry = {
+        line: row.line,
+        title: cell(NOTION_FIELDS.TRACK_TITLE),
+        artist: cell(NOTION_FIELDS.ARTIST),
+        status: null,
+        lookup: null,
+        error: null,
+      };
+
+      let trackData;
+      try {
+        trackData = rowToTrackData(row.values, mapping, { type: definition.type });
+      } catch (error) {
+        // Bad cell values: report the row and carry on with the rest of the file
+        entry.status = 'invalid';
+        entry.error = error.message;
+        results.invalid++;
+        logger.warn(`CSV row ${row.line} is invalid: ${error.message}`);
+      }
+
+      if (trackData) {
+        try {
+          if (options.lookup) {
+            entry.lookup = await lookupMetadata(trackData);
+          }
+
+          entry.status = await syncOrchestrator.syncTrackToNotion(trackData);
+          results[entry.status]++;
+        } catch (error) {
+          entry.status = 'error';
+          entry.error = error.message;
+          results.errors++;
+        }
+      }
+
+      results.report.push(entry);
+    }
+
+    results.duration = Date.now() - startTime;
+    logger.info('✅ CSV import completed', { ...results, report: undefined });
+
+    return results;
+  } catch (error) {
+    logger.error(`CSV import failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Write the per-row report of an import as CSV
+ * @param {Object} results - Results from importCsv()
+ * @param {string} reportPath - Output file
+ */
+function writeReport(results, reportPath) {
+  const rows = [['Line', 'Title', 'Artist', 'Status', 'Lookup', 'Error']];
+  results.report.forEach(entry => {
+    rows.push([entry.line, entry.title, entry.artist, entry.status, entry.lookup, entry.error]);
+  });
+  fs.writeFileSync(reportPath, stringifyCsv(rows));
+}
+
+module.exports = {
+  importCsv,
+  writeReport,
+  autoMapColumns,
+  buildColumnMapping,
+  rowToTrackData,
+  lookupMetadata,
+};
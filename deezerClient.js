@@ -0,0 +1,332 @@
+/**
+ * Deezer API Client
+ *
+ * Handles Deezer API interactions for playlist fetching and track metadata.
+ * Public playlists need no credentials; an access token unlocks private ones.
+ * Deezer track objects carry ISRCs, so they merge with the other services.
+ *
+ * Dependencies: config.js, endpoints.js, utils/logger.js, utils/rateLimiter.js, utils/apiRequest.js
+ * API Docs: https://developers.deezer.com/api
+ */
+
+const config = require('./config');
+const { DEEZER } = require('./endpoints');
+const logger = require('./utils/logger');
+const { createRateLimiter } = require('./utils/rateLimiter');
+const { apiRequest, createRateLimitError } = require('./utils/apiRequest');
+
+// Deezer allows 50 requests per 5 seconds
+const deezerLimiter = createRateLimiter({ requestsPerSecond: 10 });
+
+// Error code Deezer returns (with HTTP 200) when the request quota is exceeded
+const QUOTA_EXCEEDED_CODE = 4;
+
+// Unavailable Reason for playlist entries Deezer marks unreadable
+const UNREADABLE_REASON = 'Removed from the Deezer catalog';
+
+// Track ID -> full track object, fetched once per run (sync and cleanup read the same playlists)
+const fullTracks = new Map();
+
+/**
+ * Make a rate-limited request to the Deezer API
+ * Deezer answers most errors with HTTP 200 and an `error` object, so the body is checked too.
+ * @param {string} url - API endpoint URL
+ * @returns {Promise<Object>} - API response data
+ */
+async function deezerRequest(url) {
+  return apiRequest(url, {
+    service: 'Deezer',
+    // Private playlists need the user's access token (pagination URLs already carry it)
+    query: config.deezer.accessToken && !url.includes('access_token=')
+      ? { access_token: config.deezer.accessToken }
+      : null,
+    limiter: deezerLimiter,
+    defaultRetryAfter: 5,
+    checkBody: (data) => {
+      if (!data.error) return;
+
+      if (data.error.code === QUOTA_EXCEEDED_CODE) {
+        throw createRateLimitError('Deezer', 5);
+      }
+
+      const error = new Error(`Deezer API error: ${data.error.type} ${data.error.message}`);
+      error.permanent = true;
+      throw error;
+    },
+  });
+}
+
+/**
+ * Get a playlist's title, description, creator and track count
+ * @param {string} playlistId - Numeric Deezer playlist ID
+ * @returns {Promise<Object>} - Playlist metadata, with the checksum as snapshotId
+ */
+async function getPlaylist(playlistId) {
+  try {
+    // Deezer Playlist: https://developers.deezer.com/api/playlist
+    const data = await deezerRequest(DEEZER.PLAYLIST(playlistId));
+
+    logger.debug(`Retrieved Deezer playlist`, {
+      playlistId,
+      name: data.title,
+      trackCount: data.nb_tracks,
+    });
+
+    return {
+      id: String(data.id),
+      name: data.title,
+      description: data.description || '',
+      trackCount: data.nb_tracks,
+      url: data.link,
+      curatorName: data.creator?.name,
+      // The checksum changes whenever the track list does
+      snapshotId: data.checksum,
+    };
+  } catch (error) {
+    logger.error(`Failed to get Deezer playlist ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get every track in a playlist, following the `next` links 100 at a time
+ * @param {string} playlistId - Numeric Deezer playlist ID
+ * @returns {Promise<Array>} - Normalized track data, catalog-pulled tracks flagged Unavailable
+ */
+async function getPlaylistTracks(playlistId) {
+  try {
+    const tracks = [];
+
+    // Look up the playlist name once rather than once per track
+    let playlistName;
+    try {
+      playlistName = (await getPlaylist(playlistId)).name;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      playlistName = playlistId;
+    }
+    let nextUrl = `${DEEZER.PLAYLIST_TRACKS(playlistId)}?limit=100`;
+
+    while (nextUrl) {
+      // Deezer Playlist Tracks: https://developers.deezer.com/api/playlist/tracks
+      const data = await deezerRequest(nextUrl);
+
+      for (const item of data.data || []) {
+        if (item.type === 'track') {
+          const trackData = await processTrackData(item, playlistId, playlistName);
+          trackData.addedAt = item.time_add ? new Date(item.time_add * 1000).toISOString() : null;
+          tracks.push(trackData);
+        }
+      }
+
+      nextUrl = data.next || null;
+
+      logger.debug(`Processed Deezer playlist page`, {
+        playlistId,
+        pageItems: data.data?.length || 0,
+        totalSoFar: tracks.length,
+        hasMore: !!nextUrl,
+      });
+    }
+
+    logger.info(`Retrieved all Deezer playlist tracks`, {
+      playlistId,
+      totalTracks: tracks.length,
+    });
+
+    return tracks;
+  } catch (error) {
+    logger.error(`Failed to get Deezer playlist tracks ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the full track object, which has the ISRC, release date and contributors playlist entries lack
+ * @param {string} trackId - Deezer track ID
+ * @returns {Promise<Object>} - Deezer track object
+ */
+async function getTrack(trackId) {
+  if (fullTracks.has(String(trackId))) {
+    return fullTracks.get(String(trackId));
+  }
+
+  try {
+    // Deezer Track: https://developers.deezer.com/api/track
+    const data = await deezerRequest(DEEZER.TRACK(trackId));
+    fullTracks.set(String(trackId), data);
+
+    logger.debug(`Retrieved Deezer track`, {
+      trackId,
+      name: data.title,
+      artist: data.artist?.name,
+    });
+
+    return data;
+  } catch (error) {
+    logger.error(`Failed to get Deezer track ${trackId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Process track data into normalized format
+ * @param {Object} track - Deezer track object (playlist entry or full track)
+ * @param {string} playlistId - Source playlist ID
+ * @param {string} [playlistName] - Source playlist name (looked up if omitted)
+ * @returns {Promise<Object>} - Normalized track data
+ */
+async function processTrackData(track, playlistId, playlistName) {
+  const missingFields = [];
+
+  // Playlist entries omit ISRC and release date; the full track has them
+  let fullTrack = track;
+  if (!track.isrc || !track.release_date) {
+    try {
+      fullTrack = { ...track, ...(await getTrack(track.id)) };
+    } catch (error) {
+      logger.warn(`Could not get full Deezer track ${track.id}, using playlist entry`, error);
+    }
+  }
+
+  // Basic track information
+  const trackData = {
+    source: 'Deezer',
+    sourceId: String(fullTrack.id),
+    title: fullTrack.title,
+    url: fullTrack.link,
+    duration: fullTrack.duration || null,
+    trackNumber: fullTrack.track_position,
+    explicit: fullTrack.explicit_lyrics,
+  };
+
+  // Tracks pulled from the catalog stay in playlists but can't be played
+  if (track.readable !== undefined) {
+    trackData.unavailable = track.readable === false;
+    if (trackData.unavailable) {
+      trackData.unavailableReason = UNREADABLE_REASON;
+    }
+  }
+
+  // Artist information (contributors lists featured artists too)
+  const contributors = (fullTrack.contributors || []).map(contributor => contributor.name);
+  if (contributors.length > 0) {
+    trackData.artist = contributors.join(', ');
+    trackData.performedBy = trackData.artist;
+  } else if (fullTrack.artist?.name) {
+    trackData.artist = fullTrack.artist.name;
+    trackData.performedBy = fullTrack.artist.name;
+  } else {
+    missingFields.push('artist');
+  }
+
+  // Album information
+  if (fullTrack.album?.title) {
+    trackData.album = fullTrack.album.title;
+  } else {
+    missingFields.push('album');
+  }
+
+  // Release date
+  const releaseDate = fullTrack.release_date || fullTrack.album?.release_date;
+  if (releaseDate) {
+    trackData.releaseDate = releaseDate;
+  } else {
+    missingFields.push('releaseDate');
+  }
+
+  // ISRC
+  if (fullTrack.isrc) {
+    trackData.isrc = fullTrack.isrc;
+  } else {
+    missingFields.push('isrc');
+  }
+
+  // Playlist information - will be set by orchestrator
+  trackData.type = 'Source'; // Default, will be overridden by orchestrator
+
+  // Get playlist name for reference with service prefix
+  if (playlistName) {
+    trackData.playlist = `Deezer - ${playlistName}`;
+  } else {
+    try {
+      const playlist = await getPlaylist(playlistId);
+      trackData.playlist = `Deezer - ${playlist.name}`;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      trackData.playlist = `Deezer - ${playlistId}`;
+    }
+  }
+
+  // Log metadata gaps
+  if (missingFields.length > 0) {
+    logger.metadataGap(trackData.sourceId, 'Deezer', missingFields);
+  }
+
+  return trackData;
+}
+
+/**
+ * Extract playlist ID from Deezer URL
+ * @param {string} url - Deezer playlist URL
+ * @returns {string|null} - Playlist ID or null if invalid
+ */
+function extractPlaylistId(url) {
+  const regex = /deezer\.com\/(?:[a-z]{2}\/)?playlist\/(\d+)/;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract track ID from Deezer URL
+ * @param {string} url - Deezer track URL
+ * @returns {string|null} - Track ID or null if invalid
+ */
+function extractTrackId(url) {
+  if (!url) return null;
+  const regex = /deezer\.com\/(?:[a-z]{2}\/)?track\/(\d+)/;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Recognise a deezer.com playlist or track link, with or without a language prefix (/fr/)
+ * @param {string} url - Pasted link
+ * @returns {Object|null} - { type: 'playlist'|'track', id } or null for other links
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  const playlistId = extractPlaylistId(url);
+  if (playlistId) return { type: 'playlist', id: playlistId };
+
+  const trackId = extractTrackId(url);
+  if (trackId) return { type: 'track', id: trackId };
+
+  return null;
+}
+
+/**
+ * Check that the public API answers (no credentials needed)
+ * @returns {Promise<boolean>} - True when /infos responds
+ */
+async function checkServiceHealth() {
+  try {
+    await deezerRequest(DEEZER.INFOS);
+    return true;
+  } catch (error) {
+    logger.error(`Deezer service health check failed: ${error.message}`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getPlaylist,
+  getPlaylistTracks,
+  getTrack,
+  processTrackData,
+  extractPlaylistId,
+  extractTrackId,
+  parseUrl,
+  checkServiceHealth,
+};
@@ -16,6 +16,13 @@ const SPOTIFY = {
   PLAYLIST_TRACKS: (playlistId) => `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
   TRACK: (trackId) => `https://api.spotify.com/v1/tracks/${trackId}`,
   ALBUM: (albumId) => `https://api.spotify.com/v1/albums/${albumId}`,
+  TRACKS: (trackIds) => `https://api.spotify.com/v1/tracks?ids=${trackIds.join(',')}`,
+  ALBUMS: (albumIds) => `https://api.spotify.com/v1/albums?ids=${albumIds.join(',')}`,
+  ARTIST_ALBUMS: (artistId) => `https://api.spotify.com/v1/artists/${artistId}/albums`,
+  SAVED_TRACKS: 'https://api.spotify.com/v1/me/tracks',
+  SAVED_ALBUMS: 'https://api.spotify.com/v1/me/albums',
+  FOLLOWED_ARTISTS: 'https://api.spotify.com/v1/me/following?type=artist',
+  SEARCH: 'https://api.spotify.com/v1/search',
 };
 
 // Apple Music API Endpoints  
@@ -26,6 +33,68 @@ const APPLE_MUSIC = {
   PLAYLIST_TRACKS: (storefront, playlistId) => `https://api.music.apple.com/v1/catalog/${storefront}/playlists/${playlistId}/tracks`,
   SONG: (storefront, songId) => `https://api.music.apple.com/v1/catalog/${storefront}/songs/${songId}`,
   ALBUM: (storefront, albumId) => `https://api.music.apple.com/v1/catalog/${storefront}/albums/${albumId}`,
+  SONGS: (storefront) => `https://api.music.apple.com/v1/catalog/${storefront}/songs`,
+  SEARCH: (storefront) => `https://api.music.apple.com/v1/catalog/${storefront}/search`,
+  LIBRARY_PLAYLIST: (playlistId) => `https://api.music.apple.com/v1/me/library/playlists/${playlistId}`,
+  LIBRARY_PLAYLIST_TRACKS: (playlistId) => `https://api.music.apple.com/v1/me/library/playlists/${playlistId}/tracks`,
+  LIBRARY_PLAYLIST_PAGE: (playlistId) => `https://music.apple.com/library/playlist/${playlistId}`,
+};
+
+// Deezer API Endpoints
+// Documentation: https://developers.deezer.com/api
+const DEEZER = {
+  BASE_URL: 'https://api.deezer.com',
+  INFOS: 'https://api.deezer.com/infos',
+  PLAYLIST: (playlistId) => `https://api.deezer.com/playlist/${playlistId}`,
+  PLAYLIST_TRACKS: (playlistId) => `https://api.deezer.com/playlist/${playlistId}/tracks`,
+  TRACK: (trackId) => `https://api.deezer.com/track/${trackId}`,
+  ALBUM: (albumId) => `https://api.deezer.com/album/${albumId}`,
+};
+
+// Tidal API Endpoints
+// Documentation: https://developer.tidal.com/documentation
+// Reference (v2): https://tidal-music.github.io/tidal-api-reference/
+const TIDAL = {
+  BASE_URL: 'https://openapi.tidal.com/v2',
+  TOKEN: 'https://auth.tidal.com/v1/oauth2/token',
+  PLAYLIST: (playlistId) => `https://openapi.tidal.com/v2/playlists/${playlistId}`,
+  PLAYLIST_ITEMS: (playlistId) => `https://openapi.tidal.com/v2/playlists/${playlistId}/relationships/items`,
+  TRACKS: (trackIds) => `https://openapi.tidal.com/v2/tracks?filter[id]=${trackIds.join(',')}&include=artists,albums`,
+  TRACK_CONTRIBUTORS: (trackId) => `https://api.tidal.com/v1/tracks/${trackId}/contributors`,
+  TRACK_PAGE: (trackId) => `https://tidal.com/browse/track/${trackId}`,
+  PLAYLIST_PAGE: (playlistId) => `https://tidal.com/browse/playlist/${playlistId}`,
+};
+
+// SoundCloud API Endpoints
+// Documentation: https://developers.soundcloud.com/docs/api/guide
+const SOUNDCLOUD = {
+  BASE_URL: 'https://api.soundcloud.com',
+  TOKEN: 'https://secure.soundcloud.com/oauth/token',
+  RESOLVE: (url) => `https://api.soundcloud.com/resolve?url=${encodeURIComponent(url)}`,
+  PLAYLIST: (playlistId) => `https://api.soundcloud.com/playlists/${playlistId}`,
+  PLAYLIST_TRACKS: (playlistId) => `https://api.soundcloud.com/playlists/${playlistId}/tracks`,
+  PERMALINK: (path) => `https://soundcloud.com/${path}`,
+};
+
+// YouTube Data API v3 Endpoints
+// Documentation: https://developers.google.com/youtube/v3/docs
+// API endpoints take an optional base URL so the client can point at a local mock server
+const YOUTUBE_BASE_URL = 'https://www.googleapis.com/youtube/v3';
+const YOUTUBE = {
+  BASE_URL: YOUTUBE_BASE_URL,
+  PLAYLISTS: (baseUrl = YOUTUBE_BASE_URL) => `${baseUrl}/playlists`,
+  PLAYLIST_ITEMS: (baseUrl = YOUTUBE_BASE_URL) => `${baseUrl}/playlistItems`,
+  VIDEOS: (baseUrl = YOUTUBE_BASE_URL) => `${baseUrl}/videos`,
+  VIDEO_CATEGORIES: (baseUrl = YOUTUBE_BASE_URL) => `${baseUrl}/videoCategories`,
+  WATCH: (videoId) => `https://www.youtube.com/watch?v=${videoId}`,
+  PLAYLIST_PAGE: (playlistId) => `https://www.youtube.com/playlist?list=${playlistId}`,
+};
+
+// oEmbed Endpoints (no credentials needed), used to enrich pasted links
+// Documentation: https://oembed.com/
+const OEMBED = {
+  YOUTUBE: 'https://www.youtube.com/oembed',
+  SOUNDCLOUD: 'https://soundcloud.com/oembed',
 };
 
 // Notion API Endpoints
@@ -42,6 +111,11 @@ const NOTION = {
 module.exports = {
   SPOTIFY,
   APPLE_MUSIC,
+  DEEZER,
+  TIDAL,
+  SOUNDCLOUD,
+  YOUTUBE,
+  OEMBED,
   NOTION,
 };
 
@@ -0,0 +1,231 @@
+/**
+ * Local Audio File Ingestion
+ *
+ * Scans a directory of MP3/FLAC/M4A/WAV files and records each one in Notion.
+ * Files whose ISRC or title/artist match an existing page are attached to it;
+ * the rest become 'File Upload' records. Every page remembers the file's path
+ * and content hash, so re-running over the same folder changes nothing.
+ *
+ * Dependencies: notionClient.js, trackIndex.js, schema.js, utils/audioMetadata.js, utils/logger.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const notionClient = require('./notionClient');
+const trackIndex = require('./trackIndex');
+const { NOTION_FIELDS, extractPropertyValue } = require('./schema');
+const { readAudioMetadata, SUPPORTED_EXTENSIONS } = require('./utils/audioMetadata');
+const logger = require('./utils/logger');
+
+// Source value for records created from local files
+const FILE_UPLOAD_SOURCE = 'File Upload';
+
+/**
+ * Recursively list the supported audio files in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<Array<string>>} - Absolute file paths, sorted
+ */
+async function findAudioFiles(dir) {
+  const files = [];
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    // Skip hidden files and folders (.DS_Store, ._ resource forks, ...)
+    if (entry.name.startsWith('.')) continue;
+
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findAudioFiles(entryPath));
+    } else if (entry.isFile() && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(path.resolve(entryPath));
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Hash a file's contents
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - SHA-256 hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Build track data for a local file from its tags
+ * @param {string} filePath - Absolute file path
+ * @param {Object} metadata - Tags from readAudioMetadata()
+ * @param {string} fileHash - SHA-256 of the file
+ * @returns {Object} - Track data (no `source`: local files belong to no streaming service)
+ */
+function buildFileTrackData(filePath, metadata, fileHash) {
+  const missingFields = [];
+
+  const trackData = {
+    // Untagged files fall back to their file name
+    title: metadata.title || path.basename(filePath, path.extname(filePath)),
+    duration: metadata.duration,
+    trackNumber: metadata.trackNumber,
+    album: metadata.album,
+    releaseDate: metadata.date,
+    composer: metadata.composer,
+    genre: metadata.genre,
+    label: metadata.label,
+    isrc: metadata.isrc,
+    playlist: FILE_UPLOAD_SOURCE,
+    filePath,
+    fileHash,
+  };
+
+  if (!metadata.title) missingFields.push('title');
+
+  if (metadata.artist) {
+    trackData.artist = metadata.artist;
+    trackData.performedBy = metadata.artist;
+  } else {
+    missingFields.push('artist');
+  }
+
+  if (!metadata.isrc) missingFields.push('isrc');
+  if (!metadata.duration) missingFields.push('duration');
+
+  if (missingFields.length > 0) {
+    logger.metadataGap(filePath, FILE_UPLOAD_SOURCE, missingFields);
+  }
+
+  return trackData;
+}
+
+/**
+ * Record one local file in Notion
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string>} - Result: 'created', 'matched', 'updated', 'unchanged' or 'duplicate'
+ */
+async function ingestFile(filePath) {
+  const fileHash = await hashFile(filePath);
+
+  // Already ingested: the same contents, possibly moved or re-tagged in place
+  const { page: ingestedPage, matchedBy: fileMatch } = trackIndex.findFile({ hash: fileHash, path: filePath });
+  if (ingestedPage) {
+    const ingestedPath = extractPropertyValue(ingestedPage.properties[NOTION_FIELDS.FILE_PATH]);
+    const fields = [];
+    if (ingestedPath !== filePath) {
+      // An identical copy elsewhere in the folder; the recorded file still exists
+      if (ingestedPath && fs.existsSync(ingestedPath)) {
+        logger.info(`Skipped duplicate file: ${filePath}`, { pageId: ingestedPage.id, ingestedFile: ingestedPath });
+        return 'duplicate';
+      }
+      fields.push(NOTION_FIELDS.FILE_PATH);
+    }
+    if (fileMatch === 'filePath') {
+      fields.push(NOTION_FIELDS.FILE_HASH);
+    }
+    if (fields.length === 0) {
+      logger.debug(`File already ingested: ${filePath}`, { pageId: ingestedPage.id });
+      return 'unchanged';
+    }
+
+    await notionClient.updateTrack(ingestedPage, { filePath, fileHash }, fields);
+    trackIndex.reindex(ingestedPage);
+    logger.info(`📁 Updated ingested file: ${filePath}`, { pageId: ingestedPage.id, fields });
+    return 'updated';
+  }
+
+  const metadata = await readAudioMetadata(filePath);
+  const trackData = buildFileTrackData(filePath, metadata, fileHash);
+
+  // The recording is already in Notion (from a playlist or an earlier file): attach the file
+  const { page: existingTrack, matchedBy } = trackIndex.findTrack(trackData);
+  if (existingTrack && extractPropertyValue(existingTrack.properties[NOTION_FIELDS.FILE_HASH])) {
+    // Another copy of the recording (e.g. a WAV next to an MP3) already owns the page
+    logger.info(`Skipped duplicate file: ${filePath}`, {
+      pageId: existingTrack.id,
+      matchedBy,
+      ingestedFile: extractPropertyValue(existingTrack.properties[NOTION_FIELDS.FILE_PATH]),
+    });
+    return 'duplicate';
+  }
+  if (existingTrack) {
+    await notionClient.updateTrack(existingTrack, trackData, [NOTION_FIELDS.FILE_PATH, NOTION_FIELDS.FILE_HASH]);
+    trackIndex.reindex(existingTrack);
+    logger.info(`🔗 Attached file to existing track: ${trackData.title}`, {
+      pageId: existingTrack.id,
+      matchedBy,
+      filePath,
+    });
+    return 'matched';
+  }
+
+  const newPage = await notionClient.createTrack(trackData);
+  trackIndex.add(newPage);
+  logger.info(`📁 Created File Upload record: ${trackData.title}`, {
+    pageId: newPage.id,
+    filePath,
+  });
+  return 'created';
+}
+
+/**
+ * Ingest every supported audio file in a directory
+ * @param {string} dir - Directory to scan (recursively)
+ * @returns {Promise<Object>} - Results with per-outcome counts and failed files
+ */
+async function ingestFiles(dir) {
+  const startTime = Date.now();
+  const results = { files: 0, created: 0, matched: 0, updated: 0, unchanged: 0, duplicate: 0, errors: 0, failures: [] };
+
+  const stats = await fs.promises.stat(dir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  try {
+    const files = await findAudioFiles(dir);
+    results.files = files.length;
+    logger.info(`📁 Ingesting ${files.length} audio files`, { dir: path.resolve(dir) });
+
+    // Without these a re-run can't recognise ingested files and would create them again
+    const live = await notionClient.getLiveProperties();
+    const missing = [NOTION_FIELDS.FILE_PATH, NOTION_FIELDS.FILE_HASH].filter(field => live && !live.has(field));
+    if (missing.length > 0) {
+      throw new Error(`Database is missing ${missing.join(', ')}. Run \`node sync.js schema migrate\` before ingesting files.`);
+    }
+
+    await trackIndex.ensureLoaded();
+
+    for (const filePath of files) {
+      try {
+        const result = await ingestFile(filePath);
+        results[result]++;
+      } catch (error) {
+        results.errors++;
+        results.failures.push({ file: filePath, error: error.message });
+        logger.error(`Failed to ingest file: ${filePath}`, { error: error.message });
+      }
+    }
+
+    results.duration = Date.now() - startTime;
+    logger.info('✅ File ingestion completed', results);
+
+    return results;
+  } catch (error) {
+    logger.error(`File ingestion failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  ingestFiles,
+  ingestFile,
+  findAudioFiles,
+  hashFile,
+};
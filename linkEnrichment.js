@@ -0,0 +1,229 @@
+/**
+ * Link Only Enrichment
+ *
+ * Supervisors add rows with Source = 'Link Only' and nothing but a pasted URL.
+ * Cleanup deliberately leaves those rows alone, so this pass fills them in:
+ * Spotify and Apple Music track/album links are looked up through their
+ * providers, YouTube and SoundCloud links through oEmbed (no credentials
+ * needed). Only automated fields that are still empty are written, so
+ * anything the supervisor typed is kept.
+ *
+ * Dependencies: node-fetch, notionClient.js, providers.js, trackIndex.js, schema.js,
+ *               endpoints.js, youtubeClient.js, utils/logger.js
+ */
+
+const fetch = require('node-fetch');
+const notionClient = require('./notionClient');
+const providers = require('./providers');
+const trackIndex = require('./trackIndex');
+const youtubeClient = require('./youtubeClient');
+const { NOTION_FIELDS, extractPropertyValue } = require('./schema');
+const { OEMBED } = require('./endpoints');
+const logger = require('./utils/logger');
+
+// Source value of rows added by pasting a link
+const LINK_ONLY_SOURCE = 'Link Only';
+
+// Automated fields that describe membership or the row itself, not the linked recording
+const NON_METADATA_FIELDS = [
+  NOTION_FIELDS.URL,
+  NOTION_FIELDS.SOURCE,
+  NOTION_FIELDS.PLAYLISTS,
+  NOTION_FIELDS.TYPE,
+  NOTION_FIELDS.REMOVED,
+  NOTION_FIELDS.REMOVED_ON,
+  NOTION_FIELDS.RESTORED_ON,
+  NOTION_FIELDS.CREATED_TIME,
+];
+
+/**
+ * Split an oEmbed title of the form "Title by Artist" / "Title, by Artist"
+ * @param {string} title - oEmbed title
+ * @param {string} authorName - oEmbed author (uploader or band)
+ * @returns {Object} - { title, artist }
+ */
+function splitByline(title, authorName) {
+  const match = (title || '').match(/^(.*?),? by (.+)$/);
+  if (match && (!authorName || match[2] === authorName)) {
+    return { title: match[1].trim(), artist: match[2].trim() };
+  }
+  return { title: (title || '').trim(), artist: authorName || null };
+}
+
+// Links resolved through oEmbed: endpoint and how to read the response
+const OEMBED_SERVICES = [
+  {
+    name: 'YouTube',
+    pattern: /(?:youtube\.com\/watch\?|youtu\.be\/|music\.youtube\.com\/watch\?)/,
+    endpoint: OEMBED.YOUTUBE,
+    toTrackData: (data, url) => ({
+      source: 'YouTube',
+      sourceId: youtubeClient.extractTrackId(url),
+      ...youtubeClient.parseVideoTitle(data.title, data.author_name),
+      artwork: data.thumbnail_url,
+    }),
+  },
+  {
+    name: 'SoundCloud',
+    pattern: /soundcloud\.com\//,
+    endpoint: OEMBED.SOUNDCLOUD,
+    toTrackData: (data) => ({
+      source: 'SoundCloud',
+      ...splitByline(data.title, data.author_name),
+      artwork: data.thumbnail_url,
+    }),
+  },
+];
+
+/**
+ * Fetch an oEmbed description of a link
+ * @param {string} endpoint - oEmbed endpoint
+ * @param {string} url - Link to describe
+ * @returns {Promise<Object|null>} - oEmbed response, or null if the link is private or gone
+ */
+async function fetchOEmbed(endpoint, url) {
+  const response = await fetch(`${endpoint}?${new URLSearchParams({ format: 'json', url })}`);
+
+  if (response.status === 401 || response.status === 403 || response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`oEmbed request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Look up metadata for a pasted link
+ * @param {string} url - Track or album URL
+ * @returns {Promise<Object|null>} - { via, trackData } or null when the link isn't recognised or resolvable
+ */
+async function resolveLink(url) {
+  // Catalog services first: they know ISRC, album, duration and label
+  for (const provider of providers.getProviders()) {
+    if (!provider.lookupUrl || !provider.isConfigured()) continue;
+
+    // A failed lookup still leaves the other providers and oEmbed to try
+    try {
+      const trackData = await provider.lookupUrl(url);
+      if (trackData) {
+        return { via: provider.name, trackData };
+      }
+    } catch (error) {
+      logger.warn(`${provider.name} lookup failed for ${url}`, { error: error.message });
+    }
+  }
+
+  const service = OEMBED_SERVICES.find(candidate => candidate.pattern.test(url));
+  if (!service) return null;
+
+  const data = await fetchOEmbed(service.endpoint, url);
+  if (!data) return null;
+
+  const trackData = service.toTrackData(data, url);
+  trackData.url = url;
+  trackData.performedBy = trackData.artist;
+  return { via: `${service.name} oEmbed`, trackData };
+}
+
+/**
+ * Check whether a Notion property has no value
+ * @param {Object} property - Notion property value
+ * @returns {boolean} - True when empty
+ */
+function isEmpty(property) {
+  const value = extractPropertyValue(property);
+  return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Get the pasted link of a Link Only row
+ * @param {Object} page - Notion page object
+ * @returns {string|null} - The URL field, else the first per-service URL
+ */
+function getPageLink(page) {
+  const fields = [NOTION_FIELDS.URL, ...providers.getProviders().map(provider => provider.urlField).filter(Boolean)];
+  for (const field of fields) {
+    const url = extractPropertyValue(page.properties[field]);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+ * Find Link Only rows that have a link but are missing a title or artist
+ * @returns {Array<Object>} - Notion page objects
+ */
+function findBareLinkRows() {
+  return trackIndex.getPages().filter(page =>
+    extractPropertyValue(page.properties[NOTION_FIELDS.SOURCE]) === LINK_ONLY_SOURCE &&
+    getPageLink(page) &&
+    (isEmpty(page.properties[NOTION_FIELDS.TRACK_TITLE]) || isEmpty(page.properties[NOTION_FIELDS.ARTIST])));
+}
+
+/**
+ * Fill empty metadata on bare Link Only rows
+ * @param {Object} options - Enrichment options
+ * @param {boolean} options.reuseIndex - Use the already loaded track index (e.g. right after a sync)
+ * @returns {Promise<Object>} - Counts: candidates, enriched, unchanged, unresolved, errors
+ */
+async function enrichLinkOnlyTracks(options = {}) {
+  const results = { candidates: 0, enriched: 0, unchanged: 0, unresolved: 0, errors: 0 };
+
+  try {
+    if (!options.reuseIndex || !trackIndex.isLoaded()) {
+      await trackIndex.load();
+    }
+
+    const rows = findBareLinkRows();
+    results.candidates = rows.length;
+    logger.info(`🔗 Enriching ${rows.length} Link Only rows`);
+
+    for (const page of rows) {
+      const url = getPageLink(page);
+
+      try {
+        const resolved = await resolveLink(url);
+        if (!resolved) {
+          results.unresolved++;
+          logger.debug(`No metadata found for link: ${url}`, { pageId: page.id });
+          continue;
+        }
+
+        // Only fill what is empty, and only fields the sync owns
+        const fields = Object.keys(notionClient.buildTrackProperties(resolved.trackData, true))
+          .filter(field => !NON_METADATA_FIELDS.includes(field))
+          .filter(field => page.properties[field] && isEmpty(page.properties[field]));
+
+        if (fields.length === 0) {
+          results.unchanged++;
+          continue;
+        }
+
+        await notionClient.updateTrack(page, resolved.trackData, fields);
+        trackIndex.reindex(page);
+        results.enriched++;
+        logger.info(`🔗 Enriched Link Only row: ${resolved.trackData.title}`, {
+          pageId: page.id,
+          via: resolved.via,
+          fields,
+        });
+      } catch (error) {
+        results.errors++;
+        logger.warn(`Could not enrich Link Only row: ${url}`, { pageId: page.id, error: error.message });
+      }
+    }
+
+    logger.info('✅ Link enrichment completed', results);
+    return results;
+  } catch (error) {
+    logger.error(`Link enrichment failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  enrichLinkOnlyTracks,
+  resolveLink,
+};
@@ -4,52 +4,169 @@
  * Handles all Notion API interactions including database queries, page creation,
  * and updates for the music sync automation.
  * 
- * Dependencies: @notionhq/client, config.js, schema.js, utils/logger.js
+ * Dependencies: @notionhq/client, config.js, schema.js, providers.js, utils/logger.js, utils/rateLimiter.js
  * API Docs: https://developers.notion.com/reference/
  */
 
 const { Client } = require('@notionhq/client');
 const config = require('./config');
-const { NOTION_FIELDS, formatRichText, formatTitle, formatDate, formatDuration, formatReleaseYear, formatSelect, formatUrl, formatNumber, formatCheckbox, formatMultiSelect } = require('./schema');
+const { NOTION_FIELDS, DATABASE_SCHEMA, PLAYLIST_FIELDS, ARTIST_FIELDS, ALBUM_FIELDS, MANUAL_SOURCES, extractPropertyValue, formatRichText, formatTitle, formatDate, formatDuration, formatReleaseYear, formatSelect, formatUrl, formatNumber, formatCheckbox, formatMultiSelect, formatPropertyValue } = require('./schema');
 const { NOTION } = require('./endpoints');
+const providers = require('./providers');
 const logger = require('./utils/logger');
+const { createRateLimiter } = require('./utils/rateLimiter');
 
 // Initialize Notion client
 const notion = new Client({
   auth: config.notion.apiKey,
 });
 
+// Shared limiter keeping every Notion call within the ~3 requests/second budget
+const notionLimiter = createRateLimiter({
+  requestsPerSecond: config.concurrency.notionRequestsPerSecond,
+});
+
+/**
+ * Make a rate-limited Notion API call with retry on rate limiting
+ * @param {Function} operation - Function performing the Notion SDK call
+ * @returns {Promise<Object>} - API response
+ */
+async function notionRequest(operation) {
+  const maxRetries = 3;
+  let retryCount = 0;
+
+  while (retryCount < maxRetries) {
+    try {
+      return await notionLimiter.schedule(operation);
+    } catch (error) {
+      // Notion Rate Limits: https://developers.notion.com/reference/request-limits
+      if (error.code !== 'rate_limited' || retryCount === maxRetries - 1) {
+        throw error;
+      }
+
+      retryCount++;
+      const retryAfter = parseInt(error.headers?.get?.('retry-after') || '1');
+      logger.warn(`Notion rate limited, waiting ${retryAfter}s`, {
+        retryAfter,
+        attempt: retryCount,
+      });
+
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+    }
+  }
+}
+
+// Property names of the live tracks database, read once per run
+let liveProperties = null;
+
+// Optional properties already reported missing, so each is warned about once
+const reportedMissingProperties = new Set();
+
 /**
- * Query database for existing tracks
- * @param {Object} filters - Notion filter object
+ * Get the property names the live tracks database has
+ * @returns {Promise<Set<string>|null>} - Property names, or null when the schema couldn't be read
+ */
+async function getLiveProperties() {
+  if (!liveProperties) {
+    liveProperties = getDatabaseSchema().then(database => new Set(Object.keys(database.properties)));
+    // A failed read is retried by the next write instead of sticking
+    liveProperties.catch(() => { liveProperties = null; });
+  }
+
+  try {
+    return await liveProperties;
+  } catch (error) {
+    logger.warn('Could not read the database schema, writing every property', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Drop optional properties the live database doesn't have, so a database
+ * created before a property was added keeps syncing until `schema migrate` adds it
+ * @param {Object} properties - Notion properties object (changed in place)
+ * @returns {Promise<Object>} - The same properties object
+ */
+async function omitMissingProperties(properties) {
+  const live = await getLiveProperties();
+  if (!live) return properties;
+
+  Object.keys(properties).forEach(field => {
+    if (live.has(field) || DATABASE_SCHEMA[field]?.required) return;
+
+    delete properties[field];
+    if (!reportedMissingProperties.has(field)) {
+      reportedMissingProperties.add(field);
+      logger.warn(`Database has no "${field}" property, skipping it. Run \`node sync.js schema migrate\` to add it.`);
+    }
+  });
+
+  return properties;
+}
+
+/**
+ * Query database for existing tracks, following pagination to the end
+ * @param {Object} filters - Notion filter object (omit for every page)
  * @returns {Promise<Array>} - Array of page objects
  */
 async function queryDatabase(filters = {}) {
   try {
-    // Notion Database Query: https://developers.notion.com/reference/post-database-query
-    const response = await notion.databases.query({
-      database_id: config.notion.databaseId,
-      filter: filters,
-      sorts: [
-        {
-          property: NOTION_FIELDS.CREATED_TIME,
-          direction: 'descending',
-        },
-      ],
-    });
+    const results = [];
+    let cursor;
+
+    do {
+      // Notion Database Query: https://developers.notion.com/reference/post-database-query
+      const response = await notionRequest(() => notion.databases.query({
+        database_id: config.notion.databaseId,
+        ...(Object.keys(filters).length > 0 && { filter: filters }),
+        sorts: [
+          {
+            property: NOTION_FIELDS.CREATED_TIME,
+            direction: 'descending',
+          },
+        ],
+        page_size: 100,
+        start_cursor: cursor,
+      }));
+
+      results.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
 
     logger.debug(`Queried Notion database`, {
       databaseId: config.notion.databaseId,
-      resultCount: response.results.length,
+      resultCount: results.length,
     });
 
-    return response.results;
+    return results;
   } catch (error) {
     logger.error(`Failed to query Notion database: ${error.message}`, error);
     throw error;
   }
 }
 
+/**
+ * Apply written property values to a local page object, so in-memory copies
+ * (such as the track index) stay current without re-querying Notion
+ * @param {Object} page - Page object to update in place
+ * @param {Object} properties - Notion properties object that was written
+ * @returns {Object} - The same page object
+ */
+function applyLocalProperties(page, properties) {
+  page.properties = page.properties || {};
+
+  Object.entries(properties).forEach(([field, value]) => {
+    const type = Object.keys(value)[0];
+    page.properties[field] = {
+      ...page.properties[field],
+      type,
+      ...value,
+    };
+  });
+
+  return page;
+}
+
 /**
  * Search for existing track by ISRC
  * @param {string} isrc - ISRC code to search for
@@ -127,20 +244,20 @@ async function findTrackByTitleArtist(title, artist) {
  */
 async function createTrack(trackData) {
   try {
-    const properties = buildTrackProperties(trackData);
+    const properties = await omitMissingProperties(buildTrackProperties(trackData));
     
     if (config.config.dryRun) {
       logger.info('DRY RUN: Would create track', { trackData });
-      return { id: 'dry-run-id', properties };
+      return applyLocalProperties({ id: `dry-run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }, properties);
     }
 
     // Notion Create Page: https://developers.notion.com/reference/post-page
-    const response = await notion.pages.create({
+    const response = await notionRequest(() => notion.pages.create({
       parent: {
         database_id: config.notion.databaseId,
       },
       properties,
-    });
+    }));
 
     logger.info(`Created new track record`, {
       pageId: response.id,
@@ -161,24 +278,43 @@ async function createTrack(trackData) {
 
 /**
  * Update existing track record in Notion
- * @param {string} pageId - Page ID to update
+ * @param {string|Object} page - Page ID, or page object to keep in sync locally
  * @param {Object} trackData - Track metadata object
+ * @param {Array<string>|null} fields - Only write these properties (all automated fields if null)
  * @returns {Promise<Object>} - Updated page object
  */
-async function updateTrack(pageId, trackData) {
+async function updateTrack(page, trackData, fields = null) {
+  const pageId = typeof page === 'string' ? page : page.id;
+
   try {
     const properties = buildTrackProperties(trackData, true);
+
+    if (fields) {
+      Object.keys(properties).forEach(field => {
+        if (!fields.includes(field)) {
+          delete properties[field];
+        }
+      });
+    }
+    await omitMissingProperties(properties);
+    if (Object.keys(properties).length === 0) {
+      return { id: pageId, properties };
+    }
     
+    if (typeof page === 'object') {
+      applyLocalProperties(page, properties);
+    }
+
     if (config.config.dryRun) {
-      logger.info('DRY RUN: Would update track', { pageId, trackData });
+      logger.info('DRY RUN: Would update track', { pageId, fields: Object.keys(properties), trackData });
       return { id: pageId, properties };
     }
 
     // Notion Update Page: https://developers.notion.com/reference/patch-page
-    const response = await notion.pages.update({
+    const response = await notionRequest(() => notion.pages.update({
       page_id: pageId,
       properties,
-    });
+    }));
 
     logger.info(`Updated track record`, {
       pageId,
@@ -200,25 +336,37 @@ async function updateTrack(pageId, trackData) {
 
 /**
  * Mark track as removed
- * @param {string} pageId - Page ID to mark as removed
+ * @param {string|Object} page - Page ID to mark as removed, or page object to keep in sync locally
  * @returns {Promise<Object>} - Updated page object
  */
-async function markTrackRemoved(pageId) {
+async function markTrackRemoved(page) {
+  const pageId = typeof page === 'string' ? page : page.id;
+  const properties = {
+    [NOTION_FIELDS.REMOVED]: {
+      checkbox: true,
+    },
+    [NOTION_FIELDS.REMOVED_ON]: {
+      date: formatDate(new Date()),
+    },
+  };
+
   try {
+    await omitMissingProperties(properties);
+
+    if (typeof page === 'object') {
+      applyLocalProperties(page, properties);
+    }
+
     if (config.config.dryRun) {
       logger.info('DRY RUN: Would mark track as removed', { pageId });
       return { id: pageId };
     }
 
     // Notion Update Page: https://developers.notion.com/reference/patch-page
-    const response = await notion.pages.update({
+    const response = await notionRequest(() => notion.pages.update({
       page_id: pageId,
-      properties: {
-        [NOTION_FIELDS.REMOVED]: {
-          checkbox: true,
-        },
-      },
-    });
+      properties,
+    }));
 
     logger.info(`Marked track as removed`, { pageId });
     return response;
@@ -228,6 +376,272 @@ async function markTrackRemoved(pageId) {
   }
 }
 
+/**
+ * Restore a track that was marked removed and has been added back to a playlist
+ * @param {string|Object} page - Page ID to restore, or page object to keep in sync locally
+ * @returns {Promise<Object>} - Updated page object
+ */
+async function restoreTrack(page) {
+  const pageId = typeof page === 'string' ? page : page.id;
+  const properties = {
+    [NOTION_FIELDS.REMOVED]: {
+      checkbox: false,
+    },
+    [NOTION_FIELDS.RESTORED_ON]: {
+      date: formatDate(new Date()),
+    },
+  };
+
+  try {
+    await omitMissingProperties(properties);
+
+    if (typeof page === 'object') {
+      applyLocalProperties(page, properties);
+    }
+
+    if (config.config.dryRun) {
+      logger.info('DRY RUN: Would restore removed track', { pageId });
+      return { id: pageId };
+    }
+
+    // Notion Update Page: https://developers.notion.com/reference/patch-page
+    const response = await notionRequest(() => notion.pages.update({
+      page_id: pageId,
+      properties,
+    }));
+
+    logger.info(`Restored removed track`, { pageId });
+    return response;
+  } catch (error) {
+    logger.error(`Failed to restore track ${pageId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the per-service URL property for a track source
+ * @param {string} source - Track source (provider name, e.g. 'Spotify')
+ * @returns {string|null} - Notion property name or null if the service has none
+ */
+function getServiceUrlField(source) {
+  return providers.getProviderByName(source)?.urlField || null;
+}
+
+/**
+ * Check whether a Source value is a synced playlist label ('Spotify - Name')
+ * @param {string} source - Source property value
+ * @returns {string|null} - Provider name the label belongs to, or null
+ */
+function getSyncedSourceService(source) {
+  if (!source) return null;
+  const provider = providers.getProviders().find(candidate => source.startsWith(`${candidate.name} - `));
+  return provider ? provider.name : null;
+}
+
+/**
+ * Get the services a page is already present on
+ * @param {Object} page - Notion page object
+ * @returns {Array<string>} - Service names (e.g. 'Spotify', 'Apple Music')
+ */
+function getPageServices(page) {
+  const services = extractPropertyValue(page.properties[NOTION_FIELDS.SERVICES]) || [];
+
+  // Pages created before the Services field existed only carry the Source prefix
+  const sourceService = getSyncedSourceService(extractPropertyValue(page.properties[NOTION_FIELDS.SOURCE]));
+  if (sourceService && !services.includes(sourceService)) {
+    services.push(sourceService);
+  }
+
+  return services;
+}
+
+/**
+ * Merge another service's copy of a recording into an existing page.
+ * Adds the service URL and the service itself; nothing else changes.
+ * @param {Object} page - Existing Notion page object
+ * @param {Object} trackData - Track data from the other service
+ * @returns {Promise<Array<string>|null>} - Names of merged fields, or null if nothing to merge
+ */
+async function mergeServiceIntoTrack(page, trackData) {
+  const services = getPageServices(page);
+  const urlField = getServiceUrlField(trackData.source);
+  const existingUrl = urlField ? extractPropertyValue(page.properties[urlField]) : null;
+
+  if (services.includes(trackData.source) && (existingUrl || !trackData.url)) {
+    return null;
+  }
+
+  const properties = {};
+
+  if (page.properties[NOTION_FIELDS.SERVICES]) {
+    properties[NOTION_FIELDS.SERVICES] = {
+      multi_select: formatMultiSelect([...new Set([...services, trackData.source])]),
+    };
+  }
+
+  if (urlField && trackData.url && page.properties[urlField]) {
+    properties[urlField] = {
+      url: formatUrl(trackData.url),
+    };
+  }
+
+  const fields = Object.keys(properties);
+  if (fields.length === 0) {
+    return null;
+  }
+
+  try {
+    applyLocalProperties(page, properties);
+
+    if (config.config.dryRun) {
+      logger.info('DRY RUN: Would merge service into track', { pageId: page.id, source: trackData.source, fields });
+      return fields;
+    }
+
+    // Notion Update Page: https://developers.notion.com/reference/patch-page
+    await notionRequest(() => notion.pages.update({
+      page_id: page.id,
+      properties,
+    }));
+
+    logger.info(`Merged ${trackData.source} into existing track`, {
+      pageId: page.id,
+      title: trackData.title,
+      isrc: trackData.isrc,
+      fields,
+    });
+
+    return fields;
+  } catch (error) {
+    logger.error(`Failed to merge ${trackData.source} into track ${page.id}: ${error.message}`, {
+      pageId: page.id,
+      trackData,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the playlist memberships recorded on a page
+ * @param {Object} page - Notion page object
+ * @returns {Array<string>} - Playlist labels (e.g. 'Spotify - Name')
+ */
+function getPageMemberships(page) {
+  const memberships = extractPropertyValue(page.properties[NOTION_FIELDS.PLAYLISTS]) || [];
+  if (memberships.length > 0) return memberships;
+
+  // Pages created before the Playlists field existed only carry their first playlist in Source
+  const source = extractPropertyValue(page.properties[NOTION_FIELDS.SOURCE]);
+  return getSyncedSourceService(source) ? [source] : [];
+}
+
+/**
+ * Write playlist memberships and the Type derived from them
+ * @param {Object} page - Existing Notion page object
+ * @param {Array<string>} memberships - Playlist labels the track belongs to
+ * @param {Array<string>} types - Types derived from the memberships
+ * @param {Array<string>|null} playlistPageIds - Playlists database pages to relate (null leaves the relation alone)
+ * @returns {Promise<boolean>} - True if the page changed
+ */
+async function updateMemberships(page, memberships, types, playlistPageIds = null) {
+  const currentMemberships = getPageMemberships(page);
+  const currentTypes = extractPropertyValue(page.properties[NOTION_FIELDS.TYPE]) || [];
+  const sameSet = (a, b) => a.length === b.length && a.every(value => b.includes(value));
+
+  const properties = {};
+
+  if (page.properties[NOTION_FIELDS.PLAYLISTS] && !sameSet(currentMemberships, memberships)) {
+    properties[NOTION_FIELDS.PLAYLISTS] = {
+      multi_select: formatMultiSelect(memberships),
+    };
+  }
+
+  if (types.length > 0 && !sameSet(currentTypes, types)) {
+    properties[NOTION_FIELDS.TYPE] = {
+      multi_select: formatMultiSelect(types),
+    };
+  }
+
+  const currentPlaylistPages = extractPropertyValue(page.properties[NOTION_FIELDS.PLAYLIST_PAGES]) || [];
+  if (playlistPageIds && page.properties[NOTION_FIELDS.PLAYLIST_PAGES] && !sameSet(currentPlaylistPages, playlistPageIds)) {
+    properties[NOTION_FIELDS.PLAYLIST_PAGES] = {
+      relation: playlistPageIds.map(id => ({ id })),
+    };
+  }
+
+  if (Object.keys(properties).length === 0) {
+    return false;
+  }
+
+  try {
+    applyLocalProperties(page, properties);
+
+    if (config.config.dryRun) {
+      logger.info('DRY RUN: Would update playlist memberships', { pageId: page.id, memberships, types });
+      return true;
+    }
+
+    // Notion Update Page: https://developers.notion.com/reference/patch-page
+    await notionRequest(() => notion.pages.update({
+      page_id: page.id,
+      properties,
+    }));
+
+    logger.info(`Updated playlist memberships`, {
+      pageId: page.id,
+      from: currentMemberships,
+      to: memberships,
+      types,
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Failed to update memberships for track ${page.id}: ${error.message}`, {
+      pageId: page.id,
+      memberships,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Set relation properties on an existing track
+ * @param {Object} page - Existing Notion page object
+ * @param {Object} relations - Related page IDs keyed by relation property name
+ * @returns {Promise<Object>} - The page, with the relations applied
+ */
+async function updateTrackRelations(page, relations) {
+  const properties = Object.fromEntries(Object.entries(relations).map(([field, ids]) =>
+    [field, { relation: ids.map(id => ({ id })) }]));
+
+  try {
+    applyLocalProperties(page, properties);
+
+    if (config.config.dryRun) {
+      logger.info('DRY RUN: Would update track relations', { pageId: page.id, relations });
+      return page;
+    }
+
+    // Notion Update Page: https://developers.notion.com/reference/patch-page
+    await notionRequest(() => notion.pages.update({
+      page_id: page.id,
+      properties,
+    }));
+
+    logger.info(`Updated track relations`, { pageId: page.id, fields: Object.keys(relations) });
+
+    return page;
+  } catch (error) {
+    logger.error(`Failed to update relations for track ${page.id}: ${error.message}`, {
+      pageId: page.id,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 /**
  * Build Notion properties object from track data
  * @param {Object} trackData - Track metadata
@@ -290,6 +704,58 @@ function buildTrackProperties(trackData, isUpdate = false) {
     properties[NOTION_FIELDS.URL] = {
       url: formatUrl(trackData.url),
     };
+
+    // Keep a per-service copy so URLs from other services can live alongside it
+    const urlField = getServiceUrlField(trackData.source);
+    if (urlField) {
+      properties[urlField] = {
+        url: formatUrl(trackData.url),
+      };
+    }
+  }
+
+  if (trackData.filePath) {
+    properties[NOTION_FIELDS.FILE_PATH] = {
+      rich_text: formatRichText(trackData.filePath),
+    };
+  }
+
+  if (trackData.fileHash) {
+    properties[NOTION_FIELDS.FILE_HASH] = {
+      rich_text: formatRichText(trackData.fileHash),
+    };
+  }
+
+  if (trackData.kind) {
+    properties[NOTION_FIELDS.KIND] = {
+      select: formatSelect(trackData.kind),
+    };
+  }
+
+  // Only services that report playability set this, so it is never reset by the others
+  if (trackData.unavailable !== undefined) {
+    properties[NOTION_FIELDS.UNAVAILABLE] = {
+      checkbox: formatCheckbox(trackData.unavailable),
+    };
+  }
+
+  // A track that is playable again loses its old reason
+  if (trackData.unavailableReason || trackData.unavailable === false) {
+    properties[NOTION_FIELDS.UNAVAILABLE_REASON] = {
+      rich_text: formatRichText(trackData.unavailable === false ? null : trackData.unavailableReason),
+    };
+  }
+
+  if (trackData.artwork) {
+    properties[NOTION_FIELDS.ARTWORK] = {
+      url: formatUrl(trackData.artwork),
+    };
+  }
+
+  if (trackData.source) {
+    properties[NOTION_FIELDS.SERVICES] = {
+      multi_select: formatMultiSelect(trackData.source),
+    };
   }
 
   if (trackData.playlist) {
@@ -298,6 +764,33 @@ function buildTrackProperties(trackData, isUpdate = false) {
     };
   }
 
+  // Manual sources ('File Upload', 'CSV Import') are not playlist memberships
+  if (trackData.playlist && !MANUAL_SOURCES.includes(trackData.playlist)) {
+    properties[NOTION_FIELDS.PLAYLISTS] = {
+      multi_select: formatMultiSelect(trackData.playlist),
+    };
+  }
+
+  // The relation is only written on create; afterwards it follows the memberships
+  if (!isUpdate && trackData.playlistPageId && DATABASE_SCHEMA[NOTION_FIELDS.PLAYLIST_PAGES]) {
+    properties[NOTION_FIELDS.PLAYLIST_PAGES] = {
+      relation: [{ id: trackData.playlistPageId }],
+    };
+  }
+
+  // Artist and album pages are resolved by the orchestrator before a track is created
+  if (!isUpdate && trackData.artistPageIds?.length > 0 && DATABASE_SCHEMA[NOTION_FIELDS.ARTIST_PAGES]) {
+    properties[NOTION_FIELDS.ARTIST_PAGES] = {
+      relation: trackData.artistPageIds.map(id => ({ id })),
+    };
+  }
+
+  if (!isUpdate && trackData.albumPageId && DATABASE_SCHEMA[NOTION_FIELDS.ALBUM_PAGE]) {
+    properties[NOTION_FIELDS.ALBUM_PAGE] = {
+      relation: [{ id: trackData.albumPageId }],
+    };
+  }
+
   if (trackData.type) {
     properties[NOTION_FIELDS.TYPE] = {
       multi_select: formatMultiSelect(trackData.type),
@@ -310,7 +803,31 @@ function buildTrackProperties(trackData, isUpdate = false) {
     };
   }
 
-  // Set removed to false for new/updated tracks
+  if (trackData.producer) {
+    properties[NOTION_FIELDS.PRODUCER] = {
+      rich_text: formatRichText(trackData.producer),
+    };
+  }
+
+  // Any other properties by Notion name (CSV imports), formatted by their schema type
+  Object.entries(trackData.extraProperties || {}).forEach(([field, value]) => {
+    const property = formatPropertyValue(field, value);
+    if (property && !properties[field]) {
+      properties[field] = property;
+    }
+  });
+
+  if (isUpdate) {
+    // Updates never touch manual fields or the Removed flag
+    Object.keys(properties).forEach(field => {
+      if (!DATABASE_SCHEMA[field]?.automated) {
+        delete properties[field];
+      }
+    });
+    return properties;
+  }
+
+  // Set removed to false for new tracks
   properties[NOTION_FIELDS.REMOVED] = {
     checkbox: formatCheckbox(false),
   };
@@ -318,6 +835,72 @@ function buildTrackProperties(trackData, isUpdate = false) {
   return properties;
 }
 
+// Automated fields owned by playlist membership or by the service that created
+// the page rather than by track metadata, so a metadata refresh leaves them alone
+const REFRESH_EXCLUDED_FIELDS = [
+  NOTION_FIELDS.URL, // Primary URL belongs to whichever service created the page
+  NOTION_FIELDS.SERVICES,
+  NOTION_FIELDS.SOURCE,
+  NOTION_FIELDS.PLAYLISTS,
+  NOTION_FIELDS.TYPE,
+  NOTION_FIELDS.REMOVED,
+  NOTION_FIELDS.REMOVED_ON,
+  NOTION_FIELDS.RESTORED_ON,
+  NOTION_FIELDS.CREATED_TIME,
+];
+
+/**
+ * Compare an existing page against fresh track data
+ * @param {Object} page - Existing Notion page object
+ * @param {Object} trackData - Fresh track metadata
+ * @returns {Array<Object>} - Changed fields as { field, from, to }
+ */
+function diffTrackProperties(page, trackData) {
+  const fresh = buildTrackProperties(trackData, true);
+  const changes = [];
+
+  for (const [field, value] of Object.entries(fresh)) {
+    if (REFRESH_EXCLUDED_FIELDS.includes(field)) continue;
+
+    // Skip properties the live database doesn't have
+    if (!page.properties[field]) continue;
+
+    const type = DATABASE_SCHEMA[field].type;
+    const to = extractPropertyValue({ type, ...value });
+    const from = extractPropertyValue(page.properties[field]);
+
+    // Never blank out a value the service simply didn't return this time,
+    // except a reason the service says no longer applies
+    const cleared = field === NOTION_FIELDS.UNAVAILABLE_REASON && trackData.unavailable === false;
+    if (!cleared && (to === null || (Array.isArray(to) && to.length === 0))) continue;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Write Unavailable and Unavailable Reason where the service's latest report differs from the page
+ * @param {Object} page - Existing Notion page object
+ * @param {Object} trackData - Fresh track data from a music service
+ * @returns {Promise<boolean>} - True if the page changed
+ */
+async function updateAvailability(page, trackData) {
+  const fields = diffTrackProperties(page, trackData)
+    .map(change => change.field)
+    .filter(field => field === NOTION_FIELDS.UNAVAILABLE || field === NOTION_FIELDS.UNAVAILABLE_REASON);
+
+  if (fields.length === 0) {
+    return false;
+  }
+
+  await updateTrack(page, trackData, fields);
+  return true;
+}
+
 /**
  * Get all tracks from a specific playlist
  * @param {string} playlistName - Name of the playlist
@@ -326,9 +909,9 @@ function buildTrackProperties(trackData, isUpdate = false) {
 async function getPlaylistTracks(playlistName) {
   try {
     const filter = {
-      property: NOTION_FIELDS.SOURCE,
-      rich_text: {
-        equals: playlistName,
+      property: NOTION_FIELDS.PLAYLISTS,
+      multi_select: {
+        contains: playlistName,
       },
     };
 
@@ -348,17 +931,18 @@ async function getPlaylistTracks(playlistName) {
 
 /**
  * Get database schema information
+ * @param {string} databaseId - Database to read (default: the tracks database)
  * @returns {Promise<Object>} - Database schema object
  */
-async function getDatabaseSchema() {
+async function getDatabaseSchema(databaseId = config.notion.databaseId) {
   try {
     // Notion Retrieve Database: https://developers.notion.com/reference/retrieve-a-database
-    const response = await notion.databases.retrieve({
-      database_id: config.notion.databaseId,
-    });
+    const response = await notionRequest(() => notion.databases.retrieve({
+      database_id: databaseId,
+    }));
 
     logger.debug(`Retrieved database schema`, {
-      databaseId: config.notion.databaseId,
+      databaseId,
       title: response.title?.[0]?.text?.content,
       propertyCount: Object.keys(response.properties).length,
     });
@@ -370,15 +954,219 @@ async function getDatabaseSchema() {
   }
 }
 
+/**
+ * Add or change database properties
+ * @param {Object} properties - Notion property schema changes keyed by property name
+ * @param {string} databaseId - Database to change (default: the tracks database)
+ * @returns {Promise<Object>} - Updated database object
+ */
+async function updateDatabaseSchema(properties, databaseId = config.notion.databaseId) {
+  try {
+    if (config.config.dryRun) {
+      logger.info('DRY RUN: Would update database schema', { databaseId, properties: Object.keys(properties) });
+      return { id: databaseId, properties };
+    }
+
+    // Notion Update Database: https://developers.notion.com/reference/update-a-database
+    const response = await notionRequest(() => notion.databases.update({
+      database_id: databaseId,
+      properties,
+    }));
+
+    logger.info(`Updated database schema`, {
+      databaseId,
+      properties: Object.keys(properties),
+    });
+
+    return response;
+  } catch (error) {
+    logger.error(`Failed to update database schema: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get every page of a companion database (Playlists, Artists, Albums)
+ * @param {string} databaseId - Companion database ID
+ * @returns {Promise<Array>} - Array of page objects
+ */
+async function queryCompanionPages(databaseId) {
+  try {
+    const results = [];
+    let cursor;
+
+    do {
+      // Notion Database Query: https://developers.notion.com/reference/post-database-query
+      const response = await notionRequest(() => notion.databases.query({
+        database_id: databaseId,
+        page_size: 100,
+        start_cursor: cursor,
+      }));
+
+      results.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    logger.debug(`Queried companion database`, {
+      databaseId,
+      resultCount: results.length,
+    });
+
+    return results;
+  } catch (error) {
+    logger.error(`Failed to query companion database ${databaseId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Build Notion properties for a Playlists database page
+ * @param {Object} playlist - Playlist metadata from getPlaylist() plus service, playlistId, type and tags
+ * @returns {Object} - Notion properties object
+ */
+function buildPlaylistProperties(playlist) {
+  return {
+    [PLAYLIST_FIELDS.NAME]: { title: formatTitle(playlist.name) },
+    [PLAYLIST_FIELDS.SERVICE]: { select: formatSelect(playlist.service) },
+    [PLAYLIST_FIELDS.PLAYLIST_ID]: { rich_text: formatRichText(playlist.playlistId) },
+    [PLAYLIST_FIELDS.URL]: { url: formatUrl(playlist.url) },
+    // Notion caps a text value at 2000 characters
+    [PLAYLIST_FIELDS.DESCRIPTION]: { rich_text: formatRichText(playlist.description?.slice(0, 2000)) },
+    [PLAYLIST_FIELDS.CURATOR]: { rich_text: formatRichText(playlist.curatorName) },
+    [PLAYLIST_FIELDS.TRACK_COUNT]: { number: formatNumber(playlist.trackCount) },
+    [PLAYLIST_FIELDS.TYPE]: { select: formatSelect(playlist.type) },
+    [PLAYLIST_FIELDS.TAGS]: { multi_select: formatMultiSelect(playlist.tags || []) },
+  };
+}
+
+/**
+ * Build Artists database properties for an artist
+ * Only automated fields are written; Contact, Publisher, PRO and Notes are left to the team.
+ * @param {Object} artist - { name, serviceIds }
+ * @returns {Object} - Notion properties object
+ */
+function buildArtistProperties(artist) {
+  return {
+    [ARTIST_FIELDS.NAME]: { title: formatTitle(artist.name) },
+    [ARTIST_FIELDS.SERVICE_IDS]: { rich_text: formatRichText(artist.serviceIds.join('\n')) },
+  };
+}
+
+/**
+ * Build Albums database properties for a release
+ * @param {Object} album - { name, artist, releaseDate, label, serviceIds }
+ * @returns {Object} - Notion properties object
+ */
+function buildAlbumProperties(album) {
+  return {
+    [ALBUM_FIELDS.NAME]: { title: formatTitle(album.name) },
+    [ALBUM_FIELDS.ARTIST]: { rich_text: formatRichText(album.artist) },
+    [ALBUM_FIELDS.RELEASE_DATE]: { number: formatReleaseYear(album.releaseDate) },
+    [ALBUM_FIELDS.LABEL]: { rich_text: formatRichText(album.label) },
+    [ALBUM_FIELDS.SERVICE_IDS]: { rich_text: formatRichText(album.serviceIds.join('\n')) },
+  };
+}
+
+/**
+ * Create or update a page in a companion database (Playlists, Artists, Albums)
+ * @param {string} databaseId - Companion database ID
+ * @param {Object|null} page - Existing page, or null to create one
+ * @param {Object} properties - Notion properties to write
+ * @returns {Promise<Object>} - The page, with the written properties applied
+ */
+async function saveCompanionPage(databaseId, page, properties) {
+  try {
+    if (config.config.dryRun) {
+      logger.info(`DRY RUN: Would ${page ? 'update' : 'create'} companion page`, {
+        databaseId,
+        pageId: page?.id,
+        properties: Object.keys(properties),
+      });
+      return applyLocalProperties(page || { id: `dry-run-page-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }, properties);
+    }
+
+    // Notion Create Page / Update Page: https://developers.notion.com/reference/post-page
+    const response = page
+      ? await notionRequest(() => notion.pages.update({ page_id: page.id, properties }))
+      : await notionRequest(() => notion.pages.create({
+        parent: { database_id: databaseId },
+        properties,
+      }));
+
+    logger.debug(`Saved companion page`, { databaseId, pageId: response.id, properties: Object.keys(properties) });
+
+    return page ? applyLocalProperties(page, properties) : response;
+  } catch (error) {
+    logger.error(`Failed to save companion page: ${error.message}`, {
+      databaseId,
+      pageId: page?.id,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a new database under a page
+ * @param {string} parentPageId - Notion page the database is created in
+ * @param {string} title - Database title
+ * @param {Object} properties - Notion property schema keyed by property name
+ * @returns {Promise<Object>} - Created database object
+ */
+async function createDatabase(parentPageId, title, properties) {
+  try {
+    if (config.config.dryRun) {
+      logger.info('DRY RUN: Would create database', { parentPageId, title, properties: Object.keys(properties) });
+      return { id: null, title: formatTitle(title), properties };
+    }
+
+    // Notion Create Database: https://developers.notion.com/reference/create-a-database
+    const response = await notionRequest(() => notion.databases.create({
+      parent: { type: 'page_id', page_id: parentPageId },
+      icon: { type: 'emoji', emoji: '🎵' },
+      title: formatTitle(title),
+      properties,
+    }));
+
+    logger.info(`Created database`, {
+      databaseId: response.id,
+      parentPageId,
+      title,
+    });
+
+    return response;
+  } catch (error) {
+    logger.error(`Failed to create database: ${error.message}`, error);
+    throw error;
+  }
+}
+
 module.exports = {
   queryDatabase,
+  applyLocalProperties,
   findTrackByIsrc,
   findTrackByTitleArtist,
   createTrack,
   updateTrack,
   markTrackRemoved,
+  restoreTrack,
+  mergeServiceIntoTrack,
+  getPageServices,
+  getPageMemberships,
+  updateMemberships,
   getPlaylistTracks,
   getDatabaseSchema,
+  getLiveProperties,
+  updateDatabaseSchema,
+  createDatabase,
+  queryCompanionPages,
+  buildPlaylistProperties,
+  buildArtistProperties,
+  buildAlbumProperties,
+  saveCompanionPage,
+  updateTrackRelations,
   buildTrackProperties,
+  diffTrackProperties,
+  updateAvailability,
 };
 
@@ -0,0 +1,165 @@
+/**
+ * Playlists Database
+ *
+ * Keeps a companion Notion database with one page per synced playlist (name,
+ * service, URL, description, curator, track count, type, last synced) and
+ * relates tracks to those pages alongside their Playlists memberships. Enabled
+ * by setting NOTION_PLAYLISTS_DB_ID; without it every function is a no-op.
+ *
+ * Dependencies: config.js, schema.js, notionClient.js, utils/logger.js
+ */
+
+const config = require('./config');
+const notionClient = require('./notionClient');
+const { NOTION_FIELDS, PLAYLIST_FIELDS, NOTION_PROPERTY_TYPES, extractPropertyValue, formatDate } = require('./schema');
+const logger = require('./utils/logger');
+
+// Playlist pages keyed by 'Service:playlistId'
+const pagesByKey = new Map();
+// Playlist label ('Spotify - Name') -> page ID, for the playlists seen this run
+const pageIdsByLabel = new Map();
+// In-flight load, shared by playlists synced side by side
+let loading = null;
+
+/**
+ * Check whether the Playlists database is configured
+ * @returns {boolean} - True when NOTION_PLAYLISTS_DB_ID is set
+ */
+function isEnabled() {
+  return Boolean(config.notion.playlistsDatabaseId);
+}
+
+/**
+ * Build the key a playlist page is stored under
+ * @param {string} serviceName - Provider name ('Spotify')
+ * @param {string} playlistId - Playlist ID on that service
+ * @returns {string} - Key
+ */
+function getKey(serviceName, playlistId) {
+  return `${serviceName}:${playlistId}`;
+}
+
+/**
+ * Load every playlist page once per run
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded() {
+  if (!loading) {
+    loading = notionClient.queryCompanionPages(config.notion.playlistsDatabaseId).then(pages => {
+      pages.forEach(page => {
+        const service = extractPropertyValue(page.properties[PLAYLIST_FIELDS.SERVICE]);
+        const playlistId = extractPropertyValue(page.properties[PLAYLIST_FIELDS.PLAYLIST_ID]);
+        if (service && playlistId) {
+          pagesByKey.set(getKey(service, playlistId), page);
+        }
+      });
+      logger.debug(`Loaded ${pagesByKey.size} playlist pages`);
+    });
+    // A failed load is retried by the next playlist instead of sticking
+    loading.catch(() => { loading = null; });
+  }
+  return loading;
+}
+
+/**
+ * Create or update the page for a playlist from its getPlaylist() metadata
+ * @param {Object} provider - Music service provider
+ * @param {string} playlistId - Playlist ID on that service
+ * @param {Object} metadata - Playlist metadata from provider.getPlaylist()
+ * @param {Object} options - Playlist details
+ * @param {string} options.label - Label the playlist's tracks are recorded under
+ * @param {string} options.type - Configured playlist type
+ * @param {Array<string>} [options.tags] - Configured playlist tags
+ * @returns {Promise<string|null>} - Page ID, or null when disabled or the page couldn't be saved
+ */
+async function ensurePlaylistPage(provider, playlistId, metadata, { label, type, tags = [] }) {
+  if (!isEnabled()) return null;
+
+  try {
+    await ensureLoaded();
+
+    const key = getKey(provider.name, playlistId);
+    const existing = pagesByKey.get(key);
+    const fresh = notionClient.buildPlaylistProperties({
+      ...metadata,
+      service: provider.name,
+      playlistId,
+      type,
+      tags,
+    });
+
+    // Only write what changed, so an unchanged playlist costs no Notion request
+    const properties = existing
+      ? Object.fromEntries(Object.entries(fresh).filter(([field, value]) => {
+        const propertyType = Object.keys(value)[0];
+        return JSON.stringify(extractPropertyValue(existing.properties[field])) !==
+          JSON.stringify(extractPropertyValue({ type: propertyType, ...value }));
+      }))
+      : fresh;
+
+    let page = existing;
+    if (!existing || Object.keys(properties).length > 0) {
+      page = await notionClient.saveCompanionPage(config.notion.playlistsDatabaseId, existing || null, properties);
+      pagesByKey.set(key, page);
+      logger.info(`${existing ? 'Updated' : 'Created'} playlist page: ${metadata.name}`, {
+        pageId: page.id,
+        fields: Object.keys(properties),
+      });
+    }
+
+    pageIdsByLabel.set(label, page.id);
+    return page.id;
+  } catch (error) {
+    // Tracks still sync; they just aren't related to the playlist this run
+    logger.warn(`Could not save playlist page for ${label}`, { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Record that a playlist was read without errors
+ * @param {Object} provider - Music service provider
+ * @param {string} playlistId - Playlist ID on that service
+ * @param {string} syncedAt - ISO timestamp of the sync
+ * @returns {Promise<void>}
+ */
+async function markPlaylistSynced(provider, playlistId, syncedAt) {
+  const page = pagesByKey.get(getKey(provider.name, playlistId));
+  if (!isEnabled() || !page) return;
+
+  try {
+    await notionClient.saveCompanionPage(config.notion.playlistsDatabaseId, page, {
+      [PLAYLIST_FIELDS.LAST_SYNCED]: { date: formatDate(syncedAt) },
+    });
+  } catch (error) {
+    logger.warn(`Could not record last sync of playlist ${playlistId}`, { error: error.message });
+  }
+}
+
+/**
+ * Work out which playlist pages a track should be related to
+ * @param {Object} page - Track page object
+ * @param {Array<string>} memberships - Playlist labels the track belongs to
+ * @returns {Array<string>|null} - Page IDs, or null when the relation should be left alone
+ */
+function getRelatedPageIds(page, memberships) {
+  if (!isEnabled() || page.properties[NOTION_FIELDS.PLAYLIST_PAGES]?.type !== NOTION_PROPERTY_TYPES.RELATION) {
+    return null;
+  }
+
+  // Pages of playlists not seen this run are kept; the rest follow the memberships
+  const knownPageIds = new Set(pageIdsByLabel.values());
+  const current = extractPropertyValue(page.properties[NOTION_FIELDS.PLAYLIST_PAGES]);
+
+  return [...new Set([
+    ...current.filter(id => !knownPageIds.has(id)),
+    ...memberships.map(label => pageIdsByLabel.get(label)).filter(Boolean),
+  ])];
+}
+
+module.exports = {
+  isEnabled,
+  ensurePlaylistPage,
+  markPlaylistSynced,
+  getRelatedPageIds,
+};
@@ -0,0 +1,216 @@
+/**
+ * Music Service Provider Registry
+ *
+ * Every streaming service the sync can read from is registered here behind a
+ * common contract, so the orchestrator, CLI and summaries iterate providers
+ * instead of branching on service names. Adding a service means writing its
+ * client and registering it below.
+ *
+ * Provider contract:
+ *   id                  - Service key used in config and sync state ('spotify')
+ *   name                - Display name and track source label ('Spotify')
+ *   icon                - Emoji used in CLI output and logs
+ *   urlField            - Notion property holding the per-service URL (optional)
+ *   isConfigured()      - True when credentials for the service are present
+ *   credentials         - Env vars isConfigured() checks, named in warnings (optional)
+ *   getPlaylist(id)     - Playlist metadata ({ name, trackCount, snapshotId|lastModified, ... });
+ *                         retainTracks: true marks a rolling window whose tracks age out
+ *                         rather than being removed, so cleanup never marks them removed
+ *   getPlaylistTracks(id) - Normalized tracks in the playlist
+ *   checkServiceHealth() - Resolves true when the service is reachable
+ *   parseUrl(url)       - { type: 'playlist'|'track', id } or null
+ *   normalizeTrack(raw, playlistId, playlistName) - Raw API track -> normalized track data
+ *   searchTrack({ isrc, title, artist }) - Catalog lookup -> normalized track data or null (optional)
+ *   getDefaultType(id)  - Type label for a source configured without one (optional, else 'Source')
+ *   lookupUrl(url)      - Pasted track/album link -> normalized track data, or null if not its link (optional)
+ *
+ * Dependencies: config.js, schema.js, spotifyClient.js, appleMusicClient.js,
+ *               youtubeClient.js, deezerClient.js, tidalClient.js,
+ *               soundcloudClient.js
+ */
+
+const config = require('./config');
+const { NOTION_FIELDS } = require('./schema');
+const spotifyClient = require('./spotifyClient');
+const appleMusicClient = require('./appleMusicClient');
+const youtubeClient = require('./youtubeClient');
+const deezerClient = require('./deezerClient');
+const tidalClient = require('./tidalClient');
+const soundcloudClient = require('./soundcloudClient');
+
+// Methods every provider must implement
+const REQUIRED_METHODS = ['getPlaylist', 'getPlaylistTracks', 'checkServiceHealth', 'parseUrl', 'normalizeTrack'];
+
+// Registered providers keyed by id, in registration order
+const providers = new Map();
+
+/**
+ * Register a music service provider
+ * @param {Object} provider - Provider implementing the contract above
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  if (!provider.id || !provider.name) {
+    throw new Error('Provider must have an id and a name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.id} is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.id, {
+    icon: '🎵',
+    urlField: null,
+    credentials: [],
+    isConfigured: () => true,
+    ...provider,
+  });
+
+  return providers.get(provider.id);
+}
+
+/**
+ * Get a provider by id
+ * @param {string} id - Provider id ('spotify', 'appleMusic', ...)
+ * @returns {Object} - Provider
+ */
+function getProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown music service: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * Get a provider by its display name (the track source label)
+ * @param {string} name - Provider name ('Spotify', 'Apple Music', ...)
+ * @returns {Object|null} - Provider or null if none matches
+ */
+function getProviderByName(name) {
+  return getProviders().find(provider => provider.name === name) || null;
+}
+
+/**
+ * Get all registered providers
+ * @returns {Array<Object>} - Providers in registration order
+ */
+function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Find the provider that recognises a URL
+ * @param {string} url - Playlist or track URL
+ * @returns {Object|null} - { provider, type, id } or null if no provider recognises it
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  for (const provider of providers.values()) {
+    const parsed = provider.parseUrl(url);
+    if (parsed) {
+      return { provider, ...parsed };
+    }
+  }
+
+  return null;
+}
+
+// Built-in providers
+
+registerProvider({
+  id: 'spotify',
+  name: 'Spotify',
+  icon: '🎧',
+  urlField: NOTION_FIELDS.SPOTIFY_URL,
+  credentials: ['SPOTIFY_CLIENT_ID', 'SPOTIFY_REFRESH_TOKEN'],
+  isConfigured: () => Boolean(config.spotify.clientId && config.spotify.refreshToken),
+  getPlaylist: spotifyClient.getPlaylist,
+  getPlaylistTracks: spotifyClient.getPlaylistTracks,
+  checkServiceHealth: spotifyClient.checkServiceHealth,
+  parseUrl: spotifyClient.parseUrl,
+  normalizeTrack: spotifyClient.processTrackData,
+  searchTrack: spotifyClient.searchTrack,
+  getDefaultType: spotifyClient.getDefaultType,
+  lookupUrl: spotifyClient.lookupUrl,
+});
+
+registerProvider({
+  id: 'appleMusic',
+  name: 'Apple Music',
+  icon: '🍎',
+  urlField: NOTION_FIELDS.APPLE_MUSIC_URL,
+  credentials: ['APPLE_MUSIC_USER_TOKEN'],
+  isConfigured: () => Boolean(config.appleMusic.userToken),
+  getPlaylist: appleMusicClient.getPlaylist,
+  getPlaylistTracks: appleMusicClient.getPlaylistTracks,
+  checkServiceHealth: appleMusicClient.checkServiceHealth,
+  parseUrl: appleMusicClient.parseUrl,
+  normalizeTrack: appleMusicClient.processTrackData,
+  searchTrack: appleMusicClient.searchTrack,
+  lookupUrl: appleMusicClient.lookupUrl,
+});
+
+registerProvider({
+  id: 'youtube',
+  name: 'YouTube',
+  icon: '📺',
+  urlField: NOTION_FIELDS.YOUTUBE_URL,
+  credentials: ['YOUTUBE_API_KEY'],
+  isConfigured: () => Boolean(config.youtube.apiKey),
+  getPlaylist: youtubeClient.getPlaylist,
+  getPlaylistTracks: youtubeClient.getPlaylistTracks,
+  checkServiceHealth: youtubeClient.checkServiceHealth,
+  parseUrl: youtubeClient.parseUrl,
+  normalizeTrack: youtubeClient.processTrackData,
+});
+
+registerProvider({
+  id: 'deezer',
+  name: 'Deezer',
+  icon: '🎼',
+  urlField: NOTION_FIELDS.DEEZER_URL,
+  getPlaylist: deezerClient.getPlaylist,
+  getPlaylistTracks: deezerClient.getPlaylistTracks,
+  checkServiceHealth: deezerClient.checkServiceHealth,
+  parseUrl: deezerClient.parseUrl,
+  normalizeTrack: deezerClient.processTrackData,
+});
+
+registerProvider({
+  id: 'tidal',
+  name: 'Tidal',
+  icon: '🌊',
+  urlField: NOTION_FIELDS.TIDAL_URL,
+  credentials: ['TIDAL_CLIENT_ID', 'TIDAL_CLIENT_SECRET'],
+  isConfigured: () => Boolean(config.tidal.clientId && config.tidal.clientSecret),
+  getPlaylist: tidalClient.getPlaylist,
+  getPlaylistTracks: tidalClient.getPlaylistTracks,
+  checkServiceHealth: tidalClient.checkServiceHealth,
+  parseUrl: tidalClient.parseUrl,
+  normalizeTrack: tidalClient.processTrackData,
+});
+
+registerProvider({
+  id: 'soundcloud',
+  name: 'SoundCloud',
+  icon: '☁️',
+  urlField: NOTION_FIELDS.SOUNDCLOUD_URL,
+  credentials: ['SOUNDCLOUD_CLIENT_ID', 'SOUNDCLOUD_CLIENT_SECRET'],
+  isConfigured: () => Boolean(config.soundcloud.clientId && config.soundcloud.clientSecret),
+  getPlaylist: soundcloudClient.getPlaylist,
+  getPlaylistTracks: soundcloudClient.getPlaylistTracks,
+  checkServiceHealth: soundcloudClient.checkServiceHealth,
+  parseUrl: soundcloudClient.parseUrl,
+  normalizeTrack: soundcloudClient.processTrackData,
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderByName,
+  getProviders,
+  parseUrl,
+};
@@ -3,31 +3,55 @@
  * 
  * Defines the structure and field mappings for the Notion database.
  * All Notion field references MUST use these constants to prevent typos and API errors.
+ * Property names can be renamed per database through the config file's
+ * "notionFields" section, so a database in another language needs no fork.
  * 
- * Dependencies: None
+ * Dependencies: config.js
  */
 
-// Notion Database Property Names
-// These MUST match the exact property names in your Notion database
-const NOTION_FIELDS = {
+const config = require('./config');
+
+// Default Notion Database Property Names, keyed by logical field
+// Databases with other names map them in the config file's "notionFields" section
+const DEFAULT_NOTION_FIELDS = {
   // Automated Fields (managed by sync process)
   TRACK_TITLE: 'Track Title',
   TRACK_NUMBER: 'Track Number', 
   ALBUM: 'Album',
+  ALBUM_PAGE: 'Album Page', // Relation to the Albums database (when NOTION_ALBUMS_DB_ID is set)
   ARTIST: 'Artist',
+  ARTIST_PAGES: 'Artist Pages', // Relation to the Artists database (when NOTION_ARTISTS_DB_ID is set)
   PERFORMED_BY: 'Performed By',
   RELEASE_DATE: 'Release Date',
   DURATION: 'Duration',
   ISRC_UPC: 'ISRC/UPC',
   URL: 'URL',
-  SOURCE: 'Source', // Track source: auto-populated playlist names or manual 'Link Only'/'File Upload'
+  SPOTIFY_URL: 'Spotify URL',
+  APPLE_MUSIC_URL: 'Apple Music URL',
+  YOUTUBE_URL: 'YouTube URL',
+  DEEZER_URL: 'Deezer URL',
+  TIDAL_URL: 'Tidal URL',
+  SOUNDCLOUD_URL: 'SoundCloud URL',
+  ARTWORK: 'Artwork',
+  FILE_PATH: 'File Path', // Local audio file a 'File Upload' record was ingested from
+  FILE_HASH: 'File Hash', // SHA-256 of that file's contents, so re-ingesting is idempotent
+  KIND: 'Kind', // Set for playlist items that aren't catalog tracks: 'Local File' or 'Episode'
+  UNAVAILABLE: 'Unavailable', // The service lists the track but can't play it
+  UNAVAILABLE_REASON: 'Unavailable Reason',
+  SERVICES: 'Services', // Streaming services the recording has been seen on
+  SOURCE: 'Source', // Track source: auto-populated playlist names or a manual source (see MANUAL_SOURCES)
+  PLAYLISTS: 'Playlists', // Every synced playlist the track is currently in
+  PLAYLIST_PAGES: 'Playlist Pages', // Relation to the Playlists database (when NOTION_PLAYLISTS_DB_ID is set)
   TYPE: 'Type',
   CREATED_TIME: 'Created time',
   REMOVED: 'Removed',
+  REMOVED_ON: 'Removed On',
+  RESTORED_ON: 'Restored On',
   
   // Manual Fields (preserved during sync)
   RECORD_DATE: 'Record Date',
   COMPOSER: 'Composer',
+  PRODUCER: 'Producer',
   THEMES: 'Themes',
   NOTES: 'Notes', 
   INSTRUMENTS: 'Instruments',
@@ -35,6 +59,42 @@ const NOTION_FIELDS = {
   FILE_UPLOAD: 'File Upload',
 };
 
+/**
+ * Apply configured property names over the defaults
+ * @param {Object} mapping - { NOTION_FIELDS key or default name: property name }
+ * @returns {Object} - Property names keyed by logical field
+ * @throws {Error} - If a field is unknown, a name is empty or two fields share a name
+ */
+function applyFieldMapping(mapping) {
+  const fields = { ...DEFAULT_NOTION_FIELDS };
+
+  Object.entries(mapping).forEach(([key, name]) => {
+    const wanted = key.trim().toLowerCase();
+    const field = Object.keys(DEFAULT_NOTION_FIELDS).find(constant =>
+      constant.toLowerCase() === wanted || DEFAULT_NOTION_FIELDS[constant].toLowerCase() === wanted);
+
+    if (!field) {
+      throw new Error(`notionFields: unknown field "${key}" (use a key like TRACK_TITLE or a default name like "Track Title")`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`notionFields: "${key}" must map to a non-empty property name`);
+    }
+    fields[field] = name.trim();
+  });
+
+  const names = Object.values(fields);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`notionFields: more than one field is mapped to "${duplicate}"`);
+  }
+
+  return fields;
+}
+
+// Notion Database Property Names
+// These MUST match the exact property names in your Notion database (after any notionFields mapping)
+const NOTION_FIELDS = Object.freeze(applyFieldMapping(config.getNotionFieldMapping()));
+
 // Notion Property Types
 // Used for creating and updating database properties
 const NOTION_PROPERTY_TYPES = {
@@ -47,6 +107,7 @@ const NOTION_PROPERTY_TYPES = {
   URL: 'url',
   CHECKBOX: 'checkbox',
   CREATED_TIME: 'created_time',
+  RELATION: 'relation',
 };
 
 // Database Schema Definition
@@ -72,6 +133,25 @@ const DATABASE_SCHEMA = {
     required: false,
     automated: true,
   },
+  // Only part of the schema when the Artists / Albums databases are configured
+  ...(config.notion.artistsDatabaseId && {
+    [NOTION_FIELDS.ARTIST_PAGES]: {
+      type: NOTION_PROPERTY_TYPES.RELATION,
+      required: false,
+      automated: true,
+      databaseId: config.notion.artistsDatabaseId,
+      description: 'One page per credited artist in the Artists database',
+    },
+  }),
+  ...(config.notion.albumsDatabaseId && {
+    [NOTION_FIELDS.ALBUM_PAGE]: {
+      type: NOTION_PROPERTY_TYPES.RELATION,
+      required: false,
+      automated: true,
+      databaseId: config.notion.albumsDatabaseId,
+      description: 'The release in the Albums database',
+    },
+  }),
   [NOTION_FIELDS.PERFORMED_BY]: {
     type: NOTION_PROPERTY_TYPES.RICH_TEXT,
     required: false,
@@ -97,17 +177,108 @@ const DATABASE_SCHEMA = {
     required: false,
     automated: true,
   },
+  [NOTION_FIELDS.SPOTIFY_URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.APPLE_MUSIC_URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.YOUTUBE_URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.DEEZER_URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.TIDAL_URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.SOUNDCLOUD_URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.ARTWORK]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+    description: 'Cover art for tracks without a catalog release (SoundCloud)',
+  },
+  [NOTION_FIELDS.FILE_PATH]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+    description: 'Path of the local audio file, written by ingest-files',
+  },
+  [NOTION_FIELDS.FILE_HASH]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+    description: 'SHA-256 of the local audio file, written by ingest-files',
+  },
+  [NOTION_FIELDS.KIND]: {
+    type: NOTION_PROPERTY_TYPES.SELECT,
+    required: false,
+    automated: true,
+    options: ['Local File', 'Episode'],
+    description: 'Empty for catalog tracks; local files and podcast episodes are never marked removed',
+  },
+  [NOTION_FIELDS.UNAVAILABLE]: {
+    type: NOTION_PROPERTY_TYPES.CHECKBOX,
+    required: false,
+    automated: true,
+    description: 'Track is in a playlist but not playable (region, Premium-only, ...); never marked removed',
+  },
+  [NOTION_FIELDS.UNAVAILABLE_REASON]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+  },
+  [NOTION_FIELDS.SERVICES]: {
+    type: NOTION_PROPERTY_TYPES.MULTI_SELECT,
+    required: false,
+    automated: true,
+    options: ['Spotify', 'Apple Music', 'YouTube', 'Deezer', 'Tidal', 'SoundCloud'],
+    description: 'Services the recording is present on - merged by ISRC across services',
+  },
   [NOTION_FIELDS.SOURCE]: {
     type: NOTION_PROPERTY_TYPES.SELECT,
     required: true,
     automated: true,
-    options: ['Spotify - [Playlist Name]', 'Apple Music - [Playlist Name]', 'Link Only', 'File Upload'],
-    description: 'Source of the track - auto-populated for synced tracks, manually set for supervisor additions',
+    options: ['Spotify - [Playlist Name]', 'Apple Music - [Playlist Name]', 'YouTube - [Playlist Name]', 'Deezer - [Playlist Name]', 'Tidal - [Playlist Name]', 'SoundCloud - [Playlist Name]', 'Link Only', 'File Upload', 'CSV Import'],
+    description: 'Source of the track - first playlist it was synced from, or manually set for supervisor additions',
+  },
+  [NOTION_FIELDS.PLAYLISTS]: {
+    type: NOTION_PROPERTY_TYPES.MULTI_SELECT,
+    required: false,
+    automated: true,
+    options: ['Spotify - [Playlist Name]', 'Apple Music - [Playlist Name]'],
+    description: 'Playlist memberships - added and removed on every sync; Type is derived from these',
   },
+  // Only part of the schema when a Playlists database is configured
+  ...(config.notion.playlistsDatabaseId && {
+    [NOTION_FIELDS.PLAYLIST_PAGES]: {
+      type: NOTION_PROPERTY_TYPES.RELATION,
+      required: false,
+      automated: true,
+      databaseId: config.notion.playlistsDatabaseId,
+      description: 'Pages in the Playlists database for the Playlists memberships',
+    },
+  }),
   [NOTION_FIELDS.TYPE]: {
     type: NOTION_PROPERTY_TYPES.MULTI_SELECT,
     required: true,
     automated: true,
+    // Defaults; playlist configs may use any label and Notion adds the option on write
     options: ['Source', 'Temp'],
   },
   [NOTION_FIELDS.CREATED_TIME]: {
@@ -120,6 +291,18 @@ const DATABASE_SCHEMA = {
     required: false,
     automated: true,
   },
+  [NOTION_FIELDS.REMOVED_ON]: {
+    type: NOTION_PROPERTY_TYPES.DATE,
+    required: false,
+    automated: true,
+    description: 'Last time the track dropped out of every synced playlist',
+  },
+  [NOTION_FIELDS.RESTORED_ON]: {
+    type: NOTION_PROPERTY_TYPES.DATE,
+    required: false,
+    automated: true,
+    description: 'Last time a removed track was added back to a synced playlist',
+  },
   [NOTION_FIELDS.RECORD_DATE]: {
     type: NOTION_PROPERTY_TYPES.DATE,
     required: false,
@@ -130,6 +313,12 @@ const DATABASE_SCHEMA = {
     required: false,
     automated: false,
   },
+  [NOTION_FIELDS.PRODUCER]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: false,
+    description: 'Prefilled from service credits (Tidal) when a track is created',
+  },
   [NOTION_FIELDS.THEMES]: {
     type: NOTION_PROPERTY_TYPES.MULTI_SELECT,
     required: false,
@@ -158,6 +347,178 @@ const DATABASE_SCHEMA = {
   },
 };
 
+// Playlists Database Property Names
+// Companion database with one page per synced playlist (NOTION_PLAYLISTS_DB_ID)
+const PLAYLIST_FIELDS = {
+  NAME: 'Name',
+  SERVICE: 'Service',
+  PLAYLIST_ID: 'Playlist ID', // ID on the service; with Service, identifies the page across renames
+  URL: 'URL',
+  DESCRIPTION: 'Description',
+  CURATOR: 'Curator',
+  TRACK_COUNT: 'Track Count',
+  TYPE: 'Type',
+  TAGS: 'Tags',
+  LAST_SYNCED: 'Last Synced',
+};
+
+// Playlists Database Schema Definition
+const PLAYLISTS_DATABASE_SCHEMA = {
+  [PLAYLIST_FIELDS.NAME]: {
+    type: NOTION_PROPERTY_TYPES.TITLE,
+    required: true,
+    automated: true,
+  },
+  [PLAYLIST_FIELDS.SERVICE]: {
+    type: NOTION_PROPERTY_TYPES.SELECT,
+    required: true,
+    automated: true,
+    options: ['Spotify', 'Apple Music', 'YouTube', 'Deezer', 'Tidal', 'SoundCloud'],
+  },
+  [PLAYLIST_FIELDS.PLAYLIST_ID]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: true,
+    automated: true,
+  },
+  [PLAYLIST_FIELDS.URL]: {
+    type: NOTION_PROPERTY_TYPES.URL,
+    required: false,
+    automated: true,
+  },
+  [PLAYLIST_FIELDS.DESCRIPTION]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+  },
+  [PLAYLIST_FIELDS.CURATOR]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+  },
+  [PLAYLIST_FIELDS.TRACK_COUNT]: {
+    type: NOTION_PROPERTY_TYPES.NUMBER,
+    required: false,
+    automated: true,
+  },
+  [PLAYLIST_FIELDS.TYPE]: {
+    type: NOTION_PROPERTY_TYPES.SELECT,
+    required: false,
+    automated: true,
+    options: ['Source', 'Temp'],
+    description: 'Type configured for the playlist; copied to the Type of its tracks',
+  },
+  [PLAYLIST_FIELDS.TAGS]: {
+    type: NOTION_PROPERTY_TYPES.MULTI_SELECT,
+    required: false,
+    automated: true,
+    description: 'Tags configured for the playlist in the playlist config file',
+  },
+  [PLAYLIST_FIELDS.LAST_SYNCED]: {
+    type: NOTION_PROPERTY_TYPES.DATE,
+    required: false,
+    automated: true,
+    description: 'Last time a sync finished reading the playlist without errors',
+  },
+};
+
+// Artists Database Property Names
+// One page per artist (NOTION_ARTISTS_DB_ID); the manual fields apply across all their tracks
+const ARTIST_FIELDS = {
+  NAME: 'Name',
+  SERVICE_IDS: 'Service IDs', // 'Spotify:<id>' entries the page was matched by, one per line
+  CONTACT: 'Contact',
+  PUBLISHER: 'Publisher',
+  PRO: 'PRO',
+  NOTES: 'Notes',
+};
+
+// Artists Database Schema Definition
+const ARTISTS_DATABASE_SCHEMA = {
+  [ARTIST_FIELDS.NAME]: {
+    type: NOTION_PROPERTY_TYPES.TITLE,
+    required: true,
+    automated: true,
+  },
+  [ARTIST_FIELDS.SERVICE_IDS]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+    description: 'Service artist IDs, used to match the same artist across tracks',
+  },
+  [ARTIST_FIELDS.CONTACT]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: false,
+  },
+  [ARTIST_FIELDS.PUBLISHER]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: false,
+  },
+  [ARTIST_FIELDS.PRO]: {
+    type: NOTION_PROPERTY_TYPES.SELECT,
+    required: false,
+    automated: false,
+    options: ['ASCAP', 'BMI', 'SESAC', 'GMR', 'SOCAN', 'PRS', 'GEMA', 'SACEM', 'APRA AMCOS', 'JASRAC'],
+    description: 'Performing rights organisation',
+  },
+  [ARTIST_FIELDS.NOTES]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: false,
+  },
+};
+
+// Albums Database Property Names
+// One page per release (NOTION_ALBUMS_DB_ID)
+const ALBUM_FIELDS = {
+  NAME: 'Name',
+  ARTIST: 'Artist',
+  RELEASE_DATE: 'Release Date',
+  LABEL: 'Label',
+  SERVICE_IDS: 'Service IDs', // 'Spotify:<id>' entries the page was matched by, one per line
+  NOTES: 'Notes',
+};
+
+// Albums Database Schema Definition
+const ALBUMS_DATABASE_SCHEMA = {
+  [ALBUM_FIELDS.NAME]: {
+    type: NOTION_PROPERTY_TYPES.TITLE,
+    required: true,
+    automated: true,
+  },
+  [ALBUM_FIELDS.ARTIST]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+  },
+  [ALBUM_FIELDS.RELEASE_DATE]: {
+    type: NOTION_PROPERTY_TYPES.NUMBER,
+    required: false,
+    automated: true,
+  },
+  [ALBUM_FIELDS.LABEL]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+  },
+  [ALBUM_FIELDS.SERVICE_IDS]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: true,
+    description: 'Service album IDs, used to match the same release across tracks',
+  },
+  [ALBUM_FIELDS.NOTES]: {
+    type: NOTION_PROPERTY_TYPES.RICH_TEXT,
+    required: false,
+    automated: false,
+  },
+};
+
+// Source values of tracks added outside playlist sync; cleanup never marks these removed
+// and they are not playlist memberships
+const MANUAL_SOURCES = ['Link Only', 'File Upload', 'CSV Import'];
+
 // Helper Functions for Notion Property Formatting
 
 /**
@@ -278,10 +639,86 @@ function formatMultiSelect(values) {
   return [];
 }
 
+/**
+ * Read a plain value from a Notion page property
+ * @param {Object} property - Notion property object (must include its type)
+ * @returns {*} - String, number, boolean, array of option names, or null
+ */
+function extractPropertyValue(property) {
+  if (!property) return null;
+
+  switch (property.type) {
+    case NOTION_PROPERTY_TYPES.TITLE:
+    case NOTION_PROPERTY_TYPES.RICH_TEXT: {
+      const text = (property[property.type] || [])
+        .map(part => part.plain_text ?? part.text?.content ?? '')
+        .join('');
+      return text || null;
+    }
+    case NOTION_PROPERTY_TYPES.NUMBER:
+      return property.number ?? null;
+    case NOTION_PROPERTY_TYPES.SELECT:
+      return property.select?.name || null;
+    case NOTION_PROPERTY_TYPES.MULTI_SELECT:
+      return (property.multi_select || []).map(option => option.name);
+    case NOTION_PROPERTY_TYPES.DATE:
+      return property.date?.start || null;
+    case NOTION_PROPERTY_TYPES.URL:
+      return property.url || null;
+    case NOTION_PROPERTY_TYPES.CHECKBOX:
+      return Boolean(property.checkbox);
+    case NOTION_PROPERTY_TYPES.CREATED_TIME:
+      return property.created_time || null;
+    case NOTION_PROPERTY_TYPES.RELATION:
+      return (property.relation || []).map(related => related.id);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Format a raw value (e.g. a spreadsheet cell) for a property by its schema type
+ * @param {string} field - Notion property name from NOTION_FIELDS
+ * @param {*} value - Raw value; multi-select text is split on commas and semicolons
+ * @returns {Object|null} - Notion property value or null if the field can't be written
+ */
+function formatPropertyValue(field, value) {
+  switch (DATABASE_SCHEMA[field]?.type) {
+    case NOTION_PROPERTY_TYPES.TITLE:
+      return { title: formatTitle(value) };
+    case NOTION_PROPERTY_TYPES.RICH_TEXT:
+      return { rich_text: formatRichText(value) };
+    case NOTION_PROPERTY_TYPES.NUMBER:
+      return { number: formatNumber(value) };
+    case NOTION_PROPERTY_TYPES.SELECT:
+      return { select: formatSelect(value) };
+    case NOTION_PROPERTY_TYPES.MULTI_SELECT: {
+      const values = Array.isArray(value) ? value : String(value).split(/[,;]/).map(item => item.trim());
+      return { multi_select: formatMultiSelect(values) };
+    }
+    case NOTION_PROPERTY_TYPES.DATE:
+      return { date: formatDate(value) };
+    case NOTION_PROPERTY_TYPES.URL:
+      return { url: formatUrl(value) };
+    case NOTION_PROPERTY_TYPES.CHECKBOX:
+      return { checkbox: formatCheckbox(value) };
+    default:
+      return null;
+  }
+}
+
 module.exports = {
   NOTION_FIELDS,
+  DEFAULT_NOTION_FIELDS,
   NOTION_PROPERTY_TYPES,
   DATABASE_SCHEMA,
+  PLAYLIST_FIELDS,
+  PLAYLISTS_DATABASE_SCHEMA,
+  ARTIST_FIELDS,
+  ARTISTS_DATABASE_SCHEMA,
+  ALBUM_FIELDS,
+  ALBUMS_DATABASE_SCHEMA,
+  MANUAL_SOURCES,
   formatRichText,
   formatTitle,
   formatDate,
@@ -292,5 +729,7 @@ module.exports = {
   formatNumber,
   formatCheckbox,
   formatMultiSelect,
+  formatPropertyValue,
+  extractPropertyValue,
 };
 
@@ -0,0 +1,285 @@
+/**
+ * Notion Schema Validator
+ *
+ * Compares the live Notion database with DATABASE_SCHEMA so a renamed or
+ * retyped property is reported up front instead of as per-track 400 errors
+ * mid-sync. Missing properties and select options can be created through the
+ * database update API; mistyped properties are only reported, since changing
+ * a property's type would discard the values already in it. A new project
+ * database can also be created from scratch with the full schema. The
+ * Playlists, Artists and Albums databases, when configured, are checked the same way.
+ *
+ * Dependencies: config.js, notionClient.js, providers.js, schema.js, utils/logger.js
+ * API Docs: https://developers.notion.com/reference/update-a-database
+ *           https://developers.notion.com/reference/create-a-database
+ */
+
+const config = require('./config');
+const notionClient = require('./notionClient');
+const providers = require('./providers');
+const { NOTION_FIELDS, DATABASE_SCHEMA, PLAYLISTS_DATABASE_SCHEMA, ARTISTS_DATABASE_SCHEMA, ALBUMS_DATABASE_SCHEMA, NOTION_PROPERTY_TYPES } = require('./schema');
+const logger = require('./utils/logger');
+
+// Property types whose options are part of the schema
+const OPTION_TYPES = [NOTION_PROPERTY_TYPES.SELECT, NOTION_PROPERTY_TYPES.MULTI_SELECT];
+
+/**
+ * Get the real options of a schema entry
+ * @param {Object} definition - DATABASE_SCHEMA entry
+ * @returns {Array<string>} - Option names, leaving out templates like 'Spotify - [Playlist Name]'
+ */
+function getExpectedOptions(definition) {
+  return (definition.options || []).filter(option => !/\[.*\]/.test(option));
+}
+
+/**
+ * Get the optional track properties every sync writes for the configured playlists
+ * @returns {Array<string>} - Services, Playlists and the URL property of each service with a playlist configured
+ */
+function getSyncFields() {
+  const services = new Set(config.getAllConfiguredPlaylists().map(playlist => playlist.service));
+  const urlFields = providers.getProviders()
+    .filter(provider => provider.urlField && services.has(provider.id))
+    .map(provider => provider.urlField);
+  return [NOTION_FIELDS.SERVICES, NOTION_FIELDS.PLAYLISTS, ...urlFields];
+}
+
+/**
+ * Get the databases the sync writes to, with the schema each must have
+ * @returns {Array<Object>} - { name, databaseId, schema, ... } for Tracks and the configured companion databases
+ */
+function getSchemaTargets() {
+  // Track writes skip optional properties the database lacks (see notionClient), except the ones
+  // memberships and cross-service merges depend on: without those a sync would quietly record nothing
+  const targets = [{
+    name: 'Tracks',
+    databaseId: config.notion.databaseId,
+    schema: DATABASE_SCHEMA,
+    optionalMayBeMissing: true,
+    syncFields: getSyncFields(),
+  }];
+  if (config.notion.playlistsDatabaseId) {
+    targets.push({ name: 'Playlists', databaseId: config.notion.playlistsDatabaseId, schema: PLAYLISTS_DATABASE_SCHEMA });
+  }
+  if (config.notion.artistsDatabaseId) {
+    targets.push({ name: 'Artists', databaseId: config.notion.artistsDatabaseId, schema: ARTISTS_DATABASE_SCHEMA });
+  }
+  if (config.notion.albumsDatabaseId) {
+    targets.push({ name: 'Albums', databaseId: config.notion.albumsDatabaseId, schema: ALBUMS_DATABASE_SCHEMA });
+  }
+  return targets;
+}
+
+/**
+ * Build the Notion property schema for a schema entry
+ * @param {Object} definition - DATABASE_SCHEMA (or PLAYLISTS_DATABASE_SCHEMA) entry
+ * @returns {Object} - Notion property schema object (type config, options, description)
+ */
+function buildPropertySchema(definition) {
+  const options = getExpectedOptions(definition).map(option => ({ name: option }));
+
+  let typeConfig = {};
+  if (OPTION_TYPES.includes(definition.type)) {
+    typeConfig = { options };
+  } else if (definition.type === NOTION_PROPERTY_TYPES.RELATION) {
+    // Two-way, so the related database gets a column listing the tracks
+    typeConfig = { database_id: definition.databaseId, type: 'dual_property', dual_property: {} };
+  }
+
+  return {
+    [definition.type]: typeConfig,
+    ...(definition.description && { description: definition.description }),
+  };
+}
+
+/**
+ * Read a Notion page or database ID from an ID or a copied Notion link
+ * @param {string} value - ID (with or without dashes) or notion.so URL
+ * @returns {string|null} - 32-character ID or null if none found
+ */
+function parseNotionId(value) {
+  const lastSegment = String(value || '').split(/[?#]/)[0].split('/').pop().replace(/-/g, '');
+  const id = lastSegment.slice(-32);
+  return /^[0-9a-f]{32}$/i.test(id) ? id.toLowerCase() : null;
+}
+
+/**
+ * Compare a live database with its expected schema
+ * @param {Object} target - Entry from getSchemaTargets() (default: the tracks database)
+ * @returns {Promise<Object>} - { name, missing, mistyped, missingOptions, extra, compatible, database };
+ *                              compatible is false when a property the sync can't do without is missing or mistyped
+ */
+async function checkSchema(target = getSchemaTargets()[0]) {
+  try {
+    const database = await notionClient.getDatabaseSchema(target.databaseId);
+    const live = database.properties;
+    const schema = target.schema;
+
+    const report = { name: target.name, missing: [], mistyped: [], missingOptions: [], extra: [], database };
+
+    Object.entries(schema).forEach(([name, definition]) => {
+      const property = live[name];
+
+      if (!property) {
+        const missing = { name, type: definition.type };
+        // A database has exactly one title property, so a differently named one is a rename
+        if (definition.type === NOTION_PROPERTY_TYPES.TITLE) {
+          missing.renameFrom = Object.keys(live).find(key => live[key].type === NOTION_PROPERTY_TYPES.TITLE);
+        }
+        report.missing.push(missing);
+        return;
+      }
+
+      if (property.type !== definition.type) {
+        report.mistyped.push({ name, expected: definition.type, actual: property.type });
+        return;
+      }
+
+      if (OPTION_TYPES.includes(definition.type)) {
+        const existing = (property[property.type].options || []).map(option => option.name);
+        const options = getExpectedOptions(definition).filter(option => !existing.includes(option));
+        if (options.length > 0) {
+          report.missingOptions.push({ name, type: definition.type, options });
+        }
+      }
+    });
+
+    const renamed = report.missing.map(missing => missing.renameFrom).filter(Boolean);
+    report.extra = Object.keys(live)
+      .filter(name => !schema[name] && !renamed.includes(name))
+      .map(name => ({ name, type: live[name].type }));
+
+    // Notion adds select options on write, so only missing and mistyped properties break a sync
+    const blocking = target.optionalMayBeMissing
+      ? report.missing.filter(({ name }) => schema[name].required || target.syncFields.includes(name))
+      : report.missing;
+    report.compatible = blocking.length === 0 && report.mistyped.length === 0;
+
+    logger.debug('Checked database schema', {
+      database: target.name,
+      compatible: report.compatible,
+      missing: report.missing.length,
+      mistyped: report.mistyped.length,
+      missingOptions: report.missingOptions.length,
+      extra: report.extra.length,
+    });
+
+    return report;
+  } catch (error) {
+    logger.error(`Schema check failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create missing properties and select options in a live database
+ * @param {Object} target - Entry from getSchemaTargets() (default: the tracks database)
+ * @returns {Promise<Object>} - { report, changes, unresolved } where unresolved are mistyped properties left as they are
+ */
+async function migrateSchema(target = getSchemaTargets()[0]) {
+  try {
+    const report = await checkSchema(target);
+    const live = report.database.properties;
+    const properties = {};
+    const changes = [];
+
+    report.missing.forEach(({ name, type, renameFrom }) => {
+      if (renameFrom) {
+        properties[renameFrom] = { name };
+        changes.push(`Rename title property "${renameFrom}" to "${name}"`);
+        return;
+      }
+
+      properties[name] = buildPropertySchema(target.schema[name]);
+      changes.push(`Create property "${name}" (${type})`);
+    });
+
+    report.missingOptions.forEach(({ name, type, options }) => {
+      // Existing options are sent back with their ids so Notion keeps them and their colours
+      const existing = live[name][type].options.map(({ id, name: optionName, color }) => ({ id, name: optionName, color }));
+      properties[name] = { [type]: { options: [...existing, ...options.map(option => ({ name: option }))] } };
+      changes.push(`Add options to "${name}": ${options.join(', ')}`);
+    });
+
+    if (changes.length > 0) {
+      await notionClient.updateDatabaseSchema(properties, target.databaseId);
+    }
+
+    report.mistyped.forEach(({ name, expected, actual }) => {
+      logger.warn(`Property "${name}" is ${actual} but should be ${expected} - change its type in Notion`);
+    });
+
+    logger.info('✅ Schema migration completed', { database: target.name, changes: changes.length, unresolved: report.mistyped.length });
+
+    return { report, changes, unresolved: report.mistyped };
+  } catch (error) {
+    logger.error(`Schema migration failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Refuse to continue when a live database can't take a sync
+ * @returns {Promise<Array<Object>>} - The schema reports when every database is compatible
+ */
+async function assertCompatibleSchema() {
+  const reports = [];
+
+  for (const target of getSchemaTargets()) {
+    const report = await checkSchema(target);
+
+    if (report.compatible && report.missing.length > 0) {
+      logger.warn(`${target.name} database is missing optional properties, which won't be written until \`node sync.js schema migrate\` adds them`, {
+        missing: report.missing.map(({ name }) => name),
+      });
+    }
+
+    if (!report.compatible) {
+      const problems = [
+        ...report.missing.map(({ name, type }) => `missing "${name}" (${type})`),
+        ...report.mistyped.map(({ name, expected, actual }) => `"${name}" is ${actual}, expected ${expected}`),
+      ];
+      throw new Error(`${target.name} database schema is incompatible: ${problems.join('; ')}. ` +
+        'Run `node sync.js schema check` for details or `node sync.js schema migrate` to fix it.');
+    }
+
+    reports.push(report);
+  }
+
+  return reports;
+}
+
+/**
+ * Create a new tracks database with every property in DATABASE_SCHEMA
+ * @param {Object} options - Database options
+ * @param {string} options.parent - Parent page ID or link (the integration must have access to it)
+ * @param {string} options.title - Database title
+ * @returns {Promise<Object>} - Created database object ({ id, url, ... })
+ */
+async function initDatabase({ parent, title }) {
+  try {
+    const parentPageId = parseNotionId(parent);
+    if (!parentPageId) {
+      throw new Error(`Not a Notion page ID or link: ${parent}`);
+    }
+
+    // Properties are created in schema order, which is the column order Notion shows
+    const properties = Object.fromEntries(Object.entries(DATABASE_SCHEMA).map(([name, definition]) => [name, buildPropertySchema(definition)]));
+
+    const database = await notionClient.createDatabase(parentPageId, title, properties);
+
+    logger.info('✅ Database created', { databaseId: database.id, properties: Object.keys(properties).length });
+    return database;
+  } catch (error) {
+    logger.error(`Database creation failed: ${error.message}`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getSchemaTargets,
+  checkSchema,
+  migrateSchema,
+  assertCompatibleSchema,
+  initDatabase,
+};
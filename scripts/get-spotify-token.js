@@ -18,12 +18,14 @@ const CLIENT_SECRET = config.spotify.clientSecret;
 const REDIRECT_URI = 'http://127.0.0.1:3000/callback';
 const PORT = 3000;
 
-// Required scopes for playlist access
+// Required scopes for playlist and library access (Liked Songs, saved albums, followed artists)
 const SCOPES = [
   'playlist-read-private',
   'playlist-read-collaborative',
   'user-read-private',
-  'user-read-email'
+  'user-read-email',
+  'user-library-read',
+  'user-follow-read'
 ].join(' ');
 
 /**
@@ -0,0 +1,366 @@
+/**
+ * SoundCloud API Client
+ *
+ * Handles SoundCloud API interactions for sets (playlists) of demos and
+ * unreleased material: client-credentials authentication, set fetching and
+ * track metadata (uploader, title, duration, permalink, artwork).
+ * SoundCloud uploads rarely carry an ISRC, so tracks without one are flagged
+ * with `identity: 'permalink'` and matched by permalink or title/uploader.
+ *
+ * Dependencies: node-fetch, config.js, endpoints.js, utils/logger.js, utils/apiRequest.js
+ * API Docs: https://developers.soundcloud.com/docs/api/explorer/open-api
+ */
+
+const fetch = require('node-fetch');
+const config = require('./config');
+const { SOUNDCLOUD } = require('./endpoints');
+const logger = require('./utils/logger');
+const { apiRequest } = require('./utils/apiRequest');
+
+// Profile paths that are not track permalinks (soundcloud.com/<user>/<path>)
+const RESERVED_PATHS = ['sets', 'likes', 'tracks', 'albums', 'reposts', 'popular-tracks', 'followers', 'following', 'comments', 'spotlight'];
+
+// Cache for access token
+let accessToken = null;
+let tokenExpiry = null;
+
+// Set permalink path -> numeric playlist ID, resolved once per run
+const resolvedPlaylistIds = new Map();
+
+/**
+ * Get valid access token using the client credentials grant
+ * @returns {Promise<string>} - Valid access token
+ */
+async function getAccessToken() {
+  // Return cached token if still valid
+  if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
+    return accessToken;
+  }
+
+  if (!config.soundcloud.clientId || !config.soundcloud.clientSecret) {
+    throw new Error('SoundCloud credentials not configured (SOUNDCLOUD_CLIENT_ID, SOUNDCLOUD_CLIENT_SECRET)');
+  }
+
+  try {
+    // SoundCloud Client Credentials: https://developers.soundcloud.com/docs/api/guide#client-creds
+    const response = await fetch(SOUNDCLOUD.TOKEN, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json; charset=utf-8',
+        'Authorization': `Basic ${Buffer.from(`${config.soundcloud.clientId}:${config.soundcloud.clientSecret}`).toString('base64')}`,
+      },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token request failed: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    accessToken = data.access_token;
+    tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // Refresh 1 min early
+
+    logger.info('SoundCloud access token refreshed', {
+      expiresIn: data.expires_in,
+    });
+
+    return accessToken;
+  } catch (error) {
+    logger.error(`Failed to get SoundCloud access token: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Make an authenticated request to the SoundCloud API
+ * @param {string} url - API endpoint URL, or a next_href cursor
+ * @returns {Promise<Object>} - API response data
+ */
+async function soundcloudRequest(url) {
+  return apiRequest(url, {
+    service: 'SoundCloud',
+    getHeaders: async () => ({
+      'Authorization': `OAuth ${await getAccessToken()}`,
+      'Accept': 'application/json; charset=utf-8',
+    }),
+    defaultRetryAfter: 5,
+    // Missing or private sets won't appear on retry
+    permanentStatuses: [403, 404],
+    onUnauthorized: () => {
+      accessToken = null; // Force token refresh
+    },
+  });
+}
+
+/**
+ * Resolve a set ID to SoundCloud's numeric playlist ID
+ * @param {string} playlistId - Numeric ID or set permalink path ('user/sets/name')
+ * @returns {Promise<string>} - Numeric playlist ID
+ */
+async function resolvePlaylistId(playlistId) {
+  if (/^\d+$/.test(playlistId)) return playlistId;
+
+  if (!resolvedPlaylistIds.has(playlistId)) {
+    // SoundCloud Resolve: https://developers.soundcloud.com/docs/api/explorer/open-api#/miscellaneous/get_resolve
+    const data = await soundcloudRequest(SOUNDCLOUD.RESOLVE(SOUNDCLOUD.PERMALINK(playlistId)));
+    if (data.kind !== 'playlist') {
+      throw new Error(`SoundCloud URL is not a set: ${playlistId}`);
+    }
+    resolvedPlaylistIds.set(playlistId, String(data.id));
+  }
+
+  return resolvedPlaylistIds.get(playlistId);
+}
+
+/**
+ * Get a set's title, description, uploader and track count
+ * @param {string} playlistId - Numeric ID or set permalink path
+ * @returns {Promise<Object>} - Playlist metadata, with the uploader as curatorName and last_modified as the change marker
+ */
+async function getPlaylist(playlistId) {
+  try {
+    // SoundCloud Get Playlist: https://developers.soundcloud.com/docs/api/explorer/open-api#/playlists/get_playlists__playlist_id_
+    const id = await resolvePlaylistId(playlistId);
+    const data = await soundcloudRequest(SOUNDCLOUD.PLAYLIST(id));
+
+    logger.debug(`Retrieved SoundCloud set`, {
+      playlistId,
+      name: data.title,
+      trackCount: data.track_count,
+    });
+
+    return {
+      id: String(data.id),
+      name: data.title,
+      description: data.description || '',
+      trackCount: data.track_count,
+      url: data.permalink_url,
+      curatorName: data.user?.username,
+      lastModified: data.last_modified,
+    };
+  } catch (error) {
+    logger.error(`Failed to get SoundCloud set ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get every track in a set, following next_href cursors 50 tracks at a time
+ * @param {string} playlistId - Numeric ID or set permalink path
+ * @returns {Promise<Array>} - Normalized track data (addedAt is always null; sets don't record it)
+ */
+async function getPlaylistTracks(playlistId) {
+  try {
+    const tracks = [];
+
+    // Look up the playlist name once rather than once per track
+    let playlistName;
+    try {
+      playlistName = (await getPlaylist(playlistId)).name;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      playlistName = playlistId;
+    }
+    let nextUrl = `${SOUNDCLOUD.PLAYLIST_TRACKS(await resolvePlaylistId(playlistId))}?linked_partitioning=true&limit=50`;
+
+    while (nextUrl) {
+      // SoundCloud Get Playlist Tracks: https://developers.soundcloud.com/docs/api/explorer/open-api#/playlists/get_playlists__playlist_id__tracks
+      const data = await soundcloudRequest(nextUrl);
+
+      for (const track of data.collection || []) {
+        if (track.kind === 'track') {
+          const trackData = await processTrackData(track, playlistId, playlistName);
+          // Sets don't record when a track was added
+          trackData.addedAt = null;
+          tracks.push(trackData);
+        }
+      }
+
+      nextUrl = data.next_href || null;
+
+      logger.debug(`Processed SoundCloud set page`, {
+        playlistId,
+        pageItems: data.collection?.length || 0,
+        totalSoFar: tracks.length,
+        hasMore: !!nextUrl,
+      });
+    }
+
+    logger.info(`Retrieved all SoundCloud set tracks`, {
+      playlistId,
+      totalTracks: tracks.length,
+    });
+
+    return tracks;
+  } catch (error) {
+    logger.error(`Failed to get SoundCloud set tracks ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the largest artwork SoundCloud serves for a track
+ * @param {Object} track - SoundCloud track object
+ * @returns {string|null} - Artwork URL (falls back to the uploader's avatar)
+ */
+function getArtworkUrl(track) {
+  const artwork = track.artwork_url || track.user?.avatar_url;
+  // API URLs point at the 100x100 '-large' rendition
+  return artwork ? artwork.replace('-large.', '-t500x500.') : null;
+}
+
+/**
+ * Process track data into normalized format
+ * @param {Object} track - SoundCloud track object
+ * @param {string} playlistId - Source playlist ID
+ * @param {string} [playlistName] - Source playlist name (looked up if omitted)
+ * @returns {Promise<Object>} - Normalized track data
+ */
+async function processTrackData(track, playlistId, playlistName) {
+  const missingFields = [];
+  const publisher = track.publisher_metadata || {};
+  const parsedPermalink = parseUrl(track.permalink_url);
+
+  // Basic track information
+  const trackData = {
+    source: 'SoundCloud',
+    // Permalink path ('user/track') so page URLs and fresh tracks share one key
+    sourceId: parsedPermalink?.type === 'track' ? parsedPermalink.id : String(track.id),
+    title: track.title,
+    url: track.permalink_url,
+    duration: track.duration ? Math.round(track.duration / 1000) : null,
+    artwork: getArtworkUrl(track),
+  };
+
+  // Uploader is the artist unless the publisher metadata names one
+  const uploader = track.user?.username;
+  if (publisher.artist || uploader) {
+    trackData.artist = publisher.artist || uploader;
+    trackData.performedBy = trackData.artist;
+  } else {
+    missingFields.push('artist');
+  }
+
+  if (publisher.album_title) {
+    trackData.album = publisher.album_title;
+  }
+
+  // Release date, or the upload date for demos ('2024/03/01 10:00:00 +0000')
+  const releaseDate = track.release_date || track.created_at;
+  if (releaseDate) {
+    trackData.releaseDate = releaseDate.slice(0, 10).replace(/\//g, '-');
+  } else {
+    missingFields.push('releaseDate');
+  }
+
+  if (track.label_name) {
+    trackData.label = track.label_name;
+  }
+
+  if (track.genre) {
+    trackData.genre = track.genre;
+  }
+
+  // ISRC is only present for distributed releases
+  if (publisher.isrc) {
+    trackData.isrc = publisher.isrc;
+  } else {
+    // Flag for matching and cleanup by permalink / title+uploader instead of ISRC
+    trackData.identity = 'permalink';
+  }
+
+  // Playlist information - will be set by orchestrator
+  trackData.type = 'Source'; // Default, will be overridden by orchestrator
+
+  // Get playlist name for reference with service prefix
+  if (playlistName) {
+    trackData.playlist = `SoundCloud - ${playlistName}`;
+  } else {
+    try {
+      const playlist = await getPlaylist(playlistId);
+      trackData.playlist = `SoundCloud - ${playlist.name}`;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      trackData.playlist = `SoundCloud - ${playlistId}`;
+    }
+  }
+
+  // Log metadata gaps (a missing ISRC is expected here, so it isn't one)
+  if (missingFields.length > 0) {
+    logger.metadataGap(trackData.sourceId, 'SoundCloud', missingFields);
+  }
+
+  return trackData;
+}
+
+/**
+ * Extract set permalink path from SoundCloud URL
+ * @param {string} url - SoundCloud set URL
+ * @returns {string|null} - 'user/sets/name' (with secret token for private sets) or null if invalid
+ */
+function extractPlaylistId(url) {
+  const regex = /soundcloud\.com\/([\w-]+\/sets\/[\w-]+(?:\/s-\w+)?)/i;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract track permalink path from SoundCloud URL
+ * @param {string} url - SoundCloud track URL
+ * @returns {string|null} - 'user/track' or null if invalid
+ */
+function extractTrackId(url) {
+  if (!url) return null;
+  const regex = /soundcloud\.com\/([\w-]+)\/([\w-]+)(?:\/s-\w+)?\/?(?:[?#]|$)/i;
+  const match = url.match(regex);
+  if (!match || RESERVED_PATHS.includes(match[2].toLowerCase())) return null;
+  return `${match[1]}/${match[2]}`.toLowerCase();
+}
+
+/**
+ * Recognise a soundcloud.com set link (private sets keep their s- token) or a track permalink;
+ * profile pages such as /likes or /reposts are not tracks
+ * @param {string} url - Pasted link
+ * @returns {Object|null} - { type: 'playlist'|'track', id } with permalink-path IDs, or null for other links
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  const playlistId = extractPlaylistId(url);
+  if (playlistId) return { type: 'playlist', id: playlistId };
+
+  const trackId = extractTrackId(url);
+  if (trackId) return { type: 'track', id: trackId };
+
+  return null;
+}
+
+/**
+ * Check that the SoundCloud app credentials are accepted
+ * @returns {Promise<boolean>} - True when a token can be obtained
+ */
+async function checkServiceHealth() {
+  try {
+    await getAccessToken();
+    return true;
+  } catch (error) {
+    logger.error(`SoundCloud service health check failed: ${error.message}`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getPlaylist,
+  getPlaylistTracks,
+  processTrackData,
+  extractPlaylistId,
+  extractTrackId,
+  parseUrl,
+  checkServiceHealth,
+  getAccessToken,
+};
@@ -2,7 +2,9 @@
  * Spotify API Client
  * 
  * Handles all Spotify Web API interactions including authentication,
- * playlist fetching, and track metadata retrieval.
+ * playlist fetching, and track metadata retrieval. The user's library (Liked
+ * Songs, saved albums, releases from followed artists) is read through the
+ * same playlist functions using the pseudo playlist IDs in LIBRARY_SOURCES.
  * 
  * Dependencies: node-fetch, config.js, endpoints.js, utils/logger.js
  * API Docs: https://developer.spotify.com/documentation/web-api/
@@ -17,6 +19,25 @@ const logger = require('./utils/logger');
 let accessToken = null;
 let tokenExpiry = null;
 
+// Library collections synced like playlists, keyed by the pseudo playlist ID used in
+// config (real playlist IDs are 22-character base62, so these never clash)
+const LIBRARY_SOURCES = {
+  'liked-songs': { name: 'Liked Songs', type: 'Liked', url: 'https://open.spotify.com/collection/tracks' },
+  'saved-albums': { name: 'Saved Albums', type: 'Saved Album', url: 'https://open.spotify.com/collection/albums' },
+  'followed-releases': { name: 'Followed Artist Releases', type: 'New Release', url: null },
+};
+
+// Spotify restriction reasons for tracks that can't be played
+const RESTRICTION_REASONS = {
+  market: 'Not available in this market',
+  product: 'Requires Spotify Premium',
+  explicit: 'Explicit content is blocked',
+};
+
+// Most IDs accepted per request by Get Several Tracks / Get Several Albums
+const TRACK_BATCH_SIZE = 50;
+const ALBUM_BATCH_SIZE = 20;
+
 /**
  * Get valid access token, refreshing if necessary
  * @returns {Promise<string>} - Valid access token
@@ -149,6 +170,10 @@ async function spotifyRequest(url, options = {}) {
  * @returns {Promise<Object>} - Playlist metadata
  */
 async function getPlaylist(playlistId) {
+  if (LIBRARY_SOURCES[playlistId]) {
+    return getLibrarySource(playlistId);
+  }
+
   try {
     // Spotify Get Playlist: https://developer.spotify.com/documentation/web-api/reference/get-playlist
     const url = SPOTIFY.PLAYLIST(playlistId);
@@ -166,6 +191,8 @@ async function getPlaylist(playlistId) {
       description: data.description,
       trackCount: data.tracks.total,
       url: data.external_urls.spotify,
+      curatorName: data.owner?.display_name,
+      snapshotId: data.snapshot_id,
     };
   } catch (error) {
     logger.error(`Failed to get Spotify playlist ${playlistId}: ${error.message}`, error);
@@ -179,9 +206,23 @@ async function getPlaylist(playlistId) {
  * @returns {Promise<Array>} - Array of track objects
  */
 async function getPlaylistTracks(playlistId) {
+  if (LIBRARY_SOURCES[playlistId]) {
+    return getLibraryTracks(playlistId);
+  }
+
   try {
     const tracks = [];
-    let nextUrl = SPOTIFY.PLAYLIST_TRACKS(playlistId);
+
+    // Look up the playlist name once rather than once per track
+    let playlistName;
+    try {
+      playlistName = (await getPlaylist(playlistId)).name;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      playlistName = playlistId;
+    }
+    // A market makes Spotify report playability; episodes come back as episode objects
+    let nextUrl = `${SPOTIFY.PLAYLIST_TRACKS(playlistId)}?market=from_token&additional_types=track,episode`;
     
     while (nextUrl) {
       // Spotify Get Playlist Tracks: https://developer.spotify.com/documentation/web-api/reference/get-playlists-tracks
@@ -189,8 +230,8 @@ async function getPlaylistTracks(playlistId) {
       
       // Process each track item
       for (const item of data.items) {
-        if (item.track && item.track.type === 'track') {
-          const trackData = await processTrackData(item.track, playlistId);
+        const trackData = await processPlaylistItem(item, playlistId, playlistName);
+        if (trackData) {
           tracks.push(trackData);
         }
       }
@@ -217,6 +258,203 @@ async function getPlaylistTracks(playlistId) {
   }
 }
 
+/**
+ * Get metadata for a library source, shaped like getPlaylist()
+ * @param {string} sourceId - Key of LIBRARY_SOURCES
+ * @returns {Promise<Object>} - Source metadata
+ */
+async function getLibrarySource(sourceId) {
+  const source = LIBRARY_SOURCES[sourceId];
+
+  try {
+    const metadata = {
+      id: sourceId,
+      name: source.name,
+      description: null,
+      trackCount: null,
+      url: source.url,
+    };
+
+    if (sourceId === 'liked-songs') {
+      // Spotify Get User's Saved Tracks: https://developer.spotify.com/documentation/web-api/reference/get-users-saved-tracks
+      const data = await spotifyRequest(`${SPOTIFY.SAVED_TRACKS}?limit=1`);
+      metadata.trackCount = data.total;
+      // Saves are listed newest first, so the count plus the latest save moves whenever the collection does
+      metadata.snapshotId = `${data.total}:${data.items[0]?.added_at || ''}`;
+    } else if (sourceId === 'saved-albums') {
+      const savedAlbums = await getSavedAlbums();
+      metadata.trackCount = savedAlbums.reduce((total, item) => total + item.album.tracks.total, 0);
+      metadata.snapshotId = `${savedAlbums.length}:${savedAlbums[0]?.added_at || ''}`;
+    } else {
+      // No change marker: every run re-lists releases and processes only tracks not seen before
+      metadata.description = `Releases from followed artists in the last ${config.spotify.releaseWindowDays} days`;
+      metadata.retainTracks = true;
+    }
+
+    logger.debug(`Retrieved Spotify library source`, {
+      sourceId,
+      name: metadata.name,
+      trackCount: metadata.trackCount,
+    });
+
+    return metadata;
+  } catch (error) {
+    logger.error(`Failed to get Spotify ${source.name}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get all tracks of a library source, shaped like getPlaylistTracks()
+ * @param {string} sourceId - Key of LIBRARY_SOURCES
+ * @returns {Promise<Array>} - Normalized tracks; addedAt is when the track (or its album) was saved
+ */
+async function getLibraryTracks(sourceId) {
+  const source = LIBRARY_SOURCES[sourceId];
+
+  try {
+    let tracks;
+
+    if (sourceId === 'liked-songs') {
+      tracks = [];
+      let nextUrl = `${SPOTIFY.SAVED_TRACKS}?limit=50&market=from_token`;
+      while (nextUrl) {
+        const data = await spotifyRequest(nextUrl);
+        for (const item of data.items) {
+          const trackData = await processPlaylistItem(item, sourceId, source.name);
+          if (trackData) {
+            tracks.push(trackData);
+          }
+        }
+        nextUrl = data.next;
+      }
+    } else if (sourceId === 'saved-albums') {
+      const savedAlbums = await getSavedAlbums();
+      tracks = await getAlbumTracks(savedAlbums.map(item => ({ album: item.album, addedAt: item.added_at })), sourceId);
+    } else {
+      const releases = await getFollowedArtistReleases();
+      // A release has no save date; its release date is when it entered the source
+      tracks = await getAlbumTracks(releases.map(album => ({ album, addedAt: album.release_date })), sourceId);
+    }
+
+    logger.info(`Retrieved all Spotify ${source.name} tracks`, {
+      sourceId,
+      totalTracks: tracks.length,
+    });
+
+    return tracks;
+  } catch (error) {
+    logger.error(`Failed to get Spotify ${source.name} tracks: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get every album saved in the user's library
+ * @returns {Promise<Array>} - Saved album items ({ added_at, album }), newest first
+ */
+async function getSavedAlbums() {
+  const savedAlbums = [];
+  let nextUrl = `${SPOTIFY.SAVED_ALBUMS}?limit=50`;
+
+  while (nextUrl) {
+    // Spotify Get User's Saved Albums: https://developer.spotify.com/documentation/web-api/reference/get-users-saved-albums
+    const data = await spotifyRequest(nextUrl);
+    savedAlbums.push(...data.items.filter(item => item.album));
+    nextUrl = data.next;
+  }
+
+  return savedAlbums;
+}
+
+/**
+ * Get albums and singles released by followed artists within the release window
+ * @returns {Promise<Array>} - Full album objects (with tracks), deduplicated
+ */
+async function getFollowedArtistReleases() {
+  const cutoff = new Date(Date.now() - config.spotify.releaseWindowDays * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  const artists = [];
+  let nextUrl = `${SPOTIFY.FOLLOWED_ARTISTS}&limit=50`;
+
+  while (nextUrl) {
+    // Spotify Get Followed Artists: https://developer.spotify.com/documentation/web-api/reference/get-followed
+    const data = await spotifyRequest(nextUrl);
+    artists.push(...data.artists.items);
+    nextUrl = data.artists.next;
+  }
+
+  // Collaborations show up under each artist involved; keep one copy
+  const albumIds = new Set();
+  for (const artist of artists) {
+    // Spotify Get Artist's Albums: https://developer.spotify.com/documentation/web-api/reference/get-an-artists-albums
+    const data = await spotifyRequest(`${SPOTIFY.ARTIST_ALBUMS(artist.id)}?include_groups=album,single&limit=50`);
+    data.items
+      .filter(album => album.release_date_precision === 'day' && album.release_date >= cutoff)
+      .forEach(album => albumIds.add(album.id));
+  }
+
+  const releases = [];
+  const ids = [...albumIds];
+  for (let i = 0; i < ids.length; i += ALBUM_BATCH_SIZE) {
+    // Spotify Get Several Albums: https://developer.spotify.com/documentation/web-api/reference/get-multiple-albums
+    const data = await spotifyRequest(SPOTIFY.ALBUMS(ids.slice(i, i + ALBUM_BATCH_SIZE)));
+    releases.push(...data.albums.filter(Boolean));
+  }
+
+  logger.debug(`Found Spotify releases from followed artists`, {
+    followedArtists: artists.length,
+    releases: releases.length,
+    since: cutoff,
+  });
+
+  return releases;
+}
+
+/**
+ * Expand albums into normalized tracks
+ * @param {Array<Object>} albums - { album, addedAt } where album includes its first page of tracks
+ * @param {string} sourceId - Key of LIBRARY_SOURCES the albums came from
+ * @returns {Promise<Array>} - Normalized tracks in album order
+ */
+async function getAlbumTracks(albums, sourceId) {
+  const addedAtByTrack = new Map();
+
+  for (const { album, addedAt } of albums) {
+    let page = album.tracks;
+    while (page) {
+      page.items.forEach(track => addedAtByTrack.set(track.id, addedAt || null));
+      // Spotify Get Album Tracks: https://developer.spotify.com/documentation/web-api/reference/get-an-albums-tracks
+      page = page.next ? await spotifyRequest(page.next) : null;
+    }
+  }
+
+  // Album track listings omit ISRCs; fetch the full track objects in batches
+  const tracks = [];
+  const trackIds = [...addedAtByTrack.keys()];
+  for (let i = 0; i < trackIds.length; i += TRACK_BATCH_SIZE) {
+    // Spotify Get Several Tracks: https://developer.spotify.com/documentation/web-api/reference/get-several-tracks
+    const data = await spotifyRequest(SPOTIFY.TRACKS(trackIds.slice(i, i + TRACK_BATCH_SIZE)));
+    for (const track of data.tracks.filter(Boolean)) {
+      const trackData = await processTrackData(track, sourceId, LIBRARY_SOURCES[sourceId].name);
+      trackData.addedAt = addedAtByTrack.get(track.id);
+      tracks.push(trackData);
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Type label for a source configured without one
+ * @param {string} playlistId - Playlist ID or LIBRARY_SOURCES key
+ * @returns {string|null} - Library source type, or null for ordinary playlists
+ */
+function getDefaultType(playlistId) {
+  return LIBRARY_SOURCES[playlistId]?.type || null;
+}
+
 /**
  * Get detailed track information
  * @param {string} trackId - Spotify track ID
@@ -241,21 +479,183 @@ async function getTrack(trackId) {
   }
 }
 
+/**
+ * Look up a catalog track by ISRC, or by title and artist
+ * @param {Object} query - { isrc, title, artist }
+ * @returns {Promise<Object|null>} - Normalized track data (no playlist fields) or null if not found
+ */
+async function searchTrack(query) {
+  const q = query.isrc
+    ? `isrc:${query.isrc}`
+    : [query.title && `track:${query.title}`, query.artist && `artist:${query.artist}`].filter(Boolean).join(' ');
+  if (!q) return null;
+
+  try {
+    // Spotify Search: https://developer.spotify.com/documentation/web-api/reference/search
+    const params = new URLSearchParams({ q, type: 'track', limit: '1' });
+    const data = await spotifyRequest(`${SPOTIFY.SEARCH}?${params}`);
+    const track = data.tracks?.items?.[0];
+    if (!track) return null;
+
+    const trackData = await processTrackData(track, null, 'Search');
+    // Search results belong to no playlist
+    delete trackData.playlist;
+    delete trackData.type;
+    return trackData;
+  } catch (error) {
+    logger.error(`Spotify search failed: ${error.message}`, { query, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Look up metadata for a pasted Spotify track or album link
+ * @param {string} url - Spotify URL
+ * @returns {Promise<Object|null>} - Normalized track data (an album link describes the release,
+ *                                   with its UPC as isrc), or null for other links
+ */
+async function lookupUrl(url) {
+  const trackId = extractTrackId(url);
+  if (trackId && /spotify\.com\/track\//.test(url)) {
+    const trackData = await processTrackData(await getTrack(trackId), null, 'Link');
+    // Links belong to no playlist
+    delete trackData.playlist;
+    delete trackData.type;
+    return trackData;
+  }
+
+  const albumMatch = url.match(/spotify\.com\/album\/([a-zA-Z0-9]+)/);
+  if (!albumMatch) return null;
+
+  try {
+    // Spotify Get Album: https://developer.spotify.com/documentation/web-api/reference/get-an-album
+    const album = await spotifyRequest(SPOTIFY.ALBUM(albumMatch[1]));
+
+    return {
+      source: 'Spotify',
+      title: album.name,
+      url: album.external_urls?.spotify || url,
+      artist: album.artists?.map(artist => artist.name).join(', '),
+      performedBy: album.artists?.map(artist => artist.name).join(', '),
+      album: album.name,
+      releaseDate: album.release_date,
+      label: album.label,
+      isrc: album.external_ids?.upc,
+    };
+  } catch (error) {
+    logger.error(`Failed to get Spotify album ${albumMatch[1]}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Normalize one playlist item: a catalog track, a local file or a podcast episode
+ * @param {Object} item - Playlist track object ({ added_at, is_local, track })
+ * @param {string} playlistId - Source playlist ID
+ * @param {string} playlistName - Source playlist name
+ * @returns {Promise<Object|null>} - Normalized track data, or null when the item has nothing to record
+ */
+async function processPlaylistItem(item, playlistId, playlistName) {
+  const track = item.track;
+  let trackData;
+
+  if (!track) {
+    // Deleted from Spotify entirely: the API returns no name, artist or ID to record
+    logger.warn(`Skipped Spotify playlist item with no track data`, { playlistId, addedAt: item.added_at });
+    return null;
+  } else if (item.is_local || track.is_local) {
+    trackData = processLocalFile(track, playlistName);
+  } else if (track.type === 'episode') {
+    trackData = processEpisode(track, playlistName);
+  } else {
+    trackData = await processTrackData(track, playlistId, playlistName);
+  }
+
+  trackData.addedAt = item.added_at || null;
+  return trackData;
+}
+
+/**
+ * Process a local file (added from the desktop app) into normalized format
+ * @param {Object} track - Spotify local track object (no ID, ISRC or URL)
+ * @param {string} playlistName - Source playlist name
+ * @returns {Object} - Normalized track data with kind 'Local File'
+ */
+function processLocalFile(track, playlistName) {
+  // The URI (spotify:local:artist:album:title:seconds) has the tags when the object's fields are empty
+  const [artistPart, albumPart, titlePart] = (track.uri || '').split(':').slice(2)
+    .map(part => decodeURIComponent(part.replace(/\+/g, ' ')));
+  const artist = track.artists?.map(artist => artist.name).filter(Boolean).join(', ') || artistPart || undefined;
+
+  const trackData = {
+    // Not a catalog recording, so no source service: it never lands in Services
+    sourceId: track.uri,
+    title: track.name || titlePart,
+    duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : null,
+    artist,
+    performedBy: artist,
+    album: track.album?.name || albumPart || undefined,
+    kind: 'Local File',
+    // Only ever matches a page with no ISRC and exactly this title/artist
+    identity: 'permalink',
+    type: 'Source', // Default, will be overridden by orchestrator
+    playlist: `Spotify - ${playlistName}`,
+  };
+
+  logger.debug(`Processed Spotify local file`, { uri: track.uri, title: trackData.title });
+
+  return trackData;
+}
+
+/**
+ * Process a podcast episode into normalized format
+ * @param {Object} episode - Spotify episode object
+ * @param {string} playlistName - Source playlist name
+ * @returns {Object} - Normalized track data with kind 'Episode' (show as album, publisher as artist)
+ */
+function processEpisode(episode, playlistName) {
+  const trackData = {
+    source: 'Spotify',
+    sourceId: episode.id,
+    title: episode.name,
+    url: episode.external_urls?.spotify,
+    duration: episode.duration_ms ? Math.round(episode.duration_ms / 1000) : null,
+    artist: episode.show?.publisher,
+    performedBy: episode.show?.publisher,
+    album: episode.show?.name,
+    releaseDate: episode.release_date,
+    kind: 'Episode',
+    identity: 'permalink',
+    type: 'Source', // Default, will be overridden by orchestrator
+    playlist: `Spotify - ${playlistName}`,
+  };
+
+  if (episode.is_playable === false) {
+    trackData.unavailable = true;
+    trackData.unavailableReason = RESTRICTION_REASONS[episode.restrictions?.reason] || 'Not playable';
+  }
+
+  return trackData;
+}
+
 /**
  * Process track data into normalized format
  * @param {Object} track - Spotify track object
  * @param {string} playlistId - Source playlist ID
+ * @param {string} [playlistName] - Source playlist name (looked up if omitted)
  * @returns {Promise<Object>} - Normalized track data
  */
-async function processTrackData(track, playlistId) {
+async function processTrackData(track, playlistId, playlistName) {
   const missingFields = [];
   
   // Basic track information
+  // With a market, unplayable tracks may be relinked to a playable copy; keep the original identity
+  const original = track.linked_from || track;
   const trackData = {
     source: 'Spotify',
-    sourceId: track.id,
+    sourceId: original.id,
     title: track.name,
-    url: track.external_urls?.spotify,
+    url: original.external_urls?.spotify,
     duration: track.duration_ms ? Math.round(track.duration_ms / 1000) : null,
     trackNumber: track.track_number,
     explicit: track.explicit,
@@ -266,6 +666,8 @@ async function processTrackData(track, playlistId) {
   if (track.artists && track.artists.length > 0) {
     trackData.artist = track.artists.map(artist => artist.name).join(', ');
     trackData.performedBy = trackData.artist; // Same for Spotify
+    // Individual credits, for the Artists database
+    trackData.artists = track.artists.map(artist => ({ name: artist.name, id: artist.id }));
   } else {
     missingFields.push('artist');
   }
@@ -273,6 +675,8 @@ async function processTrackData(track, playlistId) {
   // Album information
   if (track.album) {
     trackData.album = track.album.name;
+    trackData.albumId = track.album.id;
+    trackData.albumArtist = (track.album.artists || []).map(artist => artist.name).join(', ') || undefined;
     trackData.releaseDate = track.album.release_date;
     trackData.label = track.album.label;
   } else {
@@ -286,16 +690,28 @@ async function processTrackData(track, playlistId) {
     missingFields.push('isrc');
   }
 
+  // Playability is only reported when the request names a market
+  if (track.is_playable !== undefined) {
+    trackData.unavailable = track.is_playable === false;
+    if (trackData.unavailable) {
+      trackData.unavailableReason = RESTRICTION_REASONS[track.restrictions?.reason] || 'Not playable';
+    }
+  }
+
   // Playlist information - will be set by orchestrator
   trackData.type = 'Source'; // Default, will be overridden by orchestrator
   
   // Get playlist name for reference with service prefix
-  try {
-    const playlist = await getPlaylist(playlistId);
-    trackData.playlist = `Spotify - ${playlist.name}`;
-  } catch (error) {
-    logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
-    trackData.playlist = `Spotify - ${playlistId}`;
+  if (playlistName) {
+    trackData.playlist = `Spotify - ${playlistName}`;
+  } else {
+    try {
+      const playlist = await getPlaylist(playlistId);
+      trackData.playlist = `Spotify - ${playlist.name}`;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      trackData.playlist = `Spotify - ${playlistId}`;
+    }
   }
 
   // Log metadata gaps
@@ -308,15 +724,52 @@ async function processTrackData(track, playlistId) {
 
 /**
  * Extract playlist ID from Spotify URL
- * @param {string} url - Spotify playlist URL
- * @returns {string|null} - Playlist ID or null if invalid
+ * @param {string} url - Spotify playlist or library collection URL
+ * @returns {string|null} - Playlist ID (or LIBRARY_SOURCES key) or null if invalid
  */
 function extractPlaylistId(url) {
+  // Liked Songs and saved albums open as collection pages
+  const collection = url.match(/spotify\.com\/collection\/(tracks|albums)/);
+  if (collection) {
+    return collection[1] === 'tracks' ? 'liked-songs' : 'saved-albums';
+  }
+
   const regex = /spotify\.com\/playlist\/([a-zA-Z0-9]+)/;
   const match = url.match(regex);
   return match ? match[1] : null;
 }
 
+/**
+ * Extract track ID from Spotify URL
+ * @param {string} url - Spotify track or episode URL
+ * @returns {string|null} - Track ID or null if invalid
+ */
+function extractTrackId(url) {
+  if (!url) return null;
+  // Podcast episodes sit in playlists alongside tracks
+  const regex = /spotify\.com\/(?:track|episode)\/([a-zA-Z0-9]+)/;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Recognise an open.spotify.com playlist, Liked Songs or saved albums link, or a track or episode link
+ * @param {string} url - Pasted link
+ * @returns {Object|null} - { type: 'playlist'|'track', id } (library links map to 'liked-songs' / 'saved-albums'),
+ *                          or null for other links
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  const playlistId = extractPlaylistId(url);
+  if (playlistId) return { type: 'playlist', id: playlistId };
+
+  const trackId = extractTrackId(url);
+  if (trackId) return { type: 'track', id: trackId };
+
+  return null;
+}
+
 /**
  * Check if Spotify service is available
  * @returns {Promise<boolean>} - Service availability status
@@ -335,9 +788,15 @@ module.exports = {
   getPlaylist,
   getPlaylistTracks,
   getTrack,
+  searchTrack,
   processTrackData,
   extractPlaylistId,
+  extractTrackId,
+  parseUrl,
+  lookupUrl,
+  getDefaultType,
   checkServiceHealth,
   getAccessToken,
+  LIBRARY_SOURCES,
 };
 
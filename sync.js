@@ -7,25 +7,96 @@
  * 
  * Usage:
  *   node sync.js              # Full sync with cleanup
- *   node sync.js --spotify    # Sync only Spotify
- *   node sync.js --apple      # Sync only Apple Music  
+ *   node sync.js --service spotify  # Sync only one service's playlists
+ *   node sync.js --spotify    # Shorthand for --service spotify
+ *   node sync.js --apple      # Shorthand for --service appleMusic
  *   node sync.js --cleanup    # Only cleanup removed tracks
  *   node sync.js --dry-run    # Preview changes without applying
+ *   node sync.js --full       # Reprocess every track, ignoring saved sync state
+ *   node sync.js --refresh    # Update automated fields on existing tracks
+ *   node sync.js --force      # Let cleanup exceed the removal threshold
+ *   node sync.js ingest-files <dir>  # Record local audio files as File Upload tracks
+ *   node sync.js import-csv <file>   # Import spreadsheet rows as CSV Import tracks
+ *   node sync.js enrich-links        # Fill in metadata for bare Link Only rows
+ *   node sync.js schema check        # Compare the Notion database with the expected schema
+ *   node sync.js schema migrate      # Create missing properties and select options
+ *   node sync.js init-db --parent <pageId>  # Create a new tracks database from the schema
  * 
- * Dependencies: syncOrchestrator.js, config.js, utils/logger.js
+ * Dependencies: syncOrchestrator.js, fileIngest.js, csvImport.js, linkEnrichment.js,
+ *               schemaValidator.js, providers.js, schema.js, config.js, utils/logger.js
  */
 
 const syncOrchestrator = require('./syncOrchestrator');
+const fileIngest = require('./fileIngest');
+const csvImport = require('./csvImport');
+const linkEnrichment = require('./linkEnrichment');
+const schemaValidator = require('./schemaValidator');
+const providers = require('./providers');
+const { NOTION_FIELDS, DEFAULT_NOTION_FIELDS } = require('./schema');
 const config = require('./config');
 const logger = require('./utils/logger');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
+
+/**
+ * Collect the provider ids requested with --service (repeatable) or a shorthand flag
+ * @returns {Array<string>} - Provider ids, empty when all services should sync
+ */
+function getRequestedServices() {
+  const services = [];
+  args.forEach((arg, index) => {
+    if (arg === '--service' && args[index + 1]) {
+      services.push(args[index + 1]);
+    } else if (arg.startsWith('--service=')) {
+      services.push(arg.slice('--service='.length));
+    }
+  });
+  if (args.includes('--spotify')) services.push('spotify');
+  if (args.includes('--apple')) services.push('appleMusic');
+  return [...new Set(services)];
+}
+
+/**
+ * Read the value of an option given as `--name value` or `--name=value`
+ * @param {string} name - Option name including the dashes
+ * @returns {string|undefined} - Option value
+ */
+function getArgValue(name) {
+  const index = args.indexOf(name);
+  if (index !== -1) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+// Title of databases created by init-db unless --title is given
+const DEFAULT_DATABASE_TITLE = 'Music Soup Tracks';
+
+// Views to add by hand after init-db - the Notion API can't create views
+const SUGGESTED_VIEWS = [
+  'Active: table, filter Removed is unchecked, sort Created time descending',
+  'By Source: board grouped by Source',
+  'Removed: table, filter Removed is checked, sort Removed On descending',
+];
+
+// Subcommand (e.g. 'ingest-files') and its positional argument, when given
+const [command, commandArg] = args[0] && !args[0].startsWith('-') ? args : [];
+
 const options = {
-  spotifyOnly: args.includes('--spotify'),
-  appleOnly: args.includes('--apple'),
+  command,
+  commandArg,
+  services: getRequestedServices(),
   cleanupOnly: args.includes('--cleanup'),
   dryRun: args.includes('--dry-run'),
+  full: args.includes('--full'),
+  refresh: args.includes('--refresh'),
+  force: args.includes('--force'),
+  mappingPath: getArgValue('--mapping'),
+  reportPath: getArgValue('--report'),
+  parent: getArgValue('--parent'),
+  title: getArgValue('--title'),
+  lookup: args.includes('--lookup'),
+  preview: args.includes('--preview'),
   help: args.includes('--help') || args.includes('-h')
 };
 
@@ -38,33 +109,219 @@ function showHelp() {
 
 USAGE:
   node sync.js [options]
+  node sync.js ingest-files <dir> [--dry-run]
+  node sync.js import-csv <file> [--mapping <file>] [--lookup] [--preview] [--report <file>]
+  node sync.js enrich-links [--dry-run]
+  node sync.js schema check|migrate [--dry-run]
+  node sync.js init-db --parent <pageId> [--title <name>]
+
+COMMANDS:
+  ingest-files <dir>  Scan a folder of MP3/FLAC/M4A/WAV files and record them
+                      as File Upload tracks (re-running skips files already
+                      recorded, matched by content hash)
+  import-csv <file>   Import spreadsheet rows as CSV Import tracks; rows that
+                      match an existing track (ISRC, service URL or
+                      title/artist) are skipped instead of duplicated
+      --mapping <file>  JSON/YAML column mapping (headers matched by name otherwise)
+      --lookup          Fill missing metadata from Spotify/Apple Music
+      --preview         Dry run that lists what would happen to every row
+      --report <file>   Write a per-row CSV report of the import
+  enrich-links        Fill empty metadata on Link Only rows from their pasted
+                      Spotify/Apple Music link, or YouTube/SoundCloud oEmbed
+                      (also runs at the end of a full sync)
+  schema check        Report missing, extra and mistyped Notion properties and
+                      missing select options (every other command refuses to
+                      run while properties are missing or mistyped)
+  schema migrate      Create missing properties and select options; mistyped
+                      properties are reported for fixing by hand
+  init-db             Create a new tracks database with every schema property
+                      and print its ID for NOTION_DB_ID
+      --parent <page>   Notion page ID or link to create it in (shared with the integration)
+      --title <name>    Database title (default "${DEFAULT_DATABASE_TITLE}")
 
 OPTIONS:
-  --spotify     Sync only Spotify playlist
-  --apple       Sync only Apple Music playlist
+  --service <id> Sync only playlists of this service (repeatable; ${providers.getProviders().map(provider => provider.id).join(', ')})
+  --spotify     Shorthand for --service spotify
+  --apple       Shorthand for --service appleMusic
   --cleanup     Only cleanup removed tracks
   --dry-run     Preview changes without applying them
+  --full        Reprocess every track instead of only new ones
+  --refresh     Update automated fields on existing tracks (never manual ones)
+  --force       Allow cleanup to mark more tracks removed than CLEANUP_MAX_REMOVALS
   --help, -h    Show this help message
 
 EXAMPLES:
   node sync.js                    # Full sync (recommended)
-  node sync.js --spotify          # Sync only Spotify
+  node sync.js --service spotify  # Sync only Spotify
   node sync.js --dry-run           # Preview what would be synced
   node sync.js --cleanup --dry-run # Preview cleanup actions
+  node sync.js --full             # Ignore saved sync state and recheck everything
+  node sync.js --refresh --dry-run # Preview metadata corrections per field
+  node sync.js ingest-files ./demos --dry-run  # Preview which files would be recorded
+  node sync.js import-csv cues.csv --mapping cues.yaml --preview  # Check a cue list before importing
+  node sync.js schema migrate --dry-run  # Preview which properties would be created
+  node sync.js init-db --parent https://www.notion.so/Film-Project-0123456789abcdef0123456789abcdef
 
 CONFIGURATION:
   Configuration is loaded from .env file.
   See env.example for required environment variables.
+  Playlists are read from music-soup.config.json/.yaml when present
+  (see music-soup.config.example.json), otherwise from env vars.
 
 CURRENT SETTINGS:
   Dry Run: ${config.config.dryRun ? 'ON' : 'OFF'}
+  Full Sync: ${config.config.fullSync ? 'ON' : 'OFF'}
+  Refresh Metadata: ${config.config.refreshMetadata ? 'ON' : 'OFF'}
+  Cleanup Max Removals: ${config.config.cleanupMaxRemovals || 'unlimited'}
+  Sync State: ${config.config.syncStatePath}
   Log Level: ${config.config.logLevel}
-  Spotify Playlist: ${config.spotify.playlistId}
-  Apple Music Playlist: ${config.appleMusic.playlistId}
+  Playlist Config: ${config.getPlaylistConfigPath() || 'environment variables'}
+  Playlists: ${config.getAllConfiguredPlaylists().map(playlist => `${playlist.service}:${playlist.id} (${playlist.type})`).join(', ') || 'none'}
   Notion Database: ${config.notion.databaseId}
+  Renamed Notion Fields: ${Object.keys(NOTION_FIELDS)
+    .filter(field => NOTION_FIELDS[field] !== DEFAULT_NOTION_FIELDS[field])
+    .map(field => `${DEFAULT_NOTION_FIELDS[field]} → ${NOTION_FIELDS[field]}`)
+    .join(', ') || 'none'}
 `);
 }
 
+/**
+ * Print the tracks an aborted cleanup would have marked removed
+ * @param {Object} cleanupResults - Results from cleanupRemovedTracks()
+ */
+function printAbortedCleanup(cleanupResults) {
+  if (!cleanupResults.aborted) return;
+
+  console.log('');
+  console.log(`🛑 Cleanup refused: ${cleanupResults.wouldRemove.length} tracks would be marked removed`);
+  console.log(`   (limit: ${config.config.cleanupMaxRemovals}). Nothing was changed.`);
+  cleanupResults.wouldRemove.forEach(track => {
+    console.log(`   - ${track.title || 'Untitled'}${track.artist ? ` — ${track.artist}` : ''}`);
+  });
+  console.log('   Re-run with --force if these removals are intended.');
+}
+
+/**
+ * Print per-service sync results
+ * @param {Object} syncResults - Results from syncAllPlaylists()
+ */
+function printServiceResults(syncResults) {
+  Object.entries(syncResults.services).forEach(([id, counts], index) => {
+    const provider = providers.getProvider(id);
+    if (index > 0) console.log('');
+    console.log(`${provider.icon} ${provider.name}:`);
+    console.log(`   New tracks: ${counts.added}`);
+    console.log(`   Skipped: ${counts.skipped}`);
+    console.log(`   Unchanged: ${counts.unchanged}`);
+    console.log(`   Updated: ${counts.updated}`);
+    console.log(`   Restored: ${counts.restored}`);
+    console.log(`   Errors: ${counts.errors}`);
+  });
+}
+
+/**
+ * Format a property value for the refresh summary
+ * @param {*} value - Value from notionClient.diffTrackProperties()
+ * @returns {string} - Printable value
+ */
+function formatChangeValue(value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return '(empty)';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Print the field changes a --refresh made (or would make, in a dry run)
+ * @param {Object} syncResults - Results from syncAllPlaylists()
+ */
+function printRefreshedTracks(syncResults) {
+  if (!config.config.refreshMetadata) return;
+
+  console.log('');
+  console.log(`🔄 Metadata ${config.config.dryRun ? 'that would be refreshed' : 'refreshed'}: ${syncResults.refreshed.length} tracks`);
+  syncResults.refreshed.forEach(track => {
+    console.log(`   - ${track.title || 'Untitled'}${track.artist ? ` — ${track.artist}` : ''}`);
+    track.changes.forEach(({ field, from, to }) => {
+      console.log(`       ${field}: ${formatChangeValue(from)} → ${formatChangeValue(to)}`);
+    });
+  });
+}
+
+/**
+ * Print file ingestion results
+ * @param {Object} ingestResults - Results from fileIngest.ingestFiles()
+ */
+function printIngestResults(ingestResults) {
+  console.log('\n📊 Ingest Results:');
+  console.log(`   Audio files found: ${ingestResults.files}`);
+  console.log(`   File Upload records created: ${ingestResults.created}`);
+  console.log(`   Attached to existing tracks: ${ingestResults.matched}`);
+  console.log(`   Moved or changed files updated: ${ingestResults.updated}`);
+  console.log(`   Already ingested: ${ingestResults.unchanged}`);
+  console.log(`   Duplicates of ingested files: ${ingestResults.duplicate}`);
+  console.log(`   Errors: ${ingestResults.errors}`);
+  ingestResults.failures.forEach(failure => {
+    console.log(`   - ${failure.file}: ${failure.error}`);
+  });
+}
+
+/**
+ * Print CSV import results
+ * @param {Object} importResults - Results from csvImport.importCsv()
+ * @param {boolean} listRows - Print every row, not just the failed ones
+ */
+function printImportResults(importResults, listRows) {
+  console.log('\n📊 Import Results:');
+  console.log(`   Rows read: ${importResults.rows}`);
+  console.log(`   Tracks created: ${importResults.created}`);
+  console.log(`   Matched existing tracks: ${importResults.skipped + importResults.updated + importResults.restored}`);
+  console.log(`   Invalid rows: ${importResults.invalid}`);
+  console.log(`   Errors: ${importResults.errors}`);
+  importResults.report
+    .filter(entry => listRows || entry.error)
+    .forEach(entry => {
+      const track = `${entry.title || 'Untitled'}${entry.artist ? ` — ${entry.artist}` : ''}`;
+      const lookup = entry.lookup ? ` (metadata from ${entry.lookup})` : '';
+      console.log(`   - line ${entry.line}: ${track}: ${entry.error || entry.status}${lookup}`);
+    });
+}
+
+/**
+ * Print Link Only enrichment results
+ * @param {Object} enrichmentResults - Results from linkEnrichment.enrichLinkOnlyTracks()
+ */
+function printEnrichmentResults(enrichmentResults) {
+  console.log(`   Link Only rows missing metadata: ${enrichmentResults.candidates}`);
+  console.log(`   Rows enriched: ${enrichmentResults.enriched}`);
+  console.log(`   Links with nothing found: ${enrichmentResults.unresolved}`);
+  console.log(`   Errors: ${enrichmentResults.errors}`);
+}
+
+/**
+ * Print a schema check report
+ * @param {Object} report - Report from schemaValidator.checkSchema()
+ */
+function printSchemaReport(report) {
+  console.log(`\n📋 Schema Check (${report.name} database):`);
+  console.log(`   Missing properties: ${report.missing.length}`);
+  report.missing.forEach(({ name, type, renameFrom }) => {
+    console.log(`   - ${name} (${type})${renameFrom ? ` - title property is named "${renameFrom}"` : ''}`);
+  });
+  console.log(`   Mistyped properties: ${report.mistyped.length}`);
+  report.mistyped.forEach(({ name, expected, actual }) => {
+    console.log(`   - ${name}: expected ${expected}, found ${actual}`);
+  });
+  console.log(`   Missing select options: ${report.missingOptions.reduce((count, entry) => count + entry.options.length, 0)}`);
+  report.missingOptions.forEach(({ name, options }) => {
+    console.log(`   - ${name}: ${options.join(', ')}`);
+  });
+  console.log(`   Extra properties (left alone): ${report.extra.length}`);
+  report.extra.forEach(({ name, type }) => {
+    console.log(`   - ${name} (${type})`);
+  });
+}
+
 /**
  * Main CLI function
  */
@@ -75,54 +332,150 @@ async function main() {
     process.exit(0);
   }
 
-  // Override dry run if specified
-  if (options.dryRun) {
+  // Override dry run if specified (a CSV preview is a dry run)
+  if (options.dryRun || options.preview) {
     process.env.DRY_RUN = 'true';
     config.config.dryRun = true;
   }
 
+  // Override incremental sync if specified
+  if (options.full) {
+    process.env.FULL_SYNC = 'true';
+    config.config.fullSync = true;
+  }
+
+  // Enable metadata refresh if specified
+  if (options.refresh) {
+    process.env.REFRESH_METADATA = 'true';
+    config.config.refreshMetadata = true;
+  }
+
+  // Override cleanup removal threshold if specified
+  if (options.force) {
+    process.env.FORCE_CLEANUP = 'true';
+    config.config.forceCleanup = true;
+  }
+
   try {
     console.log('🎵 Music Soup Sync Starting...\n');
     
     // Log current configuration
     logger.info('Sync configuration', {
       dryRun: config.config.dryRun,
+      fullSync: config.config.fullSync,
+      refreshMetadata: config.config.refreshMetadata,
       logLevel: config.config.logLevel,
       options: options
     });
 
+    if (options.command !== 'init-db' && !config.notion.databaseId) {
+      throw new Error('Required environment variable NOTION_DB_ID is not set (create a database with init-db)');
+    }
+
+    // Catch a renamed or retyped property before it fails every track write
+    if (options.command !== 'schema' && options.command !== 'init-db') {
+      await schemaValidator.assertCompatibleSchema();
+    }
+
     let results;
 
-    if (options.cleanupOnly) {
+    if (options.command === 'init-db') {
+      if (!options.parent) {
+        throw new Error('Usage: node sync.js init-db --parent <pageId> [--title <name>]');
+      }
+      const title = options.title || DEFAULT_DATABASE_TITLE;
+      console.log(`🗄️  Creating Notion database "${title}"...\n`);
+      results = await schemaValidator.initDatabase({ parent: options.parent, title });
+
+      if (results.id) {
+        console.log(`✅ Created database with ${Object.keys(results.properties).length} properties: ${results.url}`);
+        console.log('\n   Add this to .env:');
+        console.log(`   NOTION_DB_ID=${results.id.replace(/-/g, '')}`);
+      } else {
+        console.log(`   Would create ${Object.keys(results.properties).length} properties: ${Object.keys(results.properties).join(', ')}`);
+      }
+      console.log('\n   Suggested views (add them in Notion):');
+      SUGGESTED_VIEWS.forEach(view => console.log(`   - ${view}`));
+
+    } else if (options.command === 'schema') {
+      if (options.commandArg !== 'check' && options.commandArg !== 'migrate') {
+        throw new Error('Usage: node sync.js schema check|migrate');
+      }
+
+      results = { compatible: true };
+      for (const target of schemaValidator.getSchemaTargets()) {
+        if (options.commandArg === 'check') {
+          const report = await schemaValidator.checkSchema(target);
+          printSchemaReport(report);
+          results.compatible = results.compatible && report.compatible;
+        } else {
+          const migration = await schemaValidator.migrateSchema(target);
+          printSchemaReport(migration.report);
+          console.log(`\n🛠️  Schema Changes (${target.name} database):`);
+          migration.changes.forEach(change => console.log(`   - ${change}`));
+          if (migration.changes.length === 0) console.log('   None needed');
+          migration.unresolved.forEach(({ name, expected }) => {
+            console.log(`   ⚠️  Change "${name}" to ${expected} in Notion - mistyped properties aren't converted`);
+          });
+          results.compatible = results.compatible && migration.unresolved.length === 0;
+        }
+      }
+
+    } else if (options.command === 'ingest-files') {
+      if (!options.commandArg) {
+        throw new Error('Usage: node sync.js ingest-files <dir>');
+      }
+      console.log(`📁 Ingesting audio files from ${options.commandArg}...\n`);
+      results = await fileIngest.ingestFiles(options.commandArg);
+      printIngestResults(results);
+
+    } else if (options.command === 'import-csv') {
+      if (!options.commandArg) {
+        throw new Error('Usage: node sync.js import-csv <file> [--mapping <file>]');
+      }
+      console.log(`📥 Importing tracks from ${options.commandArg}...\n`);
+      results = await csvImport.importCsv(options.commandArg, {
+        mappingPath: options.mappingPath,
+        lookup: options.lookup,
+      });
+      printImportResults(results, options.preview);
+
+      if (options.reportPath) {
+        csvImport.writeReport(results, options.reportPath);
+        console.log(`\n📝 Report written to ${options.reportPath}`);
+      }
+
+    } else if (options.command === 'enrich-links') {
+      console.log('🔗 Enriching Link Only rows...\n');
+      results = await linkEnrichment.enrichLinkOnlyTracks();
+      console.log('\n📊 Enrichment Results:');
+      printEnrichmentResults(results);
+
+    } else if (options.command) {
+      throw new Error(`Unknown command: ${options.command} (see --help)`);
+
+    } else if (options.cleanupOnly) {
       // Only run cleanup
       console.log('🧹 Running cleanup only...\n');
       results = await syncOrchestrator.cleanupRemovedTracks();
       
       console.log('\n📊 Cleanup Results:');
       console.log(`   Tracks marked as removed: ${results.marked}`);
+      console.log(`   Playlist memberships updated: ${results.membershipsUpdated}`);
+      console.log(`   Tracks related to artist/album pages: ${results.linked}`);
+      console.log(`   Tracks protected (failed fetch): ${results.protected}`);
       console.log(`   Errors: ${results.errors}`);
+      printAbortedCleanup(results);
 
-    } else if (options.spotifyOnly) {
-      // Only sync Spotify
-      console.log('🎧 Syncing Spotify only...\n');
-      results = await syncOrchestrator.syncSpotifyPlaylist();
-      
-      console.log('\n📊 Spotify Sync Results:');
-      console.log(`   New tracks added: ${results.added}`);
-      console.log(`   Tracks skipped (preserving edits): ${results.skipped}`);
-      console.log(`   Tracks updated: ${results.updated}`);
-      console.log(`   Errors: ${results.errors}`);
-
-    } else if (options.appleOnly) {
-      // Only sync Apple Music
-      console.log('🍎 Syncing Apple Music only...\n');
-      results = await syncOrchestrator.syncAppleMusicPlaylist();
+    } else if (options.services.length > 0) {
+      // Only sync the requested services, without cleanup (unknown ids throw here)
+      const names = options.services.map(id => providers.getProvider(id).name);
+      console.log(`🎧 Syncing ${names.join(', ')} only...\n`);
+      results = await syncOrchestrator.syncAllPlaylists({ services: options.services });
       
-      console.log('\n📊 Apple Music Sync Results:');
-      console.log(`   New tracks added: ${results.added}`);
-      console.log(`   Tracks skipped (preserving edits): ${results.skipped}`);
-      console.log(`   Tracks updated: ${results.updated}`);
-      console.log(`   Errors: ${results.errors}`);
+      console.log('\n📊 Sync Results:');
+      printServiceResults(results);
+      printRefreshedTracks(results);
 
     } else {
       // Full sync (default)
@@ -133,26 +486,25 @@ async function main() {
       console.log('═══════════════════════════');
       console.log(`Total Duration: ${results.totalDuration}ms`);
       console.log('');
-      console.log('🎧 Spotify:');
-      console.log(`   New tracks: ${results.sync.spotify.added}`);
-      console.log(`   Skipped: ${results.sync.spotify.skipped}`);
-      console.log(`   Updated: ${results.sync.spotify.updated}`);
-      console.log(`   Errors: ${results.sync.spotify.errors}`);
-      console.log('');
-      console.log('🍎 Apple Music:');
-      console.log(`   New tracks: ${results.sync.appleMusic.added}`);
-      console.log(`   Skipped: ${results.sync.appleMusic.skipped}`);
-      console.log(`   Updated: ${results.sync.appleMusic.updated}`);
-      console.log(`   Errors: ${results.sync.appleMusic.errors}`);
+      printServiceResults(results.sync);
+      printRefreshedTracks(results.sync);
       console.log('');
       console.log('🧹 Cleanup:');
       console.log(`   Tracks marked removed: ${results.cleanup.marked}`);
+      console.log(`   Playlist memberships updated: ${results.cleanup.membershipsUpdated}`);
+      console.log(`   Tracks related to artist/album pages: ${results.cleanup.linked}`);
+      console.log(`   Tracks protected (failed fetch): ${results.cleanup.protected}`);
       console.log(`   Errors: ${results.cleanup.errors}`);
+      printAbortedCleanup(results.cleanup);
+      console.log('');
+      console.log('🔗 Link Only Enrichment:');
+      printEnrichmentResults(results.enrichment);
       console.log('');
       console.log('📈 Summary:');
       console.log(`   Total processed: ${results.sync.total.processed}`);
       console.log(`   Total successful: ${results.sync.total.successful}`);
-      console.log(`   Total errors: ${results.sync.total.errors + results.cleanup.errors}`);
+      console.log(`   Total unchanged: ${results.sync.total.unchanged}`);
+      console.log(`   Total errors: ${results.sync.total.errors + results.cleanup.errors + results.enrichment.errors}`);
     }
 
     if (config.config.dryRun) {
@@ -160,6 +512,27 @@ async function main() {
       console.log('   Remove --dry-run flag or set DRY_RUN=false in .env to apply changes.');
     }
 
+    if (options.command === 'schema' && !results.compatible) {
+      console.log('\n⚠️  The Notion database schema is incompatible - see above.');
+      process.exit(1);
+    }
+
+    const cleanupResults = options.cleanupOnly ? results : results.cleanup;
+    if (options.command && (results.errors > 0 || results.invalid > 0)) {
+      const failures = {
+        'ingest-files': 'files could not be ingested',
+        'import-csv': 'rows could not be imported',
+        'enrich-links': 'rows could not be enriched',
+      };
+      console.log(`\n⚠️  Some ${failures[options.command]} - see above.`);
+      process.exit(1);
+    }
+
+    if (cleanupResults?.aborted) {
+      console.log('\n🛑 Sync finished but cleanup was refused - see above.');
+      process.exit(1);
+    }
+
     console.log('\n✅ Sync completed successfully!');
     process.exit(0);
 
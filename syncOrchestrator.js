@@ -2,108 +2,194 @@
  * Music Soup Sync Orchestrator
  * 
  * Main orchestration logic that coordinates playlist synchronization between
- * Spotify, Apple Music, and Notion database.
+ * the registered music service providers and the Notion database.
  * 
- * Dependencies: config.js, all API clients, utils/logger.js
+ * Dependencies: config.js, schema.js, providers.js, notionClient.js, syncState.js, trackIndex.js,
+ *               playlistDatabase.js, artistAlbumDatabase.js, linkEnrichment.js, utils/logger.js,
+ *               utils/concurrency.js, utils/normalize.js
  */
 
 const config = require('./config');
 const logger = require('./utils/logger');
-const spotifyClient = require('./spotifyClient');
-const appleMusicClient = require('./appleMusicClient');
+const providers = require('./providers');
 const notionClient = require('./notionClient');
+const { NOTION_FIELDS, MANUAL_SOURCES, extractPropertyValue } = require('./schema');
+const syncState = require('./syncState');
+const trackIndex = require('./trackIndex');
+const playlistDatabase = require('./playlistDatabase');
+const artistAlbumDatabase = require('./artistAlbumDatabase');
+const linkEnrichment = require('./linkEnrichment');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { getTitleArtistKey } = require('./utils/normalize');
+
+/**
+ * Build the label a playlist is recorded under in Notion
+ * @param {Object} provider - Music service provider
+ * @param {string} playlistName - Playlist name on that service
+ * @returns {string} - Label such as 'Spotify - Playlist Name'
+ */
+function getPlaylistLabel(provider, playlistName) {
+  return `${provider.name} - ${playlistName}`;
+}
+
+// Playlist label -> configured playlist type, filled in as playlists are fetched
+const playlistTypes = new Map();
+
+/**
+ * Derive a page's Type values from its playlist memberships
+ * @param {Object} page - Notion page object
+ * @param {Array<string>} memberships - Playlist labels the track belongs to
+ * @returns {Array<string>} - Type values
+ */
+function getMembershipTypes(page, memberships) {
+  const types = new Set();
+  let unresolved = false;
+
+  memberships.forEach(label => {
+    if (playlistTypes.has(label)) {
+      types.add(playlistTypes.get(label));
+    } else {
+      unresolved = true;
+    }
+  });
+
+  // Playlists not seen this run keep whatever Type the page already had
+  if (unresolved) {
+    const existingTypes = extractPropertyValue(page.properties[NOTION_FIELDS.TYPE]) || [];
+    existingTypes.forEach(type => types.add(type));
+  }
+
+  return [...types];
+}
+
+// In-flight track syncs keyed by recording, so two playlists synced at once
+// never create the same track twice
+const trackLocks = new Map();
+
+/**
+ * Run a track sync after any in-flight sync of the same recording finishes
+ * @param {Object} trackData - Normalized track data
+ * @param {Function} fn - Async function performing the sync
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withTrackLock(trackData, fn) {
+  // Title/artist first, so a track without an ISRC (e.g. from YouTube) queues behind the same song with one
+  const key = getTitleArtistKey(trackData.title, trackData.artist) || trackIndex.normalizeIsrc(trackData.isrc) || trackData.sourceId;
+  const previous = trackLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  trackLocks.set(key, current);
+
+  try {
+    return await current;
+  } finally {
+    if (trackLocks.get(key) === current) {
+      trackLocks.delete(key);
+    }
+  }
+}
+
+/**
+ * Create an empty per-service sync summary
+ * @returns {Object} - Counters for one service
+ */
+function createServiceSummary() {
+  return { added: 0, updated: 0, restored: 0, skipped: 0, unchanged: 0, errors: 0 };
+}
 
 /**
  * Sync all configured playlists to Notion
- * @returns {Promise<Object>} - Sync summary statistics
+ * @param {Object} options - Sync options
+ * @param {Array<string>} options.services - Only sync playlists of these provider ids (default: all)
+ * @returns {Promise<Object>} - Sync summary statistics ({ services: { <id>: counters }, total, refreshed, ... })
  */
-async function syncAllPlaylists() {
+async function syncAllPlaylists(options = {}) {
   const syncStart = Date.now();
   const summary = {
-    spotify: { added: 0, updated: 0, skipped: 0, errors: 0 },
-    appleMusic: { added: 0, updated: 0, skipped: 0, errors: 0 },
-    total: { processed: 0, successful: 0, skipped: 0, errors: 0 },
+    services: {},
+    total: { processed: 0, successful: 0, restored: 0, skipped: 0, unchanged: 0, errors: 0 },
     duration: 0,
-    errors: []
+    errors: [],
+    // Field changes made by --refresh, per track
+    refreshed: []
   };
 
-  const configuredPlaylists = config.getAllConfiguredPlaylists();
+  const configuredPlaylists = config.getAllConfiguredPlaylists()
+    .filter(playlist => !options.services || options.services.includes(playlist.service));
   
   logger.info('🎵 Starting Music Soup sync process', {
-    configuredPlaylists: configuredPlaylists.map(p => ({ service: p.service, type: p.type, id: p.id })),
+    configuredPlaylists: configuredPlaylists.map(p => ({ service: p.service, type: p.type, id: p.id, tags: p.tags })),
     totalPlaylists: configuredPlaylists.length,
-    dryRun: config.config.dryRun
+    dryRun: config.config.dryRun,
+    fullSync: config.config.fullSync,
+    refreshMetadata: config.config.refreshMetadata
   });
 
   try {
-    // Sync all configured playlists
-    for (const playlist of configuredPlaylists) {
-      try {
-        let result;
-        if (playlist.service === 'spotify') {
-          logger.info('🎧 Syncing Spotify playlist', { 
-            playlistId: playlist.id, 
-            type: playlist.type,
-            key: playlist.key 
-          });
-          result = await syncSpotifyPlaylist(playlist.id, playlist.type);
-        } else if (playlist.service === 'appleMusic') {
-          logger.info('🍎 Syncing Apple Music playlist', { 
-            playlistId: playlist.id, 
-            type: playlist.type,
-            key: playlist.key 
-          });
-          result = await syncAppleMusicPlaylist(playlist.id, playlist.type);
-        }
+    // Load every Notion page once so matching runs in memory
+    await trackIndex.load();
+
+    // Group playlists by service so a slow or failing service never holds up the others
+    const playlistsByService = {};
+    configuredPlaylists.forEach(playlist => {
+      if (!playlistsByService[playlist.service]) {
+        playlistsByService[playlist.service] = [];
+        summary.services[playlist.service] = createServiceSummary();
+      }
+      playlistsByService[playlist.service].push(playlist);
+    });
+
+    // Services run side by side; each syncs a bounded number of its playlists at once
+    await Promise.all(Object.values(playlistsByService).map(servicePlaylists =>
+      mapWithConcurrency(servicePlaylists, config.concurrency.playlists, async (playlist) => {
+        const serviceSummary = summary.services[playlist.service];
+
+        try {
+          const result = await syncPlaylist(playlist.service, playlist.id, playlist.type, playlist.tags);
 
-        if (result) {
           // Accumulate results by service
-          if (playlist.service === 'spotify') {
-            summary.spotify.added += result.added;
-            summary.spotify.updated += result.updated;
-            summary.spotify.skipped += result.skipped;
-            summary.spotify.errors += result.errors;
-          } else if (playlist.service === 'appleMusic') {
-            summary.appleMusic.added += result.added;
-            summary.appleMusic.updated += result.updated;
-            summary.appleMusic.skipped += result.skipped;
-            summary.appleMusic.errors += result.errors;
-          }
+          Object.keys(serviceSummary).forEach(key => {
+            serviceSummary[key] += result[key];
+          });
 
-          summary.total.processed += result.added + result.updated;
-          summary.total.successful += result.added + result.updated;
+          summary.total.processed += result.added + result.updated + result.restored;
+          summary.total.successful += result.added + result.updated + result.restored;
+          summary.total.restored += result.restored;
           summary.total.skipped += result.skipped;
+          summary.total.unchanged += result.unchanged;
           summary.total.errors += result.errors;
-        }
+          summary.refreshed.push(...result.refreshed);
 
-      } catch (error) {
-        logger.error(`Failed to sync ${playlist.service} playlist ${playlist.id}`, {
-          playlistType: playlist.type,
-          error: error.message
-        });
-        if (playlist.service === 'spotify') {
-          summary.spotify.errors++;
-        } else if (playlist.service === 'appleMusic') {
-          summary.appleMusic.errors++;
+        } catch (error) {
+          logger.error(`Failed to sync ${playlist.service} playlist ${playlist.id}`, {
+            playlistType: playlist.type,
+            error: error.message
+          });
+          serviceSummary.errors++;
+          summary.total.errors++;
         }
-        summary.total.errors++;
-      }
-    }
+      })
+    ));
 
     if (configuredPlaylists.length === 0) {
       logger.warn('⚠️  No playlists configured for sync');
     }
 
+    // Only advance the incremental baseline when every playlist synced cleanly
+    if (summary.total.errors === 0) {
+      syncState.completeRun();
+    }
+
     summary.duration = Date.now() - syncStart;
 
     logger.info('✅ Sync process completed', {
       duration: `${summary.duration}ms`,
       totalProcessed: summary.total.processed,
       totalSuccessful: summary.total.successful,
+      totalRestored: summary.total.restored,
       totalSkipped: summary.total.skipped,
+      totalUnchanged: summary.total.unchanged,
       totalErrors: summary.total.errors,
-      spotify: summary.spotify,
-      appleMusic: summary.appleMusic
+      services: summary.services
     });
 
     return summary;
@@ -121,79 +207,113 @@ async function syncAllPlaylists() {
 }
 
 /**
- * Sync Spotify playlist to Notion
- * @param {string} playlistId - Spotify playlist ID to sync
+ * Sync one playlist from any registered provider to Notion
+ * @param {string} serviceId - Provider id ('spotify', 'appleMusic', ...)
+ * @param {string} playlistId - Playlist ID on that service
  * @param {string} playlistType - Type of playlist (Source/Temp)
- * @returns {Promise<Object>} - Sync results for Spotify
+ * @param {Array<string>} [playlistTags] - Tags written to the playlist's Playlists database page
+ * @returns {Promise<Object>} - Sync results for the playlist
  */
-async function syncSpotifyPlaylist(playlistId, playlistType = 'Source') {
-  const results = { added: 0, updated: 0, skipped: 0, errors: 0, tracks: [] };
+async function syncPlaylist(serviceId, playlistId, playlistType = 'Source', playlistTags = []) {
+  const provider = providers.getProvider(serviceId);
+  const results = { ...createServiceSummary(), tracks: [], refreshed: [] };
+  const syncedAt = new Date().toISOString();
+  // Refreshing metadata needs to see every track, not just newly added ones
+  const fullSync = config.config.fullSync || config.config.refreshMetadata;
 
   try {
-    // Check Spotify service health
-    const isHealthy = await spotifyClient.checkServiceHealth();
+    // Check service health
+    const isHealthy = await provider.checkServiceHealth();
     if (!isHealthy) {
-      throw new Error('Spotify service is not available');
+      throw new Error(`${provider.name} service is not available`);
     }
 
     // Get playlist metadata
-    const playlist = await spotifyClient.getPlaylist(playlistId);
-    logger.info(`📋 Processing Spotify playlist: ${playlist.name}`, {
+    const playlist = await provider.getPlaylist(playlistId);
+    logger.info(`📋 Processing ${provider.name} playlist: ${playlist.name}`, {
       trackCount: playlist.trackCount,
       playlistId: playlistId,
       playlistType: playlistType
     });
 
-    // Get all tracks from the playlist
-    const tracks = await spotifyClient.getPlaylistTracks(playlistId);
+    const label = getPlaylistLabel(provider, playlist.name);
+    playlistTypes.set(label, playlistType);
+    const playlistPageId = await playlistDatabase.ensurePlaylistPage(provider, playlistId, playlist, { label, type: playlistType, tags: playlistTags });
+
+    // Skip the playlist entirely if its change marker has not moved since the last successful sync
+    if (!fullSync && syncState.isPlaylistUnchanged(serviceId, playlistId, playlist)) {
+      results.unchanged = playlist.trackCount;
+      syncState.recordPlaylistUnchanged(serviceId, playlistId, syncedAt);
+      await playlistDatabase.markPlaylistSynced(provider, playlistId, syncedAt);
+      logger.info(`⏭️  ${provider.name} playlist unchanged since last sync: ${playlist.name}`, {
+        playlistId: playlistId,
+        snapshotId: playlist.snapshotId,
+        lastModified: playlist.lastModified
+      });
+      return results;
+    }
+
+    // Get all tracks from the playlist, then narrow to those added since the last sync
+    const allTracks = await provider.getPlaylistTracks(playlistId);
+    const tracks = fullSync ? allTracks : syncState.filterNewTracks(serviceId, playlistId, allTracks);
+    results.unchanged = allTracks.length - tracks.length;
     
-    // Process each track
-    for (const track of tracks) {
+    // Process tracks concurrently; Notion writes are paced by the shared rate limiter
+    await mapWithConcurrency(tracks, config.concurrency.tracks, async (track) => {
       try {
         // Add playlist type to track data and override the type field
         const trackWithPlaylistInfo = {
           ...track,
           type: playlistType,
-          playlistType: playlistType
+          playlistType: playlistType,
+          playlistPageId
         };
         
-        const result = await syncTrackToNotion(trackWithPlaylistInfo);
+        const result = await withTrackLock(trackWithPlaylistInfo, () => syncTrackToNotion(trackWithPlaylistInfo, results.refreshed));
         results.tracks.push({ track: track.title, result });
         
         if (result === 'created') {
           results.added++;
         } else if (result === 'updated') {
           results.updated++;
+        } else if (result === 'restored') {
+          results.restored++;
         } else if (result === 'skipped') {
           results.skipped++;
         }
-        
-        // Add small delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
+
       } catch (error) {
         results.errors++;
-        logger.error(`Failed to sync Spotify track: ${track.title}`, {
+        logger.error(`Failed to sync ${provider.name} track: ${track.title}`, {
           trackId: track.sourceId,
           playlistType: playlistType,
           error: error.message
         });
       }
+    });
+
+    // Failed tracks keep the playlist out of the baseline so the next run retries them
+    if (results.errors === 0) {
+      syncState.recordPlaylistSync(serviceId, playlistId, playlist, allTracks, syncedAt);
+      await playlistDatabase.markPlaylistSynced(provider, playlistId, syncedAt);
     }
 
-    logger.info('🎧 Spotify sync completed', {
+    logger.info(`${provider.icon} ${provider.name} sync completed`, {
       playlistName: playlist.name,
-      totalTracks: tracks.length,
+      totalTracks: allTracks.length,
+      processedTracks: tracks.length,
       added: results.added,
       updated: results.updated,
+      restored: results.restored,
       skipped: results.skipped,
+      unchanged: results.unchanged,
       errors: results.errors
     });
 
     return results;
 
   } catch (error) {
-    logger.error('Failed to sync Spotify playlist', {
+    logger.error(`Failed to sync ${provider.name} playlist`, {
       playlistId: playlistId,
       playlistType: playlistType,
       error: error.message
@@ -204,104 +324,69 @@ async function syncSpotifyPlaylist(playlistId, playlistType = 'Source') {
 }
 
 /**
- * Sync Apple Music playlist to Notion
- * @param {string} playlistId - Apple Music playlist ID to sync
- * @param {string} playlistType - Type of playlist (Source/Temp)
- * @returns {Promise<Object>} - Sync results for Apple Music
+ * Sync a single track to Notion database
+ * Tracks with a manual source (e.g. 'CSV Import') are matched the same way but
+ * never restore a removed page or add a playlist membership.
+ * @param {Object} trackData - Normalized track data from a music service or import
+ * @param {Array<Object>} [refreshed] - Collects the field changes made by a metadata refresh
+ * @returns {Promise<string>} - Result: 'created', 'updated', 'restored', or 'skipped'
  */
-async function syncAppleMusicPlaylist(playlistId, playlistType = 'Source') {
-  const results = { added: 0, updated: 0, skipped: 0, errors: 0, tracks: [] };
-
+async function syncTrackToNotion(trackData, refreshed = null) {
   try {
-    // Check Apple Music service health
-    const isHealthy = await appleMusicClient.checkServiceHealth();
-    if (!isHealthy) {
-      throw new Error('Apple Music service is not available');
+    // Match by ISRC first, then service track ID, then normalized title/artist
+    await trackIndex.ensureLoaded();
+    const { page: existingTrack, matchedBy } = trackIndex.findTrack(trackData);
+    const fromPlaylist = Boolean(trackData.playlist) && !MANUAL_SOURCES.includes(trackData.playlist);
+
+    // A track that was marked removed is back in a playlist
+    let restored = false;
+    if (existingTrack && fromPlaylist && extractPropertyValue(existingTrack.properties[NOTION_FIELDS.REMOVED])) {
+      await notionClient.restoreTrack(existingTrack);
+      restored = true;
+      logger.info(`♻️  Restored re-added track: ${trackData.title}`, {
+        pageId: existingTrack.id,
+        playlist: trackData.playlist
+      });
     }
 
-    // Get playlist metadata
-    const playlist = await appleMusicClient.getPlaylist(playlistId);
-    logger.info(`📋 Processing Apple Music playlist: ${playlist.name}`, {
-      trackCount: playlist.trackCount,
-      playlistId: playlistId,
-      playlistType: playlistType
-    });
+    // Same recording seen on another service: add its URL to the page
+    let changed = false;
+    if (matchedBy === 'isrc' && trackData.source) {
+      changed = Boolean(await notionClient.mergeServiceIntoTrack(existingTrack, trackData));
+      if (changed) trackIndex.reindex(existingTrack);
+    }
 
-    // Get all tracks from the playlist
-    const tracks = await appleMusicClient.getPlaylistTracks(playlistId);
-    
-    // Process each track
-    for (const track of tracks) {
-      try {
-        // Add playlist type to track data and override the type field
-        const trackWithPlaylistInfo = {
-          ...track,
-          type: playlistType,
-          playlistType: playlistType
-        };
-        
-        const result = await syncTrackToNotion(trackWithPlaylistInfo);
-        results.tracks.push({ track: track.title, result });
-        
-        if (result === 'created') {
-          results.added++;
-        } else if (result === 'updated') {
-          results.updated++;
-        } else if (result === 'skipped') {
-          results.skipped++;
-        }
-        
-        // Add small delay to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        results.errors++;
-        logger.error(`Failed to sync Apple Music track: ${track.title}`, {
-          trackId: track.sourceId,
-          playlistType: playlistType,
-          error: error.message
-        });
-      }
+    // Pages created before the Artists / Albums databases existed are related when a sync reaches them;
+    // incremental syncs skip unchanged tracks, so cleanup relates the rest
+    if (existingTrack) {
+      changed = await artistAlbumDatabase.linkTrack(existingTrack, trackData) || changed;
     }
 
-    logger.info('🍎 Apple Music sync completed', {
-      playlistName: playlist.name,
-      totalTracks: tracks.length,
-      added: results.added,
-      updated: results.updated,
-      skipped: results.skipped,
-      errors: results.errors
-    });
+    // Record this playlist among the page's memberships
+    if (existingTrack && fromPlaylist) {
+      const memberships = [...new Set([...notionClient.getPageMemberships(existingTrack), trackData.playlist])];
+      const types = getMembershipTypes(existingTrack, memberships);
+      const playlistPageIds = playlistDatabase.getRelatedPageIds(existingTrack, memberships);
+      changed = await notionClient.updateMemberships(existingTrack, memberships, types, playlistPageIds) || changed;
+    }
 
-    return results;
+    // Playability follows the service on every sync; the rest of the metadata waits for --refresh
+    if (existingTrack && !config.config.refreshMetadata) {
+      changed = await notionClient.updateAvailability(existingTrack, trackData) || changed;
+    }
 
-  } catch (error) {
-    logger.error('Failed to sync Apple Music playlist', {
-      playlistId: playlistId,
-      playlistType: playlistType,
-      error: error.message
-    });
-    results.errors++;
-    throw error;
-  }
-}
+    if (existingTrack && config.config.refreshMetadata) {
+      const refreshResult = await refreshTrackMetadata(existingTrack, trackData, refreshed);
+      if (restored) return 'restored';
+      return changed ? 'updated' : refreshResult;
+    }
 
-/**
- * Sync a single track to Notion database
- * @param {Object} trackData - Normalized track data from music service
- * @returns {Promise<string>} - Result: 'created', 'updated', or 'skipped'
- */
-async function syncTrackToNotion(trackData) {
-  try {
-    // First try to find existing track by ISRC (best match)
-    let existingTrack = null;
-    if (trackData.isrc) {
-      existingTrack = await notionClient.findTrackByIsrc(trackData.isrc);
+    if (restored) {
+      return 'restored';
     }
 
-    // If no ISRC match, try title/artist search
-    if (!existingTrack) {
-      existingTrack = await notionClient.findTrackByTitleArtist(trackData.title, trackData.artist);
+    if (changed) {
+      return 'updated';
     }
 
     if (existingTrack) {
@@ -312,9 +397,18 @@ async function syncTrackToNotion(trackData) {
         reason: 'Preserving manual edits'
       });
       return 'skipped';
+    } else if (trackData.unavailable && !trackData.title) {
+      // A deleted or private video we never recorded has nothing to put on a page
+      logger.debug(`Skipped unavailable track with no page: ${trackData.sourceId}`, {
+        source: trackData.source,
+        reason: trackData.unavailableReason
+      });
+      return 'skipped';
     } else {
-      // Create new track
-      const newPage = await notionClient.createTrack(trackData);
+      // Create new track, related to its artist and album pages
+      const { artistPageIds, albumPageId } = await artistAlbumDatabase.resolvePages(trackData);
+      const newPage = await notionClient.createTrack({ ...trackData, artistPageIds, albumPageId });
+      trackIndex.add(newPage);
       logger.debug(`Created new track: ${trackData.title}`, {
         pageId: newPage.id,
         source: trackData.source
@@ -332,97 +426,256 @@ async function syncTrackToNotion(trackData) {
   }
 }
 
+/**
+ * Patch automated fields on an existing page where fresh service data differs.
+ * Manual fields (Themes, Notes, Mood, ...) are never written.
+ * @param {Object} existingTrack - Existing Notion page object
+ * @param {Object} trackData - Fresh track data from music service
+ * @param {Array<Object>} [refreshed] - Receives { title, artist, pageId, changes } when the page changes
+ * @returns {Promise<string>} - Result: 'updated' or 'skipped'
+ */
+async function refreshTrackMetadata(existingTrack, trackData, refreshed = null) {
+  const changes = notionClient.diffTrackProperties(existingTrack, trackData);
+
+  if (changes.length === 0) {
+    logger.debug(`Metadata already current: ${trackData.title}`, {
+      pageId: existingTrack.id
+    });
+    return 'skipped';
+  }
+
+  await notionClient.updateTrack(existingTrack, trackData, changes.map(change => change.field));
+  trackIndex.reindex(existingTrack);
+  refreshed?.push({ title: trackData.title, artist: trackData.artist, pageId: existingTrack.id, changes });
+
+  logger.info(`🔄 Refreshed metadata: ${trackData.title}`, {
+    pageId: existingTrack.id,
+    source: trackData.source,
+    changes
+  });
+  return 'updated';
+}
+
+/**
+ * Work out how many tracks cleanup may mark removed in one run
+ * @param {number} trackCount - Number of synced tracks cleanup is considering
+ * @returns {number} - Maximum removals allowed (Infinity when no threshold is set)
+ */
+function getRemovalLimit(trackCount) {
+  const threshold = String(config.config.cleanupMaxRemovals || '').trim();
+  if (!threshold) return Infinity;
+
+  const value = parseFloat(threshold);
+  if (isNaN(value)) {
+    logger.warn('Ignoring invalid CLEANUP_MAX_REMOVALS', { threshold });
+    return Infinity;
+  }
+
+  // Percent of the tracks being considered, or an absolute count
+  return threshold.endsWith('%') ? Math.floor(trackCount * value / 100) : value;
+}
+
 /**
  * Clean up removed tracks (mark tracks as removed if they're no longer in playlists)
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.reuseIndex - Use the track index loaded by this run's sync instead of reloading it
  * @returns {Promise<Object>} - Cleanup results
  */
-async function cleanupRemovedTracks() {
-  const results = { marked: 0, errors: 0 };
+async function cleanupRemovedTracks(options = {}) {
+  const results = { marked: 0, protected: 0, membershipsUpdated: 0, linked: 0, errors: 0, aborted: false, wouldRemove: [] };
 
   try {
     logger.info('🧹 Starting cleanup of removed tracks');
 
     // Get all tracks from Notion that are not marked as removed
-    const allNotionTracks = await notionClient.queryDatabase({
-      property: 'Removed',
-      checkbox: {
-        equals: false
-      }
-    });
+    if (!options.reuseIndex || !trackIndex.isLoaded()) {
+      await trackIndex.load();
+    }
+    const allNotionTracks = trackIndex.getPages()
+      .filter(page => !extractPropertyValue(page.properties[NOTION_FIELDS.REMOVED]));
 
     // Get current playlist tracks from all configured playlists
     const configuredPlaylists = config.getAllConfiguredPlaylists();
-    const currentSpotifyTracks = [];
-    const currentAppleTracks = [];
+
+    // Track identifier (ISRC, title:artist or matched page ID) -> labels of playlists it is currently in
+    const currentMemberships = new Map();
+    // Labels of playlists fetched successfully; only these memberships can be removed
+    const fetchedPlaylists = new Set();
+    // Services ('Spotify', 'Apple Music') with at least one failed playlist fetch
+    const failedServices = new Set();
+    // Labels of rolling sources (e.g. recent releases) whose tracks are never marked removed
+    const retainedPlaylists = new Set();
+    // Page ID -> { page, track } for every page seen in a playlist, to relate to its artist and album pages
+    const seenPages = new Map();
+
+    const addMembership = (key, label) => {
+      if (!currentMemberships.has(key)) {
+        currentMemberships.set(key, new Set());
+      }
+      currentMemberships.get(key).add(label);
+    };
 
     for (const playlist of configuredPlaylists) {
+      const provider = providers.getProvider(playlist.service);
+
       try {
-        if (playlist.service === 'spotify') {
-          const tracks = await spotifyClient.getPlaylistTracks(playlist.id);
-          currentSpotifyTracks.push(...tracks);
-        } else if (playlist.service === 'appleMusic') {
-          const tracks = await appleMusicClient.getPlaylistTracks(playlist.id);
-          currentAppleTracks.push(...tracks);
+        const metadata = await provider.getPlaylist(playlist.id);
+        const label = getPlaylistLabel(provider, metadata.name);
+        playlistTypes.set(label, playlist.type);
+        await playlistDatabase.ensurePlaylistPage(provider, playlist.id, metadata, { label, type: playlist.type, tags: playlist.tags });
+
+        // Tracks leave a rolling window by age, not because anyone removed them
+        if (metadata.retainTracks) {
+          retainedPlaylists.add(label);
+          continue;
         }
+
+        const tracks = await provider.getPlaylistTracks(playlist.id);
+        fetchedPlaylists.add(label);
+
+        tracks.forEach(track => {
+          const isrc = trackIndex.normalizeIsrc(track.isrc);
+          const { page } = trackIndex.findTrack(track);
+          if (isrc) addMembership(isrc, label);
+          // Permalink-identity tracks keep only the page they match, never same-named recordings
+          if (track.identity !== 'permalink') {
+            const titleArtistKey = getTitleArtistKey(track.title, track.artist);
+            if (titleArtistKey) addMembership(titleArtistKey, label);
+          }
+          if (page) {
+            addMembership(page.id, label);
+            if (!seenPages.has(page.id)) seenPages.set(page.id, { page, track });
+          }
+        });
       } catch (error) {
-        logger.warn(`Failed to get tracks for cleanup from ${playlist.service} playlist ${playlist.id}`, {
+        failedServices.add(provider.name);
+        logger.warn(`Failed to get tracks for cleanup from ${playlist.service} playlist ${playlist.id}, skipping its removals`, {
           error: error.message
         });
       }
     }
 
-    // Create set of current track identifiers
-    const currentTrackIds = new Set();
-    [...currentSpotifyTracks, ...currentAppleTracks].forEach(track => {
-      if (track.isrc) currentTrackIds.add(track.isrc);
-      currentTrackIds.add(`${track.title.toLowerCase()}:${track.artist.toLowerCase()}`);
-    });
+    // Cleanup sees every playlist track, so it relates the pages an incremental sync never revisits
+    for (const { page, track } of seenPages.values()) {
+      if (await artistAlbumDatabase.linkTrack(page, track)) {
+        results.linked++;
+      }
+    }
+
+    // Plan changes for each Notion track before writing anything
+    const planned = [];
+    let consideredCount = 0;
 
-    // Check each Notion track
     for (const notionTrack of allNotionTracks) {
-      try {
-        const isrc = notionTrack.properties['ISRC/UPC']?.rich_text?.[0]?.text?.content;
-        const title = notionTrack.properties['Track Title']?.title?.[0]?.text?.content;
-        const artist = notionTrack.properties['Artist']?.rich_text?.[0]?.text?.content;
-        const source = notionTrack.properties['Source']?.select?.name;
-
-        // Skip tracks that were manually added (Link Only or File Upload)
-        if (source === 'Link Only' || source === 'File Upload') {
-          logger.debug(`Skipping manually added track: ${title}`, {
-            source: source,
-            pageId: notionTrack.id
+      const isrc = trackIndex.normalizeIsrc(extractPropertyValue(notionTrack.properties[NOTION_FIELDS.ISRC_UPC]));
+      const title = extractPropertyValue(notionTrack.properties[NOTION_FIELDS.TRACK_TITLE]);
+      const artist = extractPropertyValue(notionTrack.properties[NOTION_FIELDS.ARTIST]);
+      const source = extractPropertyValue(notionTrack.properties[NOTION_FIELDS.SOURCE]);
+
+      // Skip tracks that were manually added (Link Only, File Upload, CSV Import)
+      if (MANUAL_SOURCES.includes(source)) {
+        logger.debug(`Skipping manually added track: ${title}`, {
+          source: source,
+          pageId: notionTrack.id
+        });
+        continue;
+      }
+
+      consideredCount++;
+
+      // Collect the playlists the track is currently in, by page match, ISRC and title/artist
+      const labels = new Set(currentMemberships.get(notionTrack.id) || []);
+      if (isrc && currentMemberships.has(isrc)) {
+        currentMemberships.get(isrc).forEach(label => labels.add(label));
+      }
+      const titleArtistKey = getTitleArtistKey(title, artist);
+      if (titleArtistKey) {
+        (currentMemberships.get(titleArtistKey) || []).forEach(label => labels.add(label));
+      }
+
+      // Keep memberships of playlists we couldn't fetch, replace the rest with what we saw
+      const memberships = [...new Set([
+        ...notionClient.getPageMemberships(notionTrack).filter(label => !fetchedPlaylists.has(label)),
+        ...labels
+      ])];
+
+      // Never remove a track that may belong to a service whose fetch failed
+      let remove = labels.size === 0 && !memberships.some(label => retainedPlaylists.has(label));
+
+      // Local files, episodes and unplayable tracks can vanish from API responses
+      // while still in the playlist, so their absence proves nothing
+      if (remove && (extractPropertyValue(notionTrack.properties[NOTION_FIELDS.KIND]) ||
+          extractPropertyValue(notionTrack.properties[NOTION_FIELDS.UNAVAILABLE]))) {
+        remove = false;
+        logger.debug(`Not removing local file, episode or unavailable track: ${title}`, {
+          pageId: notionTrack.id
+        });
+      }
+      if (remove && failedServices.size > 0) {
+        const pageServices = notionClient.getPageServices(notionTrack);
+        const affected = pageServices.length === 0 ||
+          pageServices.some(service => failedServices.has(service));
+        if (affected) {
+          remove = false;
+          results.protected++;
+          logger.debug(`Not removing track from a failed service: ${title}`, {
+            pageId: notionTrack.id,
+            services: pageServices
           });
-          continue;
         }
+      }
 
-        let trackExists = false;
-        
-        // Check by ISRC first
-        if (isrc && currentTrackIds.has(isrc)) {
-          trackExists = true;
-        }
-        
-        // Check by title/artist
-        if (!trackExists && title && artist) {
-          const titleArtistKey = `${title.toLowerCase()}:${artist.toLowerCase()}`;
-          if (currentTrackIds.has(titleArtistKey)) {
-            trackExists = true;
-          }
+      planned.push({
+        page: notionTrack,
+        title,
+        artist,
+        memberships,
+        types: getMembershipTypes(notionTrack, memberships),
+        playlistPageIds: playlistDatabase.getRelatedPageIds(notionTrack, memberships),
+        remove
+      });
+    }
+
+    // Refuse to mass-remove tracks unless forced
+    const removals = planned.filter(plan => plan.remove);
+    const removalLimit = getRemovalLimit(consideredCount);
+    if (removals.length > removalLimit && !config.config.forceCleanup) {
+      results.aborted = true;
+      results.wouldRemove = removals.map(plan => ({
+        pageId: plan.page.id,
+        title: plan.title,
+        artist: plan.artist
+      }));
+      logger.error('🛑 Cleanup aborted: too many tracks would be marked removed', {
+        wouldRemove: removals.length,
+        trackCount: consideredCount,
+        threshold: config.config.cleanupMaxRemovals,
+        failedServices: [...failedServices],
+        hint: 'Re-run with --force if these removals are intended'
+      });
+      return results;
+    }
+
+    // Apply the planned changes
+    for (const plan of planned) {
+      try {
+        if (await notionClient.updateMemberships(plan.page, plan.memberships, plan.types, plan.playlistPageIds)) {
+          results.membershipsUpdated++;
         }
 
         // Mark as removed if not found in current playlists
-        if (!trackExists) {
-          await notionClient.markTrackRemoved(notionTrack.id);
+        if (plan.remove) {
+          await notionClient.markTrackRemoved(plan.page);
           results.marked++;
-          logger.info(`Marked track as removed: ${title}`, {
-            pageId: notionTrack.id
+          logger.info(`Marked track as removed: ${plan.title}`, {
+            pageId: plan.page.id
           });
         }
 
       } catch (error) {
         results.errors++;
         logger.error(`Failed to process track during cleanup`, {
-          pageId: notionTrack.id,
+          pageId: plan.page.id,
           error: error.message
         });
       }
@@ -430,6 +683,9 @@ async function cleanupRemovedTracks() {
 
     logger.info('🧹 Cleanup completed', {
       tracksMarked: results.marked,
+      tracksProtected: results.protected,
+      membershipsUpdated: results.membershipsUpdated,
+      tracksLinked: results.linked,
       errors: results.errors
     });
 
@@ -457,21 +713,26 @@ async function fullSync() {
     const syncResults = await syncAllPlaylists();
 
     // Step 2: Cleanup removed tracks
-    const cleanupResults = await cleanupRemovedTracks();
+    const cleanupResults = await cleanupRemovedTracks({ reuseIndex: true });
+
+    // Step 3: Fill in rows that are just a pasted link
+    const enrichmentResults = await linkEnrichment.enrichLinkOnlyTracks({ reuseIndex: true });
 
     const totalDuration = Date.now() - fullSyncStart;
 
     const fullResults = {
       sync: syncResults,
       cleanup: cleanupResults,
+      enrichment: enrichmentResults,
       totalDuration,
-      success: true
+      success: !cleanupResults.aborted
     };
 
     logger.info('🎉 Full synchronization completed successfully', {
       totalDuration: `${totalDuration}ms`,
       tracksProcessed: syncResults.total.processed,
       tracksMarkedRemoved: cleanupResults.marked,
+      linkRowsEnriched: enrichmentResults.enriched,
       totalErrors: syncResults.total.errors + cleanupResults.errors
     });
 
@@ -490,9 +751,9 @@ async function fullSync() {
 
 module.exports = {
   syncAllPlaylists,
-  syncSpotifyPlaylist,
-  syncAppleMusicPlaylist,
+  syncPlaylist,
   syncTrackToNotion,
+  refreshTrackMetadata,
   cleanupRemovedTracks,
   fullSync
 };
@@ -0,0 +1,260 @@
+/**
+ * Sync State Store
+ *
+ * Persists playlist snapshots and per-track bookkeeping between runs so the
+ * orchestrator can skip unchanged playlists and only process tracks that were
+ * added since the last successful sync.
+ *
+ * Dependencies: config.js, utils/logger.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Bump when the on-disk layout changes; older files are discarded
+const STATE_VERSION = 1;
+
+// In-memory copy of the state file, loaded lazily
+let state = null;
+
+// Identifier of the current run, used for per-track lastSeenRun
+let currentRunId = null;
+
+/**
+ * Create an empty state object
+ * @returns {Object} - Fresh state
+ */
+function createEmptyState() {
+  return {
+    version: STATE_VERSION,
+    lastSuccessfulRun: null,
+    playlists: {},
+  };
+}
+
+/**
+ * Load sync state from disk (cached after first call)
+ * @returns {Object} - Sync state
+ */
+function loadState() {
+  if (state) return state;
+
+  const statePath = config.config.syncStatePath;
+
+  try {
+    if (fs.existsSync(statePath)) {
+      const parsed = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+
+      if (parsed.version === STATE_VERSION) {
+        state = parsed;
+        logger.debug('Loaded sync state', {
+          statePath,
+          playlists: Object.keys(state.playlists).length,
+          lastSuccessfulRun: state.lastSuccessfulRun,
+        });
+      } else {
+        logger.warn('Ignoring sync state with unsupported version', {
+          statePath,
+          version: parsed.version,
+        });
+      }
+    }
+  } catch (error) {
+    logger.warn(`Could not read sync state, starting fresh: ${error.message}`, { statePath });
+  }
+
+  if (!state) {
+    state = createEmptyState();
+  }
+
+  return state;
+}
+
+/**
+ * Write sync state to disk
+ */
+function saveState() {
+  if (!state) return;
+
+  const statePath = config.config.syncStatePath;
+
+  if (config.config.dryRun) {
+    logger.debug('DRY RUN: Would save sync state', { statePath });
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+
+    // Write to a temp file first so an interrupted run never leaves a truncated state
+    const tempPath = `${statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, statePath);
+  } catch (error) {
+    logger.error(`Failed to save sync state: ${error.message}`, { statePath });
+  }
+}
+
+/**
+ * Get the identifier of the current run, starting one if needed
+ * @returns {string} - Run identifier (ISO timestamp of run start)
+ */
+function getRunId() {
+  if (!currentRunId) {
+    currentRunId = new Date().toISOString();
+  }
+  return currentRunId;
+}
+
+/**
+ * Build the state key for a playlist
+ * @param {string} service - Service name (spotify/appleMusic)
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} - State key
+ */
+function getPlaylistKey(service, playlistId) {
+  return `${service}:${playlistId}`;
+}
+
+/**
+ * Build the state key for a track
+ * @param {Object} track - Normalized track data
+ * @returns {string} - State key
+ */
+function getTrackKey(track) {
+  if (track.sourceId) return track.sourceId;
+  if (track.isrc) return `isrc:${track.isrc}`;
+  return `${(track.title || '').toLowerCase()}:${(track.artist || '').toLowerCase()}`;
+}
+
+/**
+ * Get stored state for a playlist
+ * @param {string} service - Service name
+ * @param {string} playlistId - Playlist ID
+ * @returns {Object|null} - Playlist state or null if never synced
+ */
+function getPlaylistState(service, playlistId) {
+  return loadState().playlists[getPlaylistKey(service, playlistId)] || null;
+}
+
+/**
+ * Check whether a playlist is unchanged since its last successful sync
+ * @param {string} service - Service name
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} playlist - Playlist metadata (snapshotId and/or lastModified)
+ * @returns {boolean} - True if the playlist can be skipped
+ */
+function isPlaylistUnchanged(service, playlistId, playlist) {
+  const previous = getPlaylistState(service, playlistId);
+  if (!previous || !previous.lastSyncedAt) return false;
+
+  if (playlist.snapshotId) {
+    return previous.snapshotId === playlist.snapshotId;
+  }
+
+  if (playlist.lastModified) {
+    return previous.lastModified === playlist.lastModified;
+  }
+
+  // No change marker available from the service
+  return false;
+}
+
+/**
+ * Filter playlist tracks down to those not processed by a previous successful sync,
+ * plus those whose availability changed since
+ * @param {string} service - Service name
+ * @param {string} playlistId - Playlist ID
+ * @param {Array} tracks - Normalized tracks currently in the playlist
+ * @returns {Array} - Tracks that still need processing
+ */
+function filterNewTracks(service, playlistId, tracks) {
+  const previous = getPlaylistState(service, playlistId);
+  if (!previous || !previous.lastSyncedAt) return tracks;
+
+  return tracks.filter(track => {
+    const known = previous.tracks?.[getTrackKey(track)];
+    if (!known) return true;
+
+    // A track the service can no longer (or can again) play needs its Unavailable flag updated
+    if (track.unavailable !== undefined && known.unavailable !== undefined && track.unavailable !== known.unavailable) {
+      return true;
+    }
+
+    // A changed added_at means the track was removed and added again
+    return Boolean(track.addedAt) && track.addedAt !== known.addedAt;
+  });
+}
+
+/**
+ * Record a successful playlist sync and persist it
+ * @param {string} service - Service name
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} playlist - Playlist metadata
+ * @param {Array} tracks - All tracks currently in the playlist
+ * @param {string} syncedAt - ISO timestamp of when this playlist sync started
+ */
+function recordPlaylistSync(service, playlistId, playlist, tracks, syncedAt) {
+  const runId = getRunId();
+  const previous = getPlaylistState(service, playlistId);
+  const trackState = {};
+
+  for (const track of tracks) {
+    const key = getTrackKey(track);
+    trackState[key] = {
+      addedAt: track.addedAt || previous?.tracks?.[key]?.addedAt || null,
+      // Left out for services that don't report playability
+      unavailable: track.unavailable,
+      lastSeenRun: runId,
+    };
+  }
+
+  loadState().playlists[getPlaylistKey(service, playlistId)] = {
+    name: playlist.name,
+    snapshotId: playlist.snapshotId || null,
+    lastModified: playlist.lastModified || null,
+    trackCount: tracks.length,
+    lastSyncedAt: syncedAt,
+    lastCheckedAt: syncedAt,
+    tracks: trackState,
+  };
+
+  saveState();
+}
+
+/**
+ * Record that a playlist was checked and found unchanged
+ * @param {string} service - Service name
+ * @param {string} playlistId - Playlist ID
+ * @param {string} checkedAt - ISO timestamp of the check
+ */
+function recordPlaylistUnchanged(service, playlistId, checkedAt) {
+  const previous = getPlaylistState(service, playlistId);
+  if (!previous) return;
+
+  previous.lastCheckedAt = checkedAt;
+  saveState();
+}
+
+/**
+ * Mark the current run as completed successfully and persist state
+ */
+function completeRun() {
+  loadState().lastSuccessfulRun = getRunId();
+  saveState();
+  currentRunId = null;
+}
+
+module.exports = {
+  loadState,
+  saveState,
+  getRunId,
+  getPlaylistState,
+  isPlaylistUnchanged,
+  filterNewTracks,
+  recordPlaylistSync,
+  recordPlaylistUnchanged,
+  completeRun,
+};
@@ -0,0 +1,265 @@
+/**
+ * Audio File Metadata Reader Tests
+ *
+ * Builds minimal MP3, FLAC, M4A and WAV files in a temp directory and checks
+ * the tags and durations read back from each.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readAudioMetadata, SUPPORTED_EXTENSIONS } = require('../utils/audioMetadata');
+
+/**
+ * Encode a 28-bit syncsafe integer
+ * @param {number} value - Integer to encode
+ * @returns {Buffer} - 4 bytes, 7 bits each
+ */
+function syncsafe(value) {
+  return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+/**
+ * Build an ID3v2.3 tag of text frames
+ * @param {Array<Array>} frames - [frameId, text, encoding] (encoding 3 = UTF-8, 1 = UTF-16 with BOM)
+ * @returns {Buffer} - Tag with header and padding
+ */
+function id3Tag(frames) {
+  const body = Buffer.concat([
+    ...frames.map(([id, text, encoding = 3]) => {
+      const encoded = encoding === 1
+        ? Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')])
+        : Buffer.from(text, 'utf8');
+      const data = Buffer.concat([Buffer.from([encoding]), encoded]);
+      const header = Buffer.alloc(10);
+      header.write(id, 0, 'latin1');
+      header.writeUInt32BE(data.length, 4);
+      return Buffer.concat([header, data]);
+    }),
+    Buffer.alloc(20), // Padding
+  ]);
+
+  return Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0]), syncsafe(body.length), body]);
+}
+
+/**
+ * Build an MPEG-1 Layer III frame header (128 kbps, 44.1 kHz, stereo)
+ * @param {number} [xingFrames] - Frame count for a Xing header (constant bitrate when omitted)
+ * @returns {Buffer} - One 417-byte frame
+ */
+function mp3Frame(xingFrames) {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  if (xingFrames) {
+    frame.write('Xing', 36, 'latin1');
+    frame.writeUInt32BE(1, 40); // Frames field present
+    frame.writeUInt32BE(xingFrames, 44);
+  }
+  return frame;
+}
+
+/**
+ * Build an MP4 atom
+ * @param {string} type - Four-character atom type ('©' as latin1)
+ * @param {...Buffer} children - Atom content
+ * @returns {Buffer} - Atom with size header
+ */
+function atom(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Build an MP4 'data' atom
+ * @param {string|Buffer} value - Text (UTF-8) or raw value
+ * @returns {Buffer} - data atom
+ */
+function mp4Data(value) {
+  const typeAndLocale = Buffer.alloc(8);
+  typeAndLocale.writeUInt32BE(Buffer.isBuffer(value) ? 0 : 1);
+  return atom('data', typeAndLocale, Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8'));
+}
+
+/**
+ * Build a RIFF chunk, padded to an even length
+ * @param {string} id - Chunk ID
+ * @param {Buffer} data - Chunk content
+ * @returns {Buffer} - Chunk
+ */
+function riffChunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+describe('readAudioMetadata', () => {
+  let dir;
+
+  const write = (name, contents) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-metadata-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads ID3v2 tags and the Xing frame count from an MP3', async () => {
+    const filePath = write('tagged.mp3', Buffer.concat([
+      id3Tag([
+        ['TIT2', 'Café Song', 1],
+        ['TPE1', 'Ann'],
+        ['TCOM', 'Composer A'],
+        ['TSRC', 'USABC1234567'],
+        ['TRCK', '3/12'],
+        ['TYER', '2019'],
+      ]),
+      mp3Frame(1000),
+      Buffer.alloc(4000),
+    ]));
+
+    expect(await readAudioMetadata(filePath)).toEqual({
+      title: 'Café Song',
+      artist: 'Ann',
+      composer: 'Composer A',
+      isrc: 'USABC1234567',
+      trackNumber: 3,
+      date: '2019',
+      // 1000 frames * 1152 samples / 44100 Hz
+      duration: 26,
+    });
+  });
+
+  test('works out constant bitrate MP3 duration from the file size', async () => {
+    // 160,000 bytes at 128 kbps is 10 seconds
+    const audio = Buffer.alloc(160000);
+    audio.set(mp3Frame());
+    const filePath = write('untagged.mp3', audio);
+
+    expect(await readAudioMetadata(filePath)).toEqual({ duration: 10 });
+  });
+
+  test('reads Vorbis comments and STREAMINFO from a FLAC', async () => {
+    const sampleRate = 44100;
+    const totalSamples = sampleRate * 65;
+    const streamInfo = Buffer.alloc(34);
+    streamInfo[10] = (sampleRate >> 12) & 0xff;
+    streamInfo[11] = (sampleRate >> 4) & 0xff;
+    streamInfo[12] = ((sampleRate & 0x0f) << 4) | (1 << 1);
+    streamInfo[13] = 15 << 4;
+    streamInfo.writeUInt32BE(totalSamples, 14);
+
+    const comments = ['TITLE=Flac Tune', 'ARTIST=Bo', 'ARTIST=Cy', 'ISRC=GBXYZ0000001', 'DATE=2021-05-01'];
+    const vendor = Buffer.from('ref');
+    const commentBlock = Buffer.concat([
+      Buffer.from([vendor.length, 0, 0, 0]), vendor,
+      Buffer.from([comments.length, 0, 0, 0]),
+      ...comments.map(comment => {
+        const text = Buffer.from(comment);
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(text.length);
+        return Buffer.concat([length, text]);
+      }),
+    ]);
+    const blockHeader = (last, type, length) => Buffer.from([(last ? 0x80 : 0) | type, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]);
+
+    const filePath = write('tune.flac', Buffer.concat([
+      Buffer.from('fLaC'),
+      blockHeader(false, 0, streamInfo.length), streamInfo,
+      blockHeader(true, 4, commentBlock.length), commentBlock,
+      Buffer.alloc(100),
+    ]));
+
+    expect(await readAudioMetadata(filePath)).toEqual({
+      title: 'Flac Tune',
+      artist: 'Bo, Cy',
+      isrc: 'GBXYZ0000001',
+      date: '2021-05-01',
+      duration: 65,
+    });
+  });
+
+  test('reads ilst atoms and the movie header from an M4A with moov after mdat', async () => {
+    const movieHeader = Buffer.alloc(100);
+    movieHeader.writeUInt32BE(1000, 12); // Timescale
+    movieHeader.writeUInt32BE(185500, 16); // Duration in timescale units
+
+    const itemList = atom('ilst',
+      atom('\xa9nam', mp4Data('M4a Title')),
+      atom('\xa9ART', mp4Data('Dee')),
+      atom('trkn', mp4Data(Buffer.from([0, 0, 0, 7, 0, 10, 0, 0]))),
+      atom('----',
+        atom('mean', Buffer.alloc(4), Buffer.from('com.apple.iTunes')),
+        atom('name', Buffer.alloc(4), Buffer.from('ISRC')),
+        mp4Data('FRZZZ1111111')));
+    const moov = atom('moov',
+      atom('mvhd', movieHeader),
+      atom('udta', atom('meta', Buffer.alloc(4), atom('hdlr', Buffer.alloc(25)), itemList)));
+
+    const filePath = write('song.m4a', Buffer.concat([
+      atom('ftyp', Buffer.from('M4A 0000')),
+      atom('mdat', Buffer.alloc(5000)),
+      moov,
+    ]));
+
+    expect(await readAudioMetadata(filePath)).toEqual({
+      title: 'M4a Title',
+      artist: 'Dee',
+      trackNumber: 7,
+      isrc: 'FRZZZ1111111',
+      duration: 186,
+    });
+  });
+
+  test('reads RIFF INFO and an embedded ID3 chunk from a WAV', async () => {
+    const format = Buffer.alloc(16);
+    format.writeUInt16LE(1, 0); // PCM
+    format.writeUInt16LE(2, 2); // Stereo
+    format.writeUInt32LE(44100, 4);
+    format.writeUInt32LE(176400, 8); // Byte rate
+    format.writeUInt16LE(4, 12);
+    format.writeUInt16LE(16, 14);
+
+    const info = Buffer.concat([
+      Buffer.from('INFO'),
+      riffChunk('INAM', Buffer.from('Wav Name\0')),
+      riffChunk('IART', Buffer.from('Eve\0')),
+    ]);
+    const body = Buffer.concat([
+      Buffer.from('WAVE'),
+      riffChunk('fmt ', format),
+      riffChunk('LIST', info),
+      riffChunk('data', Buffer.alloc(176400 * 3)),
+      riffChunk('id3 ', id3Tag([['TSRC', 'USWAV0000001'], ['TIT2', 'Tagged Name']])),
+    ]);
+    const header = Buffer.alloc(8);
+    header.write('RIFF');
+    header.writeUInt32LE(body.length, 4);
+
+    const filePath = write('take.wav', Buffer.concat([header, body]));
+
+    expect(await readAudioMetadata(filePath)).toEqual({
+      // ID3 wins over INFO where both have a value
+      title: 'Tagged Name',
+      artist: 'Eve',
+      isrc: 'USWAV0000001',
+      duration: 3,
+    });
+  });
+
+  test('rejects unsupported extensions and files that are not what they claim', async () => {
+    expect(SUPPORTED_EXTENSIONS).toEqual(['.mp3', '.flac', '.m4a', '.wav']);
+    await expect(readAudioMetadata(write('notes.txt', 'x'))).rejects.toThrow('Unsupported audio format');
+    await expect(readAudioMetadata(write('broken.wav', 'garbage'))).rejects.toThrow('Not a RIFF/WAVE file');
+    await expect(readAudioMetadata(write('broken.flac', 'garbage'))).rejects.toThrow('Not a FLAC stream');
+  });
+});
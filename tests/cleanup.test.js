@@ -0,0 +1,202 @@
+/**
+ * Cleanup Tests
+ *
+ * Runs cleanupRemovedTracks against in-memory Notion pages and stub
+ * playlists: which tracks are marked removed, which are protected when a
+ * playlist fetch fails, and the CLEANUP_MAX_REMOVALS threshold (a count or a
+ * percentage) that refuses a mass removal.
+ */
+
+const { setTestEnv } = require('./helpers/testEnv');
+
+setTestEnv();
+
+// Notion reads and writes are stubbed; membership and service helpers run for real
+jest.mock('../notionClient', () => ({
+  ...jest.requireActual('../notionClient'),
+  queryDatabase: jest.fn(),
+  updateMemberships: jest.fn(),
+  markTrackRemoved: jest.fn(),
+}));
+
+const config = require('../config');
+const notionClient = require('../notionClient');
+const providers = require('../providers');
+const artistAlbumDatabase = require('../artistAlbumDatabase');
+const { cleanupRemovedTracks } = require('../syncOrchestrator');
+const { NOTION_FIELDS } = require('../schema');
+
+const SPOTIFY_LABEL = 'Spotify - Mix';
+const APPLE_LABEL = 'Apple Music - Picks';
+
+/**
+ * Build a tracks database page
+ * @param {string} id - Page ID
+ * @param {Object} track - { title, artist, isrc, service, playlist }
+ * @returns {Object} - Notion page object
+ */
+function trackPage(id, { title, artist = 'Band', isrc, service = 'Spotify', playlist = SPOTIFY_LABEL }) {
+  return {
+    id,
+    properties: {
+      [NOTION_FIELDS.TRACK_TITLE]: { type: 'title', title: [{ plain_text: title }] },
+      [NOTION_FIELDS.ARTIST]: { type: 'rich_text', rich_text: [{ plain_text: artist }] },
+      [NOTION_FIELDS.ISRC_UPC]: { type: 'rich_text', rich_text: isrc ? [{ plain_text: isrc }] : [] },
+      [NOTION_FIELDS.SOURCE]: { type: 'select', select: { name: playlist } },
+      [NOTION_FIELDS.SERVICES]: { type: 'multi_select', multi_select: [{ name: service }] },
+      [NOTION_FIELDS.PLAYLISTS]: { type: 'multi_select', multi_select: [{ name: playlist }] },
+      [NOTION_FIELDS.REMOVED]: { type: 'checkbox', checkbox: false },
+    },
+  };
+}
+
+/**
+ * Build a stub provider serving fixed playlists
+ * @param {string} name - Provider name ('Spotify')
+ * @param {string} playlistName - Name of every playlist it serves
+ * @param {Array<Object>|Error} tracks - Tracks in the playlist, or the error fetching them throws
+ * @returns {Object} - Provider with getPlaylist and getPlaylistTracks
+ */
+function stubProvider(name, playlistName, tracks) {
+  return {
+    name,
+    getPlaylist: async (id) => ({ id, name: playlistName }),
+    getPlaylistTracks: async () => {
+      if (tracks instanceof Error) throw tracks;
+      return tracks;
+    },
+  };
+}
+
+describe('cleanupRemovedTracks', () => {
+  let pages;
+  let stubs;
+
+  /**
+   * Serve pages from the tracks database and stub playlists, then run cleanup
+   * @returns {Promise<Object>} - Cleanup results
+   */
+  function runCleanup() {
+    notionClient.queryDatabase.mockResolvedValue(pages);
+    jest.spyOn(providers, 'getProvider').mockImplementation(id => stubs[id]);
+    return cleanupRemovedTracks();
+  }
+
+  /**
+   * Titles of the pages cleanup marked removed
+   * @returns {Array<string>} - Track titles
+   */
+  function markedTitles() {
+    return notionClient.markTrackRemoved.mock.calls.map(([page]) => page.properties[NOTION_FIELDS.TRACK_TITLE].title[0].plain_text);
+  }
+
+  beforeEach(() => {
+    config.config.cleanupMaxRemovals = '50%';
+    config.config.forceCleanup = false;
+    jest.spyOn(config, 'getAllConfiguredPlaylists').mockReturnValue([
+      { service: 'spotify', id: 'sp1', type: 'Source', tags: [] },
+      { service: 'appleMusic', id: 'am1', type: 'Source', tags: [] },
+    ]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    notionClient.updateMemberships.mockResolvedValue(false);
+    notionClient.markTrackRemoved.mockResolvedValue({});
+
+    pages = [
+      trackPage('p1', { title: 'Kept', isrc: 'USAAA0000001' }),
+      trackPage('p2', { title: 'Also Kept', isrc: 'USAAA0000002' }),
+      trackPage('p3', { title: 'Apple Kept', service: 'Apple Music', playlist: APPLE_LABEL }),
+      trackPage('p4', { title: 'Gone', isrc: 'USAAA0000004' }),
+    ];
+    stubs = {
+      spotify: stubProvider('Spotify', 'Mix', [
+        { title: 'Kept', artist: 'Band', isrc: 'USAAA0000001' },
+        { title: 'Also Kept', artist: 'Band', isrc: 'USAAA0000002' },
+      ]),
+      appleMusic: stubProvider('Apple Music', 'Picks', [{ title: 'Apple Kept', artist: 'Band' }]),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('marks tracks missing from every playlist removed and refreshes memberships of the rest', async () => {
+    const results = await runCleanup();
+
+    expect(results).toMatchObject({ marked: 1, protected: 0, aborted: false, errors: 0 });
+    expect(markedTitles()).toEqual(['Gone']);
+    expect(notionClient.updateMemberships).toHaveBeenCalledWith(pages[0], [SPOTIFY_LABEL], ['Source'], null);
+    expect(notionClient.updateMemberships).toHaveBeenCalledWith(pages[3], [], [], null);
+  });
+
+  test('never removes tracks on a service whose playlist could not be fetched', async () => {
+    stubs.appleMusic = stubProvider('Apple Music', 'Picks', new Error('Apple Music API unavailable'));
+
+    const results = await runCleanup();
+
+    expect(results).toMatchObject({ marked: 1, protected: 1, aborted: false });
+    expect(markedTitles()).toEqual(['Gone']);
+    // The unfetched playlist stays among the page's memberships
+    expect(notionClient.updateMemberships).toHaveBeenCalledWith(pages[2], [APPLE_LABEL], ['Source'], null);
+  });
+
+  test('refuses to remove more than the percentage threshold and changes nothing', async () => {
+    stubs.spotify = stubProvider('Spotify', 'Mix', []);
+
+    const results = await runCleanup();
+
+    // Three of four tracks would go; 50% allows two
+    expect(results.aborted).toBe(true);
+    expect(results.wouldRemove.map(track => track.title)).toEqual(['Kept', 'Also Kept', 'Gone']);
+    expect(notionClient.markTrackRemoved).not.toHaveBeenCalled();
+    expect(notionClient.updateMemberships).not.toHaveBeenCalled();
+  });
+
+  test('treats a threshold without a percent sign as a track count', async () => {
+    stubs.spotify = stubProvider('Spotify', 'Mix', []);
+    config.config.cleanupMaxRemovals = '3';
+
+    const results = await runCleanup();
+
+    expect(results.aborted).toBe(false);
+    expect(markedTitles()).toEqual(['Kept', 'Also Kept', 'Gone']);
+  });
+
+  test('removes past the threshold when forced', async () => {
+    stubs.spotify = stubProvider('Spotify', 'Mix', []);
+    config.config.cleanupMaxRemovals = '1';
+    config.config.forceCleanup = true;
+
+    const results = await runCleanup();
+
+    expect(results).toMatchObject({ marked: 3, aborted: false });
+  });
+
+  test('ignores an unreadable threshold', async () => {
+    stubs.spotify = stubProvider('Spotify', 'Mix', []);
+    config.config.cleanupMaxRemovals = 'half';
+
+    const results = await runCleanup();
+
+    expect(results).toMatchObject({ marked: 3, aborted: false });
+  });
+
+  test('leaves manually added rows alone', async () => {
+    pages.push(trackPage('p5', { title: 'Pasted', playlist: 'Link Only' }));
+
+    await runCleanup();
+
+    expect(markedTitles()).toEqual(['Gone']);
+    expect(notionClient.updateMemberships.mock.calls.map(([page]) => page.id)).not.toContain('p5');
+  });
+
+  test('relates every page still in a playlist to its artist and album pages', async () => {
+    jest.spyOn(artistAlbumDatabase, 'linkTrack').mockResolvedValue(true);
+
+    const results = await runCleanup();
+
+    expect(results.linked).toBe(3);
+    expect(artistAlbumDatabase.linkTrack.mock.calls.map(([page]) => page.id)).toEqual(['p1', 'p2', 'p3']);
+  });
+});
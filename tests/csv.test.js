@@ -0,0 +1,87 @@
+/**
+ * CSV Helpers Tests
+ *
+ * Quoting, escaped quotes, line breaks inside fields, CRLF line endings and
+ * delimiter detection, plus a round trip through stringifyCsv.
+ */
+
+const { parseCsv, stringifyCsv, detectDelimiter } = require('../utils/csv');
+
+const values = rows => rows.map(row => row.values);
+
+describe('parseCsv', () => {
+  test('splits plain rows and numbers them from 1', () => {
+    expect(parseCsv('Title,Artist\nSong,Band\n')).toEqual([
+      { line: 1, values: ['Title', 'Artist'] },
+      { line: 2, values: ['Song', 'Band'] },
+    ]);
+  });
+
+  test('keeps commas inside quoted fields', () => {
+    expect(values(parseCsv('Title,Artist\n"Hello, Goodbye",The Beatles'))).toEqual([
+      ['Title', 'Artist'],
+      ['Hello, Goodbye', 'The Beatles'],
+    ]);
+  });
+
+  test('unescapes doubled quotes', () => {
+    expect(values(parseCsv('Title\n"The ""Real"" Slim Shady"'))).toEqual([
+      ['Title'],
+      ['The "Real" Slim Shady'],
+    ]);
+  });
+
+  test('keeps line breaks inside quoted fields and reports the line each row starts on', () => {
+    const rows = parseCsv('Title,Notes\n"Song","first line\nsecond line"\nNext,');
+
+    expect(rows).toEqual([
+      { line: 1, values: ['Title', 'Notes'] },
+      { line: 2, values: ['Song', 'first line\nsecond line'] },
+      { line: 4, values: ['Next', ''] },
+    ]);
+  });
+
+  test('handles CRLF line endings and skips blank rows', () => {
+    expect(values(parseCsv('Title,Artist\r\nSong,Band\r\n\r\n,\r\nOther,Act\r\n'))).toEqual([
+      ['Title', 'Artist'],
+      ['Song', 'Band'],
+      ['Other', 'Act'],
+    ]);
+  });
+
+  test('strips a UTF-8 byte order mark', () => {
+    expect(values(parseCsv('\uFEFFTitle,Artist\nSong,Band'))[0]).toEqual(['Title', 'Artist']);
+  });
+
+  test('uses the detected or given delimiter', () => {
+    expect(values(parseCsv('Title;Artist\n"A;B";Band'))).toEqual([['Title', 'Artist'], ['A;B', 'Band']]);
+    expect(values(parseCsv('Title\tArtist\nSong\tBand'))).toEqual([['Title', 'Artist'], ['Song', 'Band']]);
+    expect(values(parseCsv('Title;Artist,Label', { delimiter: ',' }))).toEqual([['Title;Artist', 'Label']]);
+  });
+
+  test('throws on an unterminated quoted field', () => {
+    expect(() => parseCsv('Title\nSong\n"Open quote')).toThrow('Unterminated quoted field starting on line 3');
+  });
+});
+
+describe('detectDelimiter', () => {
+  test('ignores delimiters inside quotes and defaults to a comma', () => {
+    expect(detectDelimiter('"a,b,c";d;e')).toBe(';');
+    expect(detectDelimiter('Title')).toBe(',');
+  });
+});
+
+describe('stringifyCsv', () => {
+  test('quotes only the fields that need it and ends lines with CRLF', () => {
+    expect(stringifyCsv([
+      ['Title', 'Artist', 'Plays'],
+      ['Hello, Goodbye', 'Say "hi"', 3],
+      ['Two\nlines', null, undefined],
+    ])).toBe('Title,Artist,Plays\r\n"Hello, Goodbye","Say ""hi""",3\r\n"Two\nlines",,\r\n');
+  });
+
+  test('round-trips through parseCsv', () => {
+    const rows = [['Title', 'Notes'], ['A "quoted", comma', 'line one\r\nline two']];
+    expect(values(parseCsv(stringifyCsv(rows)))).toEqual(rows);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Mock API Server
+ *
+ * Local HTTP server standing in for a music service API in client tests.
+ * Routes are keyed by path; each handler gets the parsed query string and
+ * returns a JSON body, or { status, headers, body } for anything other than a
+ * 200. Every request is recorded so tests can check paging and parameters.
+ *
+ * Dependencies: None
+ */
+
+const http = require('http');
+
+/**
+ * Start a mock server on a free local port
+ * @param {Object} routes - Path -> handler(query) returning a body or { status, headers, body }
+ * @returns {Promise<Object>} - { baseUrl, requests, close() }; requests holds { path, query } in arrival order
+ */
+async function startMockServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    requests.push({ path: url.pathname, query });
+
+    const handler = routes[url.pathname];
+    const result = handler ? handler(query) : { status: 404, body: { error: `No mock route for ${url.pathname}` } };
+    const { status = 200, headers = {}, body } = result && result.body !== undefined ? result : { body: result };
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startMockServer,
+};
@@ -0,0 +1,30 @@
+/**
+ * Test Environment
+ *
+ * Sets the environment variables config.js requires, so modules that load
+ * it can be tested without a .env file. Call before requiring them.
+ *
+ * Dependencies: None
+ */
+
+// Placeholder credentials; tests never reach a real API
+const TEST_ENV = {
+  NOTION_KEY: 'test',
+  NOTION_DB_ID: 'tracks-db',
+  SPOTIFY_CLIENT_ID: 'test',
+  SPOTIFY_CLIENT_SECRET: 'test',
+  SPOTIFY_REFRESH_TOKEN: 'test',
+  LOG_LEVEL: 'error',
+};
+
+/**
+ * Set the required environment variables, plus any the test needs
+ * @param {Object} [overrides] - Extra or replacement variables
+ */
+function setTestEnv(overrides = {}) {
+  Object.assign(process.env, TEST_ENV, overrides);
+}
+
+module.exports = {
+  setTestEnv,
+};
@@ -0,0 +1,117 @@
+/**
+ * Playlist Config File Tests
+ *
+ * Writes JSON and YAML playlist files to a temp directory, points
+ * MUSIC_SOUP_CONFIG at them and checks the playlists config.js builds:
+ * services inferred from URLs, defaults, tags, disabled entries, entries for
+ * services without credentials, and the errors invalid entries raise.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTestEnv } = require('./helpers/testEnv');
+
+// Spotify is configured by the test env; YouTube is not
+setTestEnv({ LOG_LEVEL: 'warn' });
+delete process.env.YOUTUBE_API_KEY;
+
+const config = require('../config');
+
+describe('playlist config file', () => {
+  let dir;
+
+  /**
+   * Write a playlist config file and read the playlists it configures
+   * @param {string} fileName - File name; .yaml/.yml is parsed as YAML
+   * @param {Object|string} contents - Object written as JSON, or raw text
+   * @returns {Array<Object>} - Configured playlists
+   */
+  function readPlaylists(fileName, contents) {
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    process.env.MUSIC_SOUP_CONFIG = filePath;
+    return config.getAllConfiguredPlaylists();
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-config-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.MUSIC_SOUP_CONFIG;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('reads the example file shipped with the repo', () => {
+    process.env.MUSIC_SOUP_CONFIG = path.join(__dirname, '..', 'music-soup.config.example.json');
+
+    expect(config.getAllConfiguredPlaylists()).toEqual([
+      {
+        service: 'spotify',
+        key: 'main-source',
+        id: '0BuLbEGaoIiCkimq80iUAt',
+        type: 'Source',
+        tags: ['Project A'],
+        url: 'https://open.spotify.com/playlist/0BuLbEGaoIiCkimq80iUAt',
+      },
+      {
+        service: 'spotify',
+        key: 'client-picks',
+        id: '79eYoQMYnSTwxaRpaJgByR',
+        type: 'Client Picks',
+        tags: ['Project A', 'Client'],
+        url: 'https://open.spotify.com/playlist/79eYoQMYnSTwxaRpaJgByR',
+      },
+    ]);
+  });
+
+  test('reads YAML and fills in keys, types and tags', () => {
+    const playlists = readPlaylists('music-soup.config.yaml', [
+      'playlists:',
+      '  - url: https://open.spotify.com/playlist/abc123',
+      '    tags: Project B',
+      '  - service: spotify',
+      '    id: liked-songs',
+      '  - service: spotify',
+      '    id: def456',
+      '    type: "  Temp  "',
+      '    enabled: false',
+    ].join('\n'));
+
+    expect(playlists).toEqual([
+      { service: 'spotify', key: 'spotify-1', id: 'abc123', type: 'Source', tags: ['Project B'], url: 'https://open.spotify.com/playlist/abc123' },
+      // Library sources bring their own type
+      { service: 'spotify', key: 'spotify-2', id: 'liked-songs', type: 'Liked', tags: [], url: null },
+    ]);
+  });
+
+  test('skips entries for a service without credentials and names the missing env vars', () => {
+    const playlists = readPlaylists('music-soup.config.json', {
+      playlists: [
+        { url: 'https://www.youtube.com/playlist?list=PLdemo' },
+        { service: 'spotify', id: 'abc123' },
+      ],
+    });
+
+    expect(playlists.map(playlist => playlist.service)).toEqual(['spotify']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Set YOUTUBE_API_KEY to sync it'));
+  });
+
+  test.each([
+    ['the file has no playlist list', { playlists: 'none' }, 'must contain a "playlists" list'],
+    ['an entry has neither url nor id', { playlists: [{ service: 'spotify' }] }, 'playlists[0]: "url" or "id" is required'],
+    ['the service is unknown', { playlists: [{ service: 'napster', id: '1' }] }, 'playlists[0]: Unknown music service: napster'],
+    ['the URL names no known service', { playlists: [{ url: 'https://example.com/list/1' }] }, '"service" is required when the URL is not recognised'],
+    ['the URL is not a playlist', { playlists: [{ url: 'https://open.spotify.com/track/abc123' }] }, 'is not a Spotify playlist URL'],
+    ['the type is blank', { playlists: [{ service: 'spotify', id: 'abc123', type: ' ' }] }, '"type" must be a non-empty string'],
+  ])('throws when %s', (_, contents, message) => {
+    expect(() => readPlaylists('music-soup.config.json', contents)).toThrow(message);
+  });
+
+  test('throws on a file that cannot be parsed', () => {
+    expect(() => readPlaylists('music-soup.config.json', '{ "playlists": [')).toThrow('Could not read playlist config');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Token Bucket Rate Limiter Tests
+ *
+ * Runs on fake timers, so bursts and spacing are checked to the millisecond
+ * without waiting in real time.
+ */
+
+const { createRateLimiter } = require('../utils/rateLimiter');
+
+describe('createRateLimiter', () => {
+  let start;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    start = Date.now();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * Acquire tokens for several callers at once and record when each got through
+   * @param {Object} limiter - Limiter under test
+   * @param {number} count - Number of callers
+   * @returns {Array<number>} - Milliseconds after start per caller, filled in as tokens are granted
+   */
+  function acquireAll(limiter, count) {
+    const grantedAt = [];
+    for (let i = 0; i < count; i++) {
+      limiter.acquire().then(() => { grantedAt[i] = Date.now() - start; });
+    }
+    return grantedAt;
+  }
+
+  test('lets a burst through at once, then spaces callers at the sustained rate', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 3 });
+    const grantedAt = acquireAll(limiter, 6);
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(grantedAt).toEqual([0, 0, 0]);
+
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(grantedAt).toEqual([0, 0, 0, 500, 1000, 1500]);
+  });
+
+  test('defaults the burst to the whole requests per second, and at least one', async () => {
+    const fast = acquireAll(createRateLimiter({ requestsPerSecond: 3.5 }), 4);
+    const slow = acquireAll(createRateLimiter({ requestsPerSecond: 0.5 }), 2);
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(fast).toEqual([0, 0, 0]);
+    expect(slow).toEqual([0]);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(fast).toEqual([0, 0, 0, 286]);
+    expect(slow).toEqual([0, 2000]);
+  });
+
+  test('refills tokens while idle, up to the burst size', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 2 });
+    acquireAll(limiter, 2);
+    await jest.advanceTimersByTimeAsync(10000);
+
+    // Ten idle seconds still only allow a burst of two
+    start = Date.now();
+    const grantedAt = acquireAll(limiter, 3);
+    await jest.advanceTimersByTimeAsync(500);
+    expect(grantedAt).toEqual([0, 0, 500]);
+  });
+
+  test('schedule runs the function once a token is available and returns its result', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1 });
+    const calls = [];
+    const first = limiter.schedule(async () => { calls.push(Date.now() - start); return 'first'; });
+    const second = limiter.schedule(async () => { calls.push(Date.now() - start); return 'second'; });
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(Promise.all([first, second])).resolves.toEqual(['first', 'second']);
+    expect(calls).toEqual([0, 1000]);
+  });
+
+  test('rejects a rate that would never release a caller', () => {
+    expect(() => createRateLimiter({ requestsPerSecond: 0 })).toThrow('positive requestsPerSecond');
+    expect(() => createRateLimiter({ requestsPerSecond: NaN })).toThrow('positive requestsPerSecond');
+  });
+});
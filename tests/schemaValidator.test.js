@@ -0,0 +1,142 @@
+/**
+ * Notion Schema Validator Tests
+ *
+ * Checks live tracks databases (served by a mocked notionClient) against
+ * DATABASE_SCHEMA: which missing or mistyped properties block a sync and
+ * which only produce a warning.
+ */
+
+const { setTestEnv } = require('./helpers/testEnv');
+
+// One Spotify playlist configured, so Spotify URL is written by every sync and Deezer URL is not
+setTestEnv({ SPOTIFY_SOURCE_PLAYLIST_ID: 'sp1', LOG_LEVEL: 'warn' });
+
+jest.mock('../notionClient', () => ({
+  getDatabaseSchema: jest.fn(),
+}));
+
+const notionClient = require('../notionClient');
+const schemaValidator = require('../schemaValidator');
+const { DATABASE_SCHEMA, NOTION_FIELDS, NOTION_PROPERTY_TYPES } = require('../schema');
+
+/**
+ * Build a live tracks database matching DATABASE_SCHEMA
+ * @param {Object} [changes] - Property name -> null to leave it out, or a replacement property
+ * @returns {Object} - Database object as returned by notionClient.getDatabaseSchema()
+ */
+function liveDatabase(changes = {}) {
+  const properties = {};
+  Object.entries(DATABASE_SCHEMA).forEach(([name, definition]) => {
+    properties[name] = { type: definition.type, [definition.type]: { options: (definition.options || []).map(option => ({ name: option })) } };
+  });
+  Object.entries(changes).forEach(([name, property]) => {
+    if (property === null) {
+      delete properties[name];
+    } else {
+      properties[name] = property;
+    }
+  });
+  return { properties };
+}
+
+describe('schemaValidator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkSchema', () => {
+    test('passes a database that matches the schema', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase());
+
+      const report = await schemaValidator.checkSchema();
+
+      expect(report).toMatchObject({ name: 'Tracks', compatible: true, missing: [], mistyped: [], extra: [] });
+      expect(notionClient.getDatabaseSchema).toHaveBeenCalledWith('tracks-db');
+    });
+
+    test('lets optional properties the sync can do without be missing', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({
+        [NOTION_FIELDS.REMOVED_ON]: null,
+        [NOTION_FIELDS.ARTWORK]: null,
+        [NOTION_FIELDS.DEEZER_URL]: null,
+      }));
+
+      const report = await schemaValidator.checkSchema();
+
+      expect(report.compatible).toBe(true);
+      expect(report.missing.map(({ name }) => name)).toEqual(expect.arrayContaining(['Removed On', 'Artwork', 'Deezer URL']));
+    });
+
+    test.each([
+      NOTION_FIELDS.SERVICES,
+      NOTION_FIELDS.PLAYLISTS,
+      NOTION_FIELDS.SPOTIFY_URL,
+      NOTION_FIELDS.TRACK_TITLE,
+    ])('blocks a sync when %s is missing', async (field) => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({ [field]: null }));
+
+      const report = await schemaValidator.checkSchema();
+
+      expect(report.compatible).toBe(false);
+      expect(report.missing.map(({ name }) => name)).toContain(field);
+    });
+
+    test('blocks a sync when a property has the wrong type', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({
+        [NOTION_FIELDS.RELEASE_DATE]: { type: NOTION_PROPERTY_TYPES.DATE, date: {} },
+      }));
+
+      const report = await schemaValidator.checkSchema();
+
+      expect(report.compatible).toBe(false);
+      expect(report.mistyped).toEqual([{ name: 'Release Date', expected: DATABASE_SCHEMA['Release Date'].type, actual: 'date' }]);
+    });
+
+    test('reports a differently named title property as a rename', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({
+        [NOTION_FIELDS.TRACK_TITLE]: null,
+        Name: { type: NOTION_PROPERTY_TYPES.TITLE, title: {} },
+      }));
+
+      const report = await schemaValidator.checkSchema();
+
+      expect(report.missing).toContainEqual({ name: 'Track Title', type: NOTION_PROPERTY_TYPES.TITLE, renameFrom: 'Name' });
+      expect(report.extra).toEqual([]);
+    });
+
+    test('reports missing select options and extra properties without blocking', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({
+        [NOTION_FIELDS.TYPE]: { type: NOTION_PROPERTY_TYPES.MULTI_SELECT, multi_select: { options: [] } },
+        'Team Notes': { type: NOTION_PROPERTY_TYPES.RICH_TEXT, rich_text: {} },
+      }));
+
+      const report = await schemaValidator.checkSchema();
+
+      expect(report.compatible).toBe(true);
+      expect(report.missingOptions.map(({ name }) => name)).toEqual(['Type']);
+      expect(report.extra).toEqual([{ name: 'Team Notes', type: NOTION_PROPERTY_TYPES.RICH_TEXT }]);
+    });
+  });
+
+  describe('assertCompatibleSchema', () => {
+    test('refuses to sync and names the missing property', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({ [NOTION_FIELDS.SERVICES]: null }));
+
+      await expect(schemaValidator.assertCompatibleSchema()).rejects.toThrow('missing "Services"');
+    });
+
+    test('warns about optional properties and carries on', async () => {
+      notionClient.getDatabaseSchema.mockResolvedValue(liveDatabase({ [NOTION_FIELDS.ARTWORK]: null }));
+
+      const reports = await schemaValidator.assertCompatibleSchema();
+
+      expect(reports).toHaveLength(1);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('missing optional properties'));
+    });
+  });
+});
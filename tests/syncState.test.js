@@ -0,0 +1,142 @@
+/**
+ * Sync State Store Tests
+ *
+ * Writes the state file to a temp directory and reloads the module between
+ * steps, so unchanged-playlist detection and new-track filtering are checked
+ * across runs the way the orchestrator sees them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTestEnv } = require('./helpers/testEnv');
+
+setTestEnv();
+
+/**
+ * Build a normalized track
+ * @param {string} sourceId - Service track ID
+ * @param {string} addedAt - When it was added to the playlist
+ * @param {Object} [extra] - Other track fields
+ * @returns {Object} - Track data
+ */
+function track(sourceId, addedAt, extra = {}) {
+  return { sourceId, title: `Song ${sourceId}`, artist: 'Band', addedAt, ...extra };
+}
+
+describe('syncState', () => {
+  let dir;
+  let statePath;
+
+  /**
+   * Load a fresh copy of the module, as a new run would
+   * @returns {Object} - syncState module
+   */
+  function loadSyncState() {
+    let syncState;
+    jest.isolateModules(() => {
+      syncState = require('../syncState');
+    });
+    return syncState;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+    statePath = path.join(dir, 'state', '.sync-state.json');
+    process.env.SYNC_STATE_PATH = statePath;
+    delete process.env.DRY_RUN;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('treats a playlist never synced as changed and every track as new', () => {
+    const syncState = loadSyncState();
+    const tracks = [track('a', '2024-01-01T00:00:00Z')];
+
+    expect(syncState.isPlaylistUnchanged('spotify', 'pl1', { snapshotId: 's1' })).toBe(false);
+    expect(syncState.filterNewTracks('spotify', 'pl1', tracks)).toEqual(tracks);
+  });
+
+  test('persists a sync so the next run skips an unchanged snapshot', () => {
+    loadSyncState().recordPlaylistSync('spotify', 'pl1', { name: 'Mix', snapshotId: 's1' }, [track('a', '2024-01-01T00:00:00Z')], '2024-02-01T00:00:00Z');
+
+    // Written through a temp file that is renamed into place
+    expect(fs.readdirSync(path.dirname(statePath))).toEqual(['.sync-state.json']);
+
+    const nextRun = loadSyncState();
+    expect(nextRun.getPlaylistState('spotify', 'pl1')).toMatchObject({ name: 'Mix', trackCount: 1, lastSyncedAt: '2024-02-01T00:00:00Z' });
+    expect(nextRun.isPlaylistUnchanged('spotify', 'pl1', { snapshotId: 's1' })).toBe(true);
+    expect(nextRun.isPlaylistUnchanged('spotify', 'pl1', { snapshotId: 's2' })).toBe(false);
+    expect(nextRun.isPlaylistUnchanged('spotify', 'other', { snapshotId: 's1' })).toBe(false);
+  });
+
+  test('falls back to lastModified, and rechecks playlists without a change marker', () => {
+    const syncState = loadSyncState();
+    syncState.recordPlaylistSync('appleMusic', 'pl.1', { name: 'Picks', lastModified: '2024-01-05' }, [], '2024-02-01T00:00:00Z');
+    syncState.recordPlaylistSync('youtube', 'PL1', { name: 'Demos' }, [], '2024-02-01T00:00:00Z');
+
+    expect(syncState.isPlaylistUnchanged('appleMusic', 'pl.1', { lastModified: '2024-01-05' })).toBe(true);
+    expect(syncState.isPlaylistUnchanged('appleMusic', 'pl.1', { lastModified: '2024-01-09' })).toBe(false);
+    expect(syncState.isPlaylistUnchanged('youtube', 'PL1', {})).toBe(false);
+  });
+
+  test('keeps only tracks added, re-added or changed in availability since the last sync', () => {
+    loadSyncState().recordPlaylistSync('deezer', '42', { name: 'Mix' }, [
+      track('a', '2024-01-01T00:00:00Z'),
+      track('b', '2024-01-02T00:00:00Z'),
+      track('c', '2024-01-03T00:00:00Z', { unavailable: false }),
+    ], '2024-02-01T00:00:00Z');
+
+    const current = [
+      track('a', '2024-01-01T00:00:00Z'),
+      // Removed and added again
+      track('b', '2024-02-10T00:00:00Z'),
+      // Pulled from the catalog since
+      track('c', '2024-01-03T00:00:00Z', { unavailable: true }),
+      track('d', '2024-02-11T00:00:00Z'),
+    ];
+
+    expect(loadSyncState().filterNewTracks('deezer', '42', current).map(({ sourceId }) => sourceId)).toEqual(['b', 'c', 'd']);
+  });
+
+  test('records an unchanged check without touching the synced tracks', () => {
+    const syncState = loadSyncState();
+    syncState.recordPlaylistSync('spotify', 'pl1', { name: 'Mix', snapshotId: 's1' }, [track('a', '2024-01-01T00:00:00Z')], '2024-02-01T00:00:00Z');
+    syncState.recordPlaylistUnchanged('spotify', 'pl1', '2024-02-02T00:00:00Z');
+
+    expect(loadSyncState().getPlaylistState('spotify', 'pl1')).toMatchObject({
+      lastSyncedAt: '2024-02-01T00:00:00Z',
+      lastCheckedAt: '2024-02-02T00:00:00Z',
+      trackCount: 1,
+    });
+  });
+
+  test('records the run that completed successfully', () => {
+    const syncState = loadSyncState();
+    const runId = syncState.getRunId();
+    syncState.completeRun();
+
+    expect(loadSyncState().loadState().lastSuccessfulRun).toBe(runId);
+  });
+
+  test('starts fresh from a file of another version or one that cannot be parsed', () => {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+
+    fs.writeFileSync(statePath, JSON.stringify({ version: 0, playlists: { 'spotify:pl1': { lastSyncedAt: 'x', snapshotId: 's1' } } }));
+    expect(loadSyncState().isPlaylistUnchanged('spotify', 'pl1', { snapshotId: 's1' })).toBe(false);
+
+    fs.writeFileSync(statePath, '{"version": 1, "playl');
+    expect(loadSyncState().loadState()).toEqual({ version: 1, lastSuccessfulRun: null, playlists: {} });
+  });
+
+  test('writes nothing in a dry run', () => {
+    process.env.DRY_RUN = 'true';
+
+    loadSyncState().recordPlaylistSync('spotify', 'pl1', { name: 'Mix', snapshotId: 's1' }, [], '2024-02-01T00:00:00Z');
+
+    expect(fs.existsSync(statePath)).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * YouTube Client Tests
+ *
+ * Runs the client against a local mock of the YouTube Data API: playlist
+ * paging, "Artist - Title" parsing, duration normalization and deleted or
+ * private videos.
+ */
+
+const { startMockServer } = require('./helpers/mockServer');
+
+// Required by config.js; no request ever leaves the mock server
+process.env.NOTION_KEY = 'test';
+process.env.SPOTIFY_CLIENT_ID = 'test';
+process.env.SPOTIFY_CLIENT_SECRET = 'test';
+process.env.SPOTIFY_REFRESH_TOKEN = 'test';
+process.env.YOUTUBE_API_KEY = 'test-key';
+process.env.LOG_LEVEL = 'error';
+
+const PLAYLIST_ID = 'PLtest';
+
+/**
+ * Build a playlistItem resource
+ * @param {string} videoId - Video ID
+ * @param {string} title - Video name as shown in the playlist
+ * @param {string} [channel] - Uploading channel
+ * @returns {Object} - playlistItem resource
+ */
+function playlistItem(videoId, title, channel) {
+  return {
+    snippet: { title, videoOwnerChannelTitle: channel, publishedAt: '2024-03-01T10:00:00Z' },
+    contentDetails: { videoId, videoPublishedAt: '2023-11-20T08:00:00Z' },
+  };
+}
+
+// Video ID -> name and ISO 8601 duration served by the videos endpoint
+const VIDEOS = {
+  vid00000001: { title: 'Artist One - Song One (Official Video)', duration: 'PT3M25S' },
+  vid00000002: { title: 'Artist Two – "Long Mix" [Audio]', duration: 'PT1H2M3S' },
+  vid00000004: { title: 'Closing Song', duration: 'PT45S' },
+};
+
+const ROUTES = {
+  '/playlists': () => ({
+    items: [{
+      id: PLAYLIST_ID,
+      snippet: { title: 'Demo Inbox', description: '', channelTitle: 'Label A&R' },
+      contentDetails: { itemCount: 4 },
+    }],
+  }),
+  '/playlistItems': (query) => (query.pageToken === 'page2'
+    ? { items: [playlistItem('vid00000004', VIDEOS.vid00000004.title, 'Artist Four - Topic')] }
+    : {
+      items: [
+        playlistItem('vid00000001', VIDEOS.vid00000001.title, 'Artist One VEVO'),
+        playlistItem('vid00000002', VIDEOS.vid00000002.title, 'Artist Two'),
+        playlistItem('vid00000003', 'Deleted video'),
+      ],
+      nextPageToken: 'page2',
+    }),
+  '/videos': (query) => ({
+    items: query.id.split(',').map(id => ({
+      id,
+      snippet: { title: VIDEOS[id].title, channelTitle: 'Channel', publishedAt: '2023-11-20T08:00:00Z' },
+      contentDetails: { duration: VIDEOS[id].duration },
+    })),
+  }),
+};
+
+describe('youtubeClient', () => {
+  let server;
+  let youtubeClient;
+
+  beforeAll(async () => {
+    server = await startMockServer(ROUTES);
+    process.env.YOUTUBE_API_BASE_URL = server.baseUrl;
+    youtubeClient = require('../youtubeClient');
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  describe('getPlaylistTracks', () => {
+    let tracks;
+
+    beforeEach(async () => {
+      tracks = await youtubeClient.getPlaylistTracks(PLAYLIST_ID);
+    });
+
+    test('follows nextPageToken until the last page', () => {
+      const pages = server.requests.filter(request => request.path === '/playlistItems');
+
+      expect(pages).toHaveLength(2);
+      expect(pages[0].query.pageToken).toBeUndefined();
+      expect(pages[1].query.pageToken).toBe('page2');
+      expect(pages.every(page => page.query.maxResults === '50' && page.query.key === 'test-key')).toBe(true);
+      expect(tracks.map(track => track.sourceId)).toEqual(['vid00000001', 'vid00000002', 'vid00000003', 'vid00000004']);
+    });
+
+    test('splits "Artist - Title" names and drops video decorations', () => {
+      expect(tracks[0]).toMatchObject({ artist: 'Artist One', title: 'Song One' });
+      expect(tracks[1]).toMatchObject({ artist: 'Artist Two', title: 'Long Mix' });
+      // Auto-generated "Topic" channels name the video after the song
+      expect(tracks[3]).toMatchObject({ artist: 'Artist Four', title: 'Closing Song' });
+    });
+
+    test('normalizes ISO 8601 durations to seconds', () => {
+      expect(tracks.map(track => track.duration)).toEqual([205, 3723, null, 45]);
+    });
+
+    test('keeps deleted videos, flagged unavailable and without a placeholder title', () => {
+      expect(tracks[2]).toMatchObject({
+        unavailable: true,
+        unavailableReason: 'Video was deleted',
+        url: 'https://www.youtube.com/watch?v=vid00000003',
+      });
+      expect(tracks[2].title).toBeUndefined();
+
+      // The videos endpoint is never asked about the deleted video
+      const videoIds = server.requests.filter(request => request.path === '/videos').map(request => request.query.id);
+      expect(videoIds).toEqual(['vid00000001,vid00000002', 'vid00000004']);
+    });
+
+    test('names the playlist and keeps when each video was added', () => {
+      expect(tracks[0]).toMatchObject({
+        source: 'YouTube',
+        playlist: 'YouTube - Demo Inbox',
+        addedAt: '2024-03-01T10:00:00Z',
+        releaseDate: '2023-11-20',
+        unavailable: false,
+      });
+    });
+  });
+
+  describe('parseVideoTitle', () => {
+    test('falls back to the channel when the name has no separator', () => {
+      expect(youtubeClient.parseVideoTitle('Untitled Demo (Lyric Video)', 'Some Band'))
+        .toEqual({ artist: 'Some Band', title: 'Untitled Demo' });
+    });
+
+    test('keeps hyphens inside words', () => {
+      expect(youtubeClient.parseVideoTitle('Jay-Z - Run-Away', 'Uploader'))
+        .toEqual({ artist: 'Jay-Z', title: 'Run-Away' });
+    });
+  });
+
+  describe('parseUrl', () => {
+    test('recognises playlist, watch and youtu.be links', () => {
+      expect(youtubeClient.parseUrl('https://music.youtube.com/playlist?list=PLabc_123')).toEqual({ type: 'playlist', id: 'PLabc_123' });
+      expect(youtubeClient.parseUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10')).toEqual({ type: 'track', id: 'dQw4w9WgXcQ' });
+      expect(youtubeClient.parseUrl('https://youtu.be/dQw4w9WgXcQ')).toEqual({ type: 'track', id: 'dQw4w9WgXcQ' });
+      expect(youtubeClient.parseUrl('https://open.spotify.com/track/123')).toBeNull();
+    });
+  });
+
+  describe('rate limiting', () => {
+    test('throws once every retry is rate limited', async () => {
+      const limited = await startMockServer({
+        '/playlists': () => ({ status: 429, headers: { 'Retry-After': '0' }, body: {} }),
+      });
+      process.env.YOUTUBE_API_BASE_URL = limited.baseUrl;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        jest.isolateModules(() => {
+          youtubeClient = require('../youtubeClient');
+        });
+        await expect(youtubeClient.getPlaylist(PLAYLIST_ID)).rejects.toMatchObject({ rateLimited: true });
+        expect(limited.requests).toHaveLength(3);
+      } finally {
+        console.error.mockRestore();
+        await limited.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,462 @@
+/**
+ * Tidal API Client
+ *
+ * Handles Tidal API interactions including client-credentials authentication,
+ * playlist fetching and track metadata with credits (composer, producer).
+ * Playlists and tracks come from the JSON:API-style v2 API; credits come from
+ * the v1 contributors endpoint, a few tracks at a time. The v2 API has no
+ * credits yet and v1 may refuse a client-credentials token: the first 401/403
+ * turns credits off for the rest of the run with one warning, and the tracks
+ * still sync without Composer and Producer.
+ *
+ * Dependencies: node-fetch, config.js, endpoints.js, utils/logger.js, utils/apiRequest.js, utils/concurrency.js,
+ *               utils/duration.js
+ * API Docs: https://developer.tidal.com/documentation
+ */
+
+const fetch = require('node-fetch');
+const config = require('./config');
+const { TIDAL } = require('./endpoints');
+const logger = require('./utils/logger');
+const { apiRequest } = require('./utils/apiRequest');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { parseIsoDuration } = require('./utils/duration');
+
+// Tracks fetched per batch request
+const TRACK_BATCH_SIZE = 20;
+
+// Contributor roles mapped onto trackData credit fields
+const CREDIT_ROLES = {
+  composer: /composer|writer|lyricist/i,
+  producer: /producer/i,
+};
+
+// Contributors requests in flight at once
+const CREDITS_CONCURRENCY = 4;
+
+// Statuses that mean the contributors endpoint won't serve this token at all
+const CREDITS_REJECTED_STATUSES = [401, 403];
+
+// Cleared for the rest of the run once the contributors endpoint rejects the token
+let creditsEnabled = true;
+
+// Cache for access token
+let accessToken = null;
+let tokenExpiry = null;
+
+/**
+ * Get valid access token using the client credentials grant
+ * @returns {Promise<string>} - Valid access token
+ */
+async function getAccessToken() {
+  // Return cached token if still valid
+  if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
+    return accessToken;
+  }
+
+  if (!config.tidal.clientId || !config.tidal.clientSecret) {
+    throw new Error('Tidal credentials not configured (TIDAL_CLIENT_ID, TIDAL_CLIENT_SECRET)');
+  }
+
+  try {
+    // Tidal Client Credentials: https://developer.tidal.com/documentation/authorization/authorization-client-credentials
+    const response = await fetch(TIDAL.TOKEN, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${config.tidal.clientId}:${config.tidal.clientSecret}`).toString('base64')}`,
+      },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Token request failed: ${response.status} ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    accessToken = data.access_token;
+    tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // Refresh 1 min early
+
+    logger.info('Tidal access token refreshed', {
+      expiresIn: data.expires_in,
+    });
+
+    return accessToken;
+  } catch (error) {
+    logger.error(`Failed to get Tidal access token: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Make an authenticated request to the Tidal v2 API
+ * @param {string} url - API endpoint URL
+ * @returns {Promise<Object>} - JSON:API document
+ */
+async function tidalRequest(url) {
+  return apiRequest(url, {
+    service: 'Tidal',
+    // Every catalog request is scoped to a country
+    query: url.includes('countryCode=') ? null : { countryCode: config.tidal.countryCode },
+    getHeaders: async () => ({
+      'Authorization': `Bearer ${await getAccessToken()}`,
+      'Accept': 'application/vnd.api+json',
+    }),
+    onUnauthorized: () => {
+      accessToken = null; // Force token refresh
+    },
+  });
+}
+
+/**
+ * Get a playlist's name, description and item count
+ * @param {string} playlistId - Tidal playlist UUID
+ * @returns {Promise<Object>} - Playlist metadata, with lastModifiedAt as the change marker
+ */
+async function getPlaylist(playlistId) {
+  try {
+    // Tidal Get Playlist: https://tidal-music.github.io/tidal-api-reference/#/playlists
+    const data = await tidalRequest(TIDAL.PLAYLIST(playlistId));
+    const attributes = data.data.attributes;
+
+    logger.debug(`Retrieved Tidal playlist`, {
+      playlistId,
+      name: attributes.name,
+      trackCount: attributes.numberOfItems,
+    });
+
+    return {
+      id: data.data.id,
+      name: attributes.name,
+      description: attributes.description || '',
+      trackCount: attributes.numberOfItems,
+      url: TIDAL.PLAYLIST_PAGE(data.data.id),
+      lastModified: attributes.lastModifiedAt,
+    };
+  } catch (error) {
+    logger.error(`Failed to get Tidal playlist ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get full track resources, with their artists and albums, for a batch of IDs
+ * @param {Array<string>} trackIds - Tidal track IDs
+ * @returns {Promise<Array>} - Track resources with `artists` and `album` resolved
+ */
+async function getTracks(trackIds) {
+  if (trackIds.length === 0) return [];
+
+  // Tidal Get Tracks: https://tidal-music.github.io/tidal-api-reference/#/tracks
+  const data = await tidalRequest(TIDAL.TRACKS(trackIds));
+
+  // Resolve relationships against the included artists and albums
+  const included = new Map((data.included || []).map(resource => [`${resource.type}:${resource.id}`, resource]));
+  const resolve = (relationship) => (relationship?.data || [])
+    .map(ref => included.get(`${ref.type}:${ref.id}`))
+    .filter(Boolean);
+
+  return (data.data || []).map(track => ({
+    ...track,
+    artists: resolve(track.relationships?.artists),
+    album: resolve(track.relationships?.albums)[0] || null,
+  }));
+}
+
+/**
+ * Get composer and producer credits for a track
+ * @param {string} trackId - Tidal track ID
+ * @returns {Promise<Object>} - { composer, producer } (null when unknown, both null once credits are turned off)
+ * @throws {Error} - When the request fails for this track only
+ */
+async function getTrackCredits(trackId) {
+  const credits = { composer: null, producer: null };
+  if (!creditsEnabled) return credits;
+
+  let data;
+  try {
+    // Tidal Track Contributors (v1): https://developer.tidal.com/documentation
+    data = await apiRequest(TIDAL.TRACK_CONTRIBUTORS(trackId), {
+      service: 'Tidal',
+      query: { countryCode: config.tidal.countryCode },
+      getHeaders: async () => ({
+        'Authorization': `Bearer ${await getAccessToken()}`,
+        'Accept': 'application/json',
+      }),
+      // A fresh token gets the same answer, so a rejection isn't retried
+      permanentStatuses: [...CREDITS_REJECTED_STATUSES, 404],
+      logFailure: false,
+    });
+  } catch (error) {
+    if (!CREDITS_REJECTED_STATUSES.includes(error.status)) throw error;
+
+    if (creditsEnabled) {
+      creditsEnabled = false;
+      logger.warn('Tidal contributors endpoint rejected the access token; Composer and Producer will not be filled from Tidal this run', {
+        status: error.status,
+        error: error.message,
+      });
+    }
+    return credits;
+  }
+
+  const contributors = data.items || [];
+  Object.entries(CREDIT_ROLES).forEach(([field, role]) => {
+    const names = [...new Set(contributors.filter(item => role.test(item.role)).map(item => item.name))];
+    if (names.length > 0) {
+      credits[field] = names.join(', ');
+    }
+  });
+
+  return credits;
+}
+
+/**
+ * Get credits for a batch of tracks with a few requests in flight
+ * @param {Array<string>} trackIds - Tidal track IDs
+ * @returns {Promise<Map>} - Track ID -> { composer, producer }, or null when that track's request failed
+ */
+async function getCreditsForTracks(trackIds) {
+  const results = await mapWithConcurrency(trackIds, CREDITS_CONCURRENCY, async (trackId) => {
+    try {
+      return await getTrackCredits(trackId);
+    } catch (error) {
+      logger.debug(`Could not get Tidal credits for track ${trackId}`, { error: error.message });
+      return null;
+    }
+  });
+
+  return new Map(trackIds.map((trackId, index) => [trackId, results[index]]));
+}
+
+/**
+ * Get every track in a playlist: item pages first, then the tracks themselves in batches
+ * @param {string} playlistId - Tidal playlist UUID
+ * @returns {Promise<Array>} - Normalized track data (videos in the playlist are skipped)
+ */
+async function getPlaylistTracks(playlistId) {
+  try {
+    const tracks = [];
+    let creditFailures = 0;
+
+    // Look up the playlist name once rather than once per track
+    let playlistName;
+    try {
+      playlistName = (await getPlaylist(playlistId)).name;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      playlistName = playlistId;
+    }
+    let nextUrl = TIDAL.PLAYLIST_ITEMS(playlistId);
+
+    while (nextUrl) {
+      // Tidal Get Playlist Items: https://tidal-music.github.io/tidal-api-reference/#/playlists
+      const data = await tidalRequest(nextUrl);
+
+      // Playlists can also hold videos; only tracks are synced
+      const items = (data.data || []).filter(item => item.type === 'tracks');
+      const addedAt = new Map(items.map(item => [item.id, item.meta?.addedAt || null]));
+
+      for (let i = 0; i < items.length; i += TRACK_BATCH_SIZE) {
+        const batch = await getTracks(items.slice(i, i + TRACK_BATCH_SIZE).map(item => item.id));
+        const credits = await getCreditsForTracks(batch.map(track => track.id));
+
+        for (const track of batch) {
+          if (!credits.get(track.id)) creditFailures++;
+          const trackData = await processTrackData(track, playlistId, playlistName, credits.get(track.id));
+          trackData.addedAt = addedAt.get(track.id) || null;
+          tracks.push(trackData);
+        }
+      }
+
+      nextUrl = data.links?.next ? `${TIDAL.BASE_URL}${data.links.next}` : null;
+
+      logger.debug(`Processed Tidal playlist page`, {
+        playlistId,
+        pageItems: data.data?.length || 0,
+        totalSoFar: tracks.length,
+        hasMore: !!nextUrl,
+      });
+    }
+
+    // One summary instead of a warning per track
+    if (creditFailures > 0) {
+      logger.warn(`Could not get Tidal credits for ${creditFailures} of ${tracks.length} tracks`, { playlistId });
+    }
+
+    logger.info(`Retrieved all Tidal playlist tracks`, {
+      playlistId,
+      totalTracks: tracks.length,
+    });
+
+    return tracks;
+  } catch (error) {
+    logger.error(`Failed to get Tidal playlist tracks ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Process track data into normalized format
+ * @param {Object} track - Tidal track resource with `artists` and `album` resolved
+ * @param {string} playlistId - Source playlist ID
+ * @param {string} [playlistName] - Source playlist name (looked up if omitted)
+ * @param {Object|null} [credits] - Credits from getCreditsForTracks (fetched if omitted)
+ * @returns {Promise<Object>} - Normalized track data
+ */
+async function processTrackData(track, playlistId, playlistName, credits) {
+  const missingFields = [];
+  const attrs = track.attributes || {};
+  const version = attrs.version ? ` (${attrs.version})` : '';
+
+  // Basic track information
+  const trackData = {
+    source: 'Tidal',
+    sourceId: track.id,
+    title: `${attrs.title}${version}`,
+    url: TIDAL.TRACK_PAGE(track.id),
+    duration: parseIsoDuration(attrs.duration),
+    explicit: attrs.explicit,
+  };
+
+  // Artist information
+  const artists = (track.artists || []).map(artist => artist.attributes?.name).filter(Boolean);
+  if (artists.length > 0) {
+    trackData.artist = artists.join(', ');
+    trackData.performedBy = trackData.artist;
+  } else {
+    missingFields.push('artist');
+  }
+
+  // Album information
+  if (track.album?.attributes?.title) {
+    trackData.album = track.album.attributes.title;
+  } else {
+    missingFields.push('album');
+  }
+
+  // Release date
+  if (track.album?.attributes?.releaseDate) {
+    trackData.releaseDate = track.album.attributes.releaseDate;
+  } else {
+    missingFields.push('releaseDate');
+  }
+
+  // Label (copyright line names the label)
+  if (attrs.copyright) {
+    trackData.label = attrs.copyright;
+  }
+
+  // ISRC
+  if (attrs.isrc) {
+    trackData.isrc = attrs.isrc;
+  } else {
+    missingFields.push('isrc');
+  }
+
+  // Credits (Tidal specific)
+  if (credits === undefined) {
+    credits = (await getCreditsForTracks([track.id])).get(track.id);
+  }
+  if (credits?.composer) {
+    trackData.composer = credits.composer;
+  }
+  if (credits?.producer) {
+    trackData.producer = credits.producer;
+  }
+
+  // Playlist information - will be set by orchestrator
+  trackData.type = 'Source'; // Default, will be overridden by orchestrator
+
+  // Get playlist name for reference with service prefix
+  if (playlistName) {
+    trackData.playlist = `Tidal - ${playlistName}`;
+  } else {
+    try {
+      const playlist = await getPlaylist(playlistId);
+      trackData.playlist = `Tidal - ${playlist.name}`;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      trackData.playlist = `Tidal - ${playlistId}`;
+    }
+  }
+
+  // Log metadata gaps
+  if (missingFields.length > 0) {
+    logger.metadataGap(track.id, 'Tidal', missingFields);
+  }
+
+  return trackData;
+}
+
+/**
+ * Extract playlist UUID from Tidal URL
+ * @param {string} url - Tidal playlist URL
+ * @returns {string|null} - Playlist UUID or null if invalid
+ */
+function extractPlaylistId(url) {
+  const regex = /tidal\.com\/(?:browse\/)?playlist\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract track ID from Tidal URL
+ * @param {string} url - Tidal track URL
+ * @returns {string|null} - Track ID or null if invalid
+ */
+function extractTrackId(url) {
+  if (!url) return null;
+  const regex = /tidal\.com\/(?:browse\/)?track\/(\d+)/;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Recognise a tidal.com playlist (UUID) or track (numeric ID) link, with or without /browse
+ * @param {string} url - Pasted link
+ * @returns {Object|null} - { type: 'playlist'|'track', id } or null for other links
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  const playlistId = extractPlaylistId(url);
+  if (playlistId) return { type: 'playlist', id: playlistId };
+
+  const trackId = extractTrackId(url);
+  if (trackId) return { type: 'track', id: trackId };
+
+  return null;
+}
+
+/**
+ * Check that the client credentials are accepted
+ * @returns {Promise<boolean>} - True when a token can be obtained
+ */
+async function checkServiceHealth() {
+  try {
+    await getAccessToken();
+    return true;
+  } catch (error) {
+    logger.error(`Tidal service health check failed: ${error.message}`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getPlaylist,
+  getPlaylistTracks,
+  getTracks,
+  getTrackCredits,
+  getCreditsForTracks,
+  processTrackData,
+  extractPlaylistId,
+  extractTrackId,
+  parseUrl,
+  checkServiceHealth,
+  getAccessToken,
+};
@@ -0,0 +1,287 @@
+/**
+ * Notion Track Index
+ *
+ * Loads every page of the tracks database once per run and indexes it by ISRC,
+ * service track ID, normalized title/artist and ingested file, so matching and cleanup run in
+ * memory instead of costing one or two Notion queries per track. Pages created
+ * or re-keyed during the run are added back to the index.
+ *
+ * Dependencies: notionClient.js, schema.js, providers.js, utils/normalize.js, utils/logger.js
+ */
+
+const notionClient = require('./notionClient');
+const providers = require('./providers');
+const { NOTION_FIELDS, extractPropertyValue } = require('./schema');
+const { normalizeText } = require('./utils/normalize');
+const logger = require('./utils/logger');
+
+let pages = [];
+let byIsrc = new Map(); // ISRC -> page
+let bySourceId = new Map(); // 'Spotify:<id>' -> page
+let byTitle = new Map(); // normalized title -> pages
+let byFile = new Map(); // 'hash:<sha256>' / 'path:<file path>' -> page
+let pageKeys = new Map(); // page ID -> keys it is indexed under
+let loaded = false;
+let loading = null;
+
+/**
+ * Normalize an ISRC for lookups
+ * @param {string} isrc - ISRC code
+ * @returns {string|null} - Uppercased ISRC without separators
+ */
+function normalizeIsrc(isrc) {
+  if (!isrc) return null;
+  return String(isrc).replace(/[^a-zA-Z0-9]/g, '').toUpperCase() || null;
+}
+
+/**
+ * Work out the keys a page should be indexed under
+ * @param {Object} page - Notion page object
+ * @returns {Object} - { isrc, sourceIds, title, files }
+ */
+function getKeysForPage(page) {
+  const properties = page.properties || {};
+  const sourceIds = new Set();
+
+  // Per-service URL fields, plus the primary URL that older pages only have
+  const urls = providers.getProviders()
+    .filter(provider => provider.urlField)
+    .map(provider => extractPropertyValue(properties[provider.urlField]));
+  urls.push(extractPropertyValue(properties[NOTION_FIELDS.URL]));
+
+  urls.forEach(url => {
+    const parsed = providers.parseUrl(url);
+    if (parsed && parsed.type === 'track') {
+      sourceIds.add(`${parsed.provider.name}:${parsed.id}`);
+    }
+  });
+
+  // Pages ingested from local files
+  const files = [];
+  const fileHash = extractPropertyValue(properties[NOTION_FIELDS.FILE_HASH]);
+  const filePath = extractPropertyValue(properties[NOTION_FIELDS.FILE_PATH]);
+  if (fileHash) files.push(`hash:${fileHash}`);
+  if (filePath) files.push(`path:${filePath}`);
+
+  return {
+    isrc: normalizeIsrc(extractPropertyValue(properties[NOTION_FIELDS.ISRC_UPC])),
+    sourceIds: [...sourceIds],
+    title: normalizeText(extractPropertyValue(properties[NOTION_FIELDS.TRACK_TITLE])),
+    files,
+  };
+}
+
+/**
+ * Add a page to the lookup maps
+ * @param {Object} page - Notion page object
+ */
+function indexPage(page) {
+  const keys = getKeysForPage(page);
+
+  // Pages arrive newest first, so the first page seen for a key wins
+  if (keys.isrc && !byIsrc.has(keys.isrc)) {
+    byIsrc.set(keys.isrc, page);
+  }
+
+  keys.sourceIds.forEach(sourceId => {
+    if (!bySourceId.has(sourceId)) {
+      bySourceId.set(sourceId, page);
+    }
+  });
+
+  keys.files.forEach(fileKey => {
+    if (!byFile.has(fileKey)) {
+      byFile.set(fileKey, page);
+    }
+  });
+
+  if (keys.title) {
+    if (!byTitle.has(keys.title)) {
+      byTitle.set(keys.title, []);
+    }
+    byTitle.get(keys.title).push(page);
+  }
+
+  pageKeys.set(page.id, keys);
+}
+
+/**
+ * Remove a page from the lookup maps
+ * @param {Object} page - Notion page object
+ */
+function unindexPage(page) {
+  const keys = pageKeys.get(page.id);
+  if (!keys) return;
+
+  if (keys.isrc && byIsrc.get(keys.isrc) === page) {
+    byIsrc.delete(keys.isrc);
+  }
+
+  keys.sourceIds.forEach(sourceId => {
+    if (bySourceId.get(sourceId) === page) {
+      bySourceId.delete(sourceId);
+    }
+  });
+
+  keys.files.forEach(fileKey => {
+    if (byFile.get(fileKey) === page) {
+      byFile.delete(fileKey);
+    }
+  });
+
+  if (keys.title && byTitle.has(keys.title)) {
+    byTitle.set(keys.title, byTitle.get(keys.title).filter(candidate => candidate !== page));
+  }
+
+  pageKeys.delete(page.id);
+}
+
+/**
+ * Load every page of the tracks database and build the index
+ * @returns {Promise<number>} - Number of pages indexed
+ */
+async function load() {
+  const results = await notionClient.queryDatabase();
+
+  pages = [];
+  byIsrc = new Map();
+  bySourceId = new Map();
+  byTitle = new Map();
+  byFile = new Map();
+  pageKeys = new Map();
+
+  results.forEach(page => {
+    pages.push(page);
+    indexPage(page);
+  });
+  loaded = true;
+
+  logger.info('📇 Loaded Notion track index', {
+    pages: pages.length,
+    isrcs: byIsrc.size,
+    sourceIds: bySourceId.size,
+  });
+
+  return pages.length;
+}
+
+/**
+ * Check whether the index has been loaded this run
+ * @returns {boolean} - True once load() has completed
+ */
+function isLoaded() {
+  return loaded;
+}
+
+/**
+ * Load the index unless it is already loaded or loading
+ * @returns {Promise<void>}
+ */
+async function ensureLoaded() {
+  if (loaded) return;
+
+  // Concurrent callers share a single load
+  if (!loading) {
+    loading = load().finally(() => {
+      loading = null;
+    });
+  }
+  await loading;
+}
+
+/**
+ * Find an existing page for a track
+ * Tracks flagged `identity: 'permalink'` (no ISRC, e.g. SoundCloud demos) only
+ * match their own permalink, or a page without an ISRC by exact title/uploader,
+ * so a demo never lands on the released recording of a same-named song.
+ * @param {Object} trackData - Normalized track data
+ * @returns {Object} - { page, matchedBy } where matchedBy is 'isrc', 'sourceId', 'titleArtist' or null
+ */
+function findTrack(trackData) {
+  const isrc = normalizeIsrc(trackData.isrc);
+  if (isrc && byIsrc.has(isrc)) {
+    return { page: byIsrc.get(isrc), matchedBy: 'isrc' };
+  }
+
+  if (trackData.source && trackData.sourceId) {
+    const page = bySourceId.get(`${trackData.source}:${trackData.sourceId}`);
+    if (page) {
+      return { page, matchedBy: 'sourceId' };
+    }
+  }
+
+  const title = normalizeText(trackData.title);
+  const artist = normalizeText(trackData.artist);
+  if (title && artist) {
+    const permalinkIdentity = trackData.identity === 'permalink';
+    // Page artists are often comma-joined, so match when they include this artist
+    const page = (byTitle.get(title) || []).find(candidate => {
+      const candidateArtist = normalizeText(extractPropertyValue(candidate.properties[NOTION_FIELDS.ARTIST]));
+      if (permalinkIdentity) {
+        return candidateArtist === artist && !pageKeys.get(candidate.id)?.isrc;
+      }
+      return candidateArtist && candidateArtist.includes(artist);
+    });
+    if (page) {
+      return { page, matchedBy: 'titleArtist' };
+    }
+  }
+
+  return { page: null, matchedBy: null };
+}
+
+/**
+ * Find the page a local audio file was ingested into
+ * @param {Object} file - { hash, path }
+ * @returns {Object} - { page, matchedBy } where matchedBy is 'fileHash', 'filePath' or null
+ */
+function findFile(file) {
+  if (file.hash && byFile.has(`hash:${file.hash}`)) {
+    return { page: byFile.get(`hash:${file.hash}`), matchedBy: 'fileHash' };
+  }
+
+  // Same path with a new hash: the file was re-exported or re-tagged
+  if (file.path && byFile.has(`path:${file.path}`)) {
+    return { page: byFile.get(`path:${file.path}`), matchedBy: 'filePath' };
+  }
+
+  return { page: null, matchedBy: null };
+}
+
+/**
+ * Add a newly created page to the index
+ * @param {Object} page - Notion page object
+ */
+function add(page) {
+  pages.push(page);
+  indexPage(page);
+}
+
+/**
+ * Re-index a page after its identifying properties changed
+ * @param {Object} page - Notion page object (already updated in place)
+ */
+function reindex(page) {
+  unindexPage(page);
+  indexPage(page);
+}
+
+/**
+ * Get every indexed page
+ * @returns {Array<Object>} - Page objects
+ */
+function getPages() {
+  return pages;
+}
+
+module.exports = {
+  load,
+  isLoaded,
+  ensureLoaded,
+  findTrack,
+  findFile,
+  add,
+  reindex,
+  getPages,
+  normalizeIsrc,
+};
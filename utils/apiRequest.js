@@ -0,0 +1,144 @@
+/**
+ * JSON API Request Helper
+ *
+ * One request/retry loop for the music service clients: rate limiting (429 and
+ * Retry-After), token refresh on 401, exponential backoff on other failures and
+ * errors that retrying can't fix. Each client supplies its own headers and
+ * service-specific rules; once retries run out the last error is thrown, so a
+ * request never resolves without data.
+ *
+ * Dependencies: node-fetch, utils/logger.js
+ */
+
+const fetch = require('node-fetch');
+const logger = require('./logger');
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build the error for a rate-limited attempt
+ * @param {string} service - Service name used in messages
+ * @param {number} retryAfter - Seconds the service asked to wait
+ * @returns {Error} - Error with rateLimited and retryAfter set
+ */
+function createRateLimitError(service, retryAfter) {
+  const error = new Error(`${service} rate limit exceeded`);
+  error.rateLimited = true;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Make a GET request to a JSON API with retry logic
+ * @param {string} url - Request URL (logged as is)
+ * @param {Object} options - Request options
+ * @param {string} options.service - Service name used in log and error messages ('Deezer')
+ * @param {Object} [options.query] - Query parameters appended to the URL but kept out of logs (API keys, tokens)
+ * @param {Function} [options.getHeaders] - Returns (or resolves) the request headers for each attempt
+ * @param {Object} [options.limiter] - Rate limiter from utils/rateLimiter.js, acquired before each attempt
+ * @param {number} [options.maxRetries] - Attempts before giving up (default 3)
+ * @param {number} [options.defaultRetryAfter] - Seconds to wait on a 429 without Retry-After (default 1)
+ * @param {Array<number>} [options.permanentStatuses] - Statuses that fail at once instead of retrying
+ * @param {Function} [options.onUnauthorized] - Drops the cached token on a 401 so the next attempt gets a fresh one
+ * @param {Function} [options.checkBody] - Inspects the parsed body and throws for errors reported with a 200
+ *                                         (an error with retryAfter set is retried like a 429)
+ * @param {boolean} [options.logFailure] - Log the final failure as an error (default true); turn off when
+ *                                         the caller reports failures itself
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {Error} - The last error once retries run out (rateLimited is set when the service kept refusing)
+ */
+async function apiRequest(url, options) {
+  const {
+    service,
+    query = null,
+    getHeaders = () => ({ 'Accept': 'application/json' }),
+    limiter = null,
+    maxRetries = 3,
+    defaultRetryAfter = 1,
+    permanentStatuses = [],
+    onUnauthorized = null,
+    checkBody = null,
+    logFailure = true,
+  } = options;
+
+  const requestUrl = query
+    ? `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(query)}`
+    : url;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (limiter) {
+        await limiter.acquire();
+      }
+
+      const response = await fetch(requestUrl, { headers: await getHeaders() });
+
+      if (response.status === 429) {
+        throw createRateLimitError(service, parseInt(response.headers.get('retry-after') || String(defaultRetryAfter)));
+      }
+
+      if (response.status === 401 && onUnauthorized) {
+        onUnauthorized();
+        const error = new Error(`${service} API error: 401 token rejected`);
+        // The token is refreshed on the next attempt, so there is nothing to wait for
+        error.retryAfter = 0;
+        throw error;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`${service} API error: ${response.status} ${errorText}`);
+        error.status = response.status;
+        error.permanent = permanentStatuses.includes(response.status);
+        throw error;
+      }
+
+      const data = await response.json();
+      if (checkBody) {
+        checkBody(data);
+      }
+
+      return data;
+    } catch (error) {
+      if (error.permanent || attempt >= maxRetries) {
+        const log = logFailure ? logger.error : logger.debug;
+        log(`${service} request failed after ${attempt} attempts: ${error.message}`, {
+          url,
+          error: error.message,
+        });
+        throw error;
+      }
+
+      if (error.rateLimited) {
+        logger.warn(`${service} rate limited, waiting ${error.retryAfter}s`, {
+          url,
+          retryAfter: error.retryAfter,
+          attempt,
+        });
+        await sleep(error.retryAfter * 1000);
+        continue;
+      }
+
+      // Exponential backoff, unless the failure says when to retry
+      const delay = error.retryAfter !== undefined ? error.retryAfter * 1000 : Math.pow(2, attempt) * 1000;
+      logger.warn(`${service} request failed, retrying in ${delay}ms`, {
+        url,
+        attempt,
+        error: error.message,
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  apiRequest,
+  createRateLimitError,
+};
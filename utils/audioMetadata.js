@@ -0,0 +1,525 @@
+/**
+ * Audio File Metadata Reader
+ *
+ * Reads embedded tags and duration from local audio files without native
+ * dependencies: ID3v2 (MP3, WAV), Vorbis comments (FLAC), MP4 atoms (M4A)
+ * and RIFF INFO chunks (WAV). Only the header regions of a file are read,
+ * so large WAVs never have to fit in memory.
+ *
+ * Dependencies: None
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ID3v2 frame IDs (v2.3/v2.4 and v2.2) -> metadata keys
+const ID3_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TDRC: 'date', TYER: 'date', TYE: 'date',
+  TRCK: 'trackNumber', TRK: 'trackNumber',
+  TCOM: 'composer', TCM: 'composer',
+  TCON: 'genre', TCO: 'genre',
+  TSRC: 'isrc', TRC: 'isrc',
+  TPUB: 'label', TPB: 'label',
+  TLEN: 'lengthMs', TLE: 'lengthMs',
+};
+
+// Vorbis comment fields -> metadata keys
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  DATE: 'date',
+  TRACKNUMBER: 'trackNumber',
+  COMPOSER: 'composer',
+  GENRE: 'genre',
+  ISRC: 'isrc',
+  LABEL: 'label',
+  ORGANIZATION: 'label',
+};
+
+// MP4 ilst item atoms -> metadata keys ('©' is byte 0xA9, read as latin1)
+const MP4_ATOMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  '©day': 'date',
+  '©wrt': 'composer',
+  '©gen': 'genre',
+};
+
+// RIFF INFO chunk IDs -> metadata keys
+const RIFF_INFO = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  ICRD: 'date',
+  IGNR: 'genre',
+  ITRK: 'trackNumber',
+};
+
+// MPEG audio Layer III tables
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Open a file for positional reads
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - { size, read(position, length), close() }
+ */
+async function openReader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const { size } = await handle.stat();
+
+  return {
+    size,
+    async read(position, length) {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+      if (buffer.length === 0) return buffer;
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      return buffer.subarray(0, bytesRead);
+    },
+    close: () => handle.close(),
+  };
+}
+
+/**
+ * Decode a 28-bit syncsafe integer
+ * @param {Buffer} buffer - Buffer holding the integer
+ * @param {number} offset - Offset of the first byte
+ * @returns {number} - Decoded integer
+ */
+function readSyncsafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+}
+
+/**
+ * Decode an ID3v2 text frame
+ * @param {Buffer} data - Frame content (encoding byte first)
+ * @returns {string} - Text, with multiple values joined by ', '
+ */
+function decodeId3Text(data) {
+  const encoding = data[0];
+  let body = data.subarray(1);
+  let text;
+
+  if (encoding === 1 || encoding === 2) {
+    // UTF-16 with BOM (1) or big-endian without (2)
+    let bigEndian = encoding === 2;
+    if (body[0] === 0xfe && body[1] === 0xff) {
+      bigEndian = true;
+      body = body.subarray(2);
+    } else if (body[0] === 0xff && body[1] === 0xfe) {
+      body = body.subarray(2);
+    }
+    if (bigEndian) {
+      body = Buffer.from(body.subarray(0, body.length - (body.length % 2))).swap16();
+    }
+    text = body.toString('utf16le');
+  } else {
+    text = body.toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+
+  // v2.4 separates multiple values with NUL; trailing NULs are padding
+  return text.split('\u0000').map(value => value.trim()).filter(Boolean).join(', ');
+}
+
+/**
+ * Parse an ID3v2 tag
+ * @param {Buffer} tag - Whole tag including the 10-byte header
+ * @returns {Object} - Metadata keys found in the tag
+ */
+function parseId3(tag) {
+  const metadata = {};
+  const version = tag[3];
+  const flags = tag[5];
+  const size = Math.min(readSyncsafe(tag, 6) + 10, tag.length);
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  let offset = 10;
+  if (flags & 0x40 && version > 2) {
+    // Skip the extended header (v2.4 sizes include themselves, v2.3 don't)
+    offset += version === 4 ? readSyncsafe(tag, offset) : tag.readUInt32BE(offset) + 4;
+  }
+
+  while (offset + headerLength <= size) {
+    const id = tag.toString('latin1', offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let frameSize;
+    if (version === 2) {
+      frameSize = tag.readUIntBE(offset + 3, 3);
+    } else if (version === 4) {
+      frameSize = readSyncsafe(tag, offset + 4);
+    } else {
+      frameSize = tag.readUInt32BE(offset + 4);
+    }
+
+    const key = ID3_FRAMES[id];
+    if (key && !metadata[key]) {
+      const value = decodeId3Text(tag.subarray(offset + headerLength, offset + headerLength + frameSize));
+      if (value) metadata[key] = value;
+    }
+
+    offset += headerLength + frameSize;
+  }
+
+  return metadata;
+}
+
+/**
+ * Read the ID3v2 tag at a position, if there is one
+ * @param {Object} reader - File reader from openReader()
+ * @param {number} position - Where the tag would start
+ * @returns {Promise<Object|null>} - { metadata, size } or null
+ */
+async function readId3At(reader, position) {
+  const header = await reader.read(position, 10);
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') return null;
+
+  const size = readSyncsafe(header, 6) + 10 + (header[5] & 0x10 ? 10 : 0); // Footer flag
+  const tag = await reader.read(position, size);
+  return { metadata: parseId3(tag), size };
+}
+
+/**
+ * Work out MP3 duration from the first frame (Xing/VBRI header or constant bitrate)
+ * @param {Object} reader - File reader from openReader()
+ * @param {number} audioStart - Offset just past any ID3v2 tag
+ * @returns {Promise<number|null>} - Duration in seconds
+ */
+async function readMp3Duration(reader, audioStart) {
+  const buffer = await reader.read(audioStart, 64 * 1024);
+
+  for (let i = 0; i + 4 <= buffer.length; i++) {
+    if (buffer[i] !== 0xff || (buffer[i + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (buffer[i + 1] >> 3) & 0x03; // 0: MPEG 2.5, 2: MPEG 2, 3: MPEG 1
+    const layerBits = (buffer[i + 1] >> 1) & 0x03; // 1: Layer III
+    const bitrateIndex = buffer[i + 2] >> 4;
+    const sampleRateIndex = (buffer[i + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      continue;
+    }
+
+    const mpeg1 = versionBits === 3;
+    const sampleRate = MP3_SAMPLE_RATES[sampleRateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+    const samplesPerFrame = mpeg1 ? 1152 : 576;
+    const mono = (buffer[i + 3] >> 6) === 3;
+
+    // Xing/Info header sits after the side information
+    const xingOffset = i + 4 + (mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+    const xingId = buffer.toString('latin1', xingOffset, xingOffset + 4);
+    if ((xingId === 'Xing' || xingId === 'Info') && buffer[xingOffset + 7] & 0x01) {
+      return buffer.readUInt32BE(xingOffset + 8) * samplesPerFrame / sampleRate;
+    }
+
+    // VBRI header sits 32 bytes after the frame header
+    if (buffer.toString('latin1', i + 36, i + 40) === 'VBRI') {
+      return buffer.readUInt32BE(i + 50) * samplesPerFrame / sampleRate;
+    }
+
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000;
+    return ((reader.size - audioStart - i) * 8) / bitrate;
+  }
+
+  return null;
+}
+
+/**
+ * Read MP3 tags and duration
+ * @param {Object} reader - File reader from openReader()
+ * @returns {Promise<Object>} - Metadata
+ */
+async function readMp3(reader) {
+  const id3 = await readId3At(reader, 0);
+  const metadata = id3 ? id3.metadata : {};
+  const duration = await readMp3Duration(reader, id3 ? id3.size : 0);
+
+  if (duration) {
+    metadata.duration = duration;
+  }
+  return metadata;
+}
+
+/**
+ * Parse a Vorbis comment block
+ * @param {Buffer} block - Comment block content
+ * @returns {Object} - Metadata keys found in the block
+ */
+function parseVorbisComments(block) {
+  const values = {};
+  let offset = 4 + block.readUInt32LE(0); // Skip vendor string
+  const count = block.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+    const length = block.readUInt32LE(offset);
+    const comment = block.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    const key = VORBIS_FIELDS[comment.slice(0, separator).toUpperCase()];
+    const value = comment.slice(separator + 1).trim();
+    if (separator > 0 && key && value) {
+      // Repeated fields (several ARTIST comments) are joined
+      values[key] = values[key] ? [...values[key], value] : [value];
+    }
+  }
+
+  return Object.fromEntries(Object.entries(values).map(([key, list]) => [key, [...new Set(list)].join(', ')]));
+}
+
+/**
+ * Read FLAC tags and duration
+ * @param {Object} reader - File reader from openReader()
+ * @returns {Promise<Object>} - Metadata
+ */
+async function readFlac(reader) {
+  // Some taggers put an ID3v2 tag in front of the stream
+  const id3 = await readId3At(reader, 0);
+  let offset = id3 ? id3.size : 0;
+  if ((await reader.read(offset, 4)).toString('latin1') !== 'fLaC') {
+    throw new Error('Not a FLAC stream');
+  }
+  offset += 4;
+  let metadata = {};
+  let last = false;
+
+  while (!last && offset + 4 <= reader.size) {
+    const header = await reader.read(offset, 4);
+    last = Boolean(header[0] & 0x80);
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+
+    if (type === 0) {
+      // STREAMINFO: 20-bit sample rate, then 36-bit total sample count
+      const info = await reader.read(offset + 4, length);
+      const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+      const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+      if (sampleRate && totalSamples) {
+        metadata.duration = totalSamples / sampleRate;
+      }
+    } else if (type === 4) {
+      metadata = { ...parseVorbisComments(await reader.read(offset + 4, length)), ...metadata };
+    }
+
+    offset += 4 + length;
+  }
+
+  return metadata;
+}
+
+/**
+ * Iterate the atoms in an MP4 buffer
+ * @param {Buffer} buffer - Buffer holding consecutive atoms
+ * @returns {Array<Object>} - { type, data } for each atom
+ */
+function listAtoms(buffer) {
+  const atoms = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerLength = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = buffer.length - offset;
+    }
+    if (size < headerLength) break;
+
+    atoms.push({ type, data: buffer.subarray(offset + headerLength, offset + size) });
+    offset += size;
+  }
+
+  return atoms;
+}
+
+/**
+ * Find a child atom by path ('udta', 'meta', ...)
+ * @param {Buffer} buffer - Buffer holding consecutive atoms
+ * @param {Array<string>} types - Atom types to descend through
+ * @returns {Buffer|null} - Content of the last atom in the path
+ */
+function findAtom(buffer, types) {
+  let current = buffer;
+  for (const type of types) {
+    const atom = listAtoms(current).find(candidate => candidate.type === type);
+    if (!atom) return null;
+    // 'meta' is a full atom: 4 bytes of version/flags before its children
+    current = type === 'meta' ? atom.data.subarray(4) : atom.data;
+  }
+  return current;
+}
+
+/**
+ * Read M4A (MP4) tags and duration
+ * @param {Object} reader - File reader from openReader()
+ * @returns {Promise<Object>} - Metadata
+ */
+async function readMp4(reader) {
+  const metadata = {};
+
+  // Walk top-level atoms to find 'moov' (it may follow the media data)
+  let offset = 0;
+  let moov = null;
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    if (size === 1) size = Number(header.readBigUInt64BE(8));
+    if (size === 0) size = reader.size - offset;
+    if (size < 8) break;
+
+    if (type === 'moov') {
+      moov = (await reader.read(offset + 8, size - 8));
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) return metadata;
+
+  // Movie header: duration in timescale units
+  const mvhd = findAtom(moov, ['mvhd']);
+  if (mvhd) {
+    const version = mvhd[0];
+    const timescale = mvhd.readUInt32BE(version === 1 ? 20 : 12);
+    const duration = version === 1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+    if (timescale) metadata.duration = duration / timescale;
+  }
+
+  const ilst = findAtom(moov, ['udta', 'meta', 'ilst']);
+  if (!ilst) return metadata;
+
+  listAtoms(ilst).forEach(item => {
+    const children = listAtoms(item.data);
+    const data = children.find(child => child.type === 'data')?.data;
+    if (!data) return;
+    // 'data' content: 4-byte type indicator, 4-byte locale, then the value
+    const value = data.subarray(8);
+
+    if (item.type === 'trkn' && value.length >= 4) {
+      metadata.trackNumber = String(value.readUInt16BE(2));
+    } else if (item.type === '----') {
+      // Freeform iTunes atoms carry ISRC and label
+      const name = children.find(child => child.type === 'name')?.data.subarray(4).toString('utf8');
+      const key = VORBIS_FIELDS[(name || '').toUpperCase()];
+      if (key) metadata[key] = value.toString('utf8').trim();
+    } else if (MP4_ATOMS[item.type]) {
+      metadata[MP4_ATOMS[item.type]] = value.toString('utf8').trim();
+    }
+  });
+
+  return metadata;
+}
+
+/**
+ * Read WAV tags (RIFF INFO or an embedded ID3v2 chunk) and duration
+ * @param {Object} reader - File reader from openReader()
+ * @returns {Promise<Object>} - Metadata
+ */
+async function readWav(reader) {
+  let metadata = {};
+  let byteRate = null;
+  let dataSize = null;
+  const riff = await reader.read(0, 12);
+  if (riff.toString('latin1', 0, 4) !== 'RIFF' || riff.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  let offset = 12;
+
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 8);
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+
+    if (id === 'fmt ') {
+      byteRate = (await reader.read(offset + 8, 16)).readUInt32LE(8);
+    } else if (id === 'data') {
+      dataSize = Math.min(size, reader.size - offset - 8);
+    } else if (id === 'LIST') {
+      const list = await reader.read(offset + 8, size);
+      if (list.toString('latin1', 0, 4) === 'INFO') {
+        let infoOffset = 4;
+        while (infoOffset + 8 <= list.length) {
+          const infoId = list.toString('latin1', infoOffset, infoOffset + 4);
+          const infoSize = list.readUInt32LE(infoOffset + 4);
+          const key = RIFF_INFO[infoId];
+          const value = list.toString('utf8', infoOffset + 8, infoOffset + 8 + infoSize).replace(/\u0000/g, '').trim();
+          if (key && value && !metadata[key]) metadata[key] = value;
+          infoOffset += 8 + infoSize + (infoSize % 2);
+        }
+      }
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      const id3 = await readId3At(reader, offset + 8);
+      // ID3 tags are richer than INFO chunks (ISRC, composer), so they win
+      if (id3) metadata = { ...metadata, ...id3.metadata };
+    }
+
+    offset += 8 + size + (size % 2); // Chunks are word aligned
+  }
+
+  if (byteRate && dataSize) {
+    metadata.duration = dataSize / byteRate;
+  }
+  return metadata;
+}
+
+// File extension -> reader
+const READERS = {
+  '.mp3': readMp3,
+  '.flac': readFlac,
+  '.m4a': readMp4,
+  '.wav': readWav,
+};
+
+/**
+ * Read tags and duration from an audio file
+ * @param {string} filePath - Path to an MP3, FLAC, M4A or WAV file
+ * @returns {Promise<Object>} - { title, artist, album, date, trackNumber, composer, genre, isrc, label, duration }
+ *   (keys only present when found; duration in whole seconds)
+ */
+async function readAudioMetadata(filePath) {
+  const readFormat = READERS[path.extname(filePath).toLowerCase()];
+  if (!readFormat) {
+    throw new Error(`Unsupported audio format: ${filePath}`);
+  }
+
+  const reader = await openReader(filePath);
+  try {
+    const metadata = await readFormat(reader);
+
+    // Fall back to the tagged length when the stream didn't give a duration
+    if (!metadata.duration && metadata.lengthMs) {
+      metadata.duration = parseInt(metadata.lengthMs) / 1000;
+    }
+    delete metadata.lengthMs;
+
+    if (metadata.duration) {
+      metadata.duration = Math.round(metadata.duration);
+    }
+    if (metadata.trackNumber) {
+      // '3/12' -> 3
+      metadata.trackNumber = parseInt(metadata.trackNumber) || undefined;
+    }
+
+    return metadata;
+  } finally {
+    await reader.close();
+  }
+}
+
+module.exports = {
+  readAudioMetadata,
+  SUPPORTED_EXTENSIONS: Object.keys(READERS),
+};
@@ -0,0 +1,35 @@
+/**
+ * Bounded Concurrency Helpers
+ *
+ * Runs async work over a list with a fixed number of workers, so callers can
+ * parallelise without flooding an API.
+ *
+ * Dependencies: None
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result; should handle its own errors
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,108 @@
+/**
+ * CSV Helpers
+ *
+ * Minimal RFC 4180 parsing and writing for spreadsheet exports: quoted fields,
+ * escaped quotes, line breaks inside quotes, a UTF-8 BOM and comma, semicolon
+ * or tab delimiters (detected from the header line).
+ *
+ * Dependencies: None
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line, ignoring quoted text
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter character
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field delimiter (detected when omitted)
+ * @returns {Array<Object>} - { line, values } per non-empty row; line is 1-based
+ */
+function parseCsv(text, options = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const rows = [];
+
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(field);
+    // Blank lines (or rows of empty cells) carry nothing to import
+    if (values.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRow();
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+
+  return rows;
+}
+
+/**
+ * Format rows as CSV text
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function stringifyCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  stringifyCsv,
+  detectDelimiter,
+};
@@ -0,0 +1,25 @@
+/**
+ * Duration Helpers
+ *
+ * Converts the ISO 8601 durations some APIs return (YouTube, Tidal) into
+ * the seconds used by normalized track data.
+ *
+ * Dependencies: None
+ */
+
+/**
+ * Convert an ISO 8601 duration (PT1H2M3S) to seconds
+ * @param {string} isoDuration - ISO 8601 duration
+ * @returns {number|null} - Duration in seconds, or null if it can't be parsed
+ */
+function parseIsoDuration(isoDuration) {
+  const match = isoDuration && isoDuration.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+  if (!match) return null;
+
+  const [, days, hours, minutes, seconds] = match.map(value => parseFloat(value || '0'));
+  return Math.round(days * 86400 + hours * 3600 + minutes * 60 + seconds);
+}
+
+module.exports = {
+  parseIsoDuration,
+};
@@ -0,0 +1,42 @@
+/**
+ * Text Normalization Helpers
+ *
+ * Shared helpers for comparing track titles and artists across services,
+ * where casing, accents and punctuation often differ for the same recording.
+ *
+ * Dependencies: None
+ */
+
+/**
+ * Normalize text for matching: lowercase, strip accents and punctuation, collapse spaces
+ * @param {string} value - Text to normalize
+ * @returns {string} - Normalized text ('' for empty input)
+ */
+function normalizeText(value) {
+  if (!value) return '';
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Build the title/artist matching key for a track
+ * @param {string} title - Track title
+ * @param {string} artist - Track artist
+ * @returns {string|null} - Key or null if either part is missing
+ */
+function getTitleArtistKey(title, artist) {
+  const normalizedTitle = normalizeText(title);
+  const normalizedArtist = normalizeText(artist);
+  if (!normalizedTitle || !normalizedArtist) return null;
+  return `${normalizedTitle}:${normalizedArtist}`;
+}
+
+module.exports = {
+  normalizeText,
+  getTitleArtistKey,
+};
@@ -0,0 +1,84 @@
+/**
+ * Token Bucket Rate Limiter
+ *
+ * Spaces out calls to an API so they stay within a requests-per-second budget,
+ * while allowing short bursts. Shared by any client that talks to a rate-limited API.
+ *
+ * Dependencies: None
+ */
+
+/**
+ * Create a token bucket rate limiter
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Sustained request rate
+ * @param {number} [options.burst] - Maximum requests allowed back to back (defaults to the rate)
+ * @returns {Object} - Limiter with acquire() and schedule(fn)
+ * @throws {Error} - If the rate is not a positive number, which would never release a caller
+ */
+function createRateLimiter({ requestsPerSecond, burst = Math.max(1, Math.floor(requestsPerSecond)) }) {
+  if (!Number.isFinite(requestsPerSecond) || requestsPerSecond <= 0) {
+    throw new Error(`Rate limiter needs a positive requestsPerSecond, got ${requestsPerSecond}`);
+  }
+
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let timer = null;
+  const waiting = [];
+
+  /**
+   * Add tokens for the time elapsed since the last refill
+   */
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+    lastRefill = now;
+  }
+
+  /**
+   * Release as many waiting callers as there are tokens, then wait for the next one
+   */
+  function drain() {
+    timer = null;
+    refill();
+
+    while (waiting.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      waiting.shift()();
+    }
+
+    if (waiting.length > 0) {
+      const waitMs = Math.ceil(((1 - tokens) / requestsPerSecond) * 1000);
+      timer = setTimeout(drain, waitMs);
+    }
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} - Resolves when the caller may make its request
+   */
+  function acquire() {
+    return new Promise(resolve => {
+      waiting.push(resolve);
+      if (!timer) drain();
+    });
+  }
+
+  /**
+   * Run a function once a token is available
+   * @param {Function} fn - Async function making the request
+   * @returns {Promise<*>} - Result of fn
+   */
+  async function schedule(fn) {
+    await acquire();
+    return fn();
+  }
+
+  return {
+    acquire,
+    schedule,
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
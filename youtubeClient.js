@@ -0,0 +1,358 @@
+/**
+ * YouTube API Client
+ *
+ * Handles YouTube Data API interactions for playlist fetching, covering both
+ * YouTube and YouTube Music playlists (they share playlist IDs). Video names
+ * are parsed into artist and title, since YouTube has no track metadata.
+ *
+ * Dependencies: config.js, endpoints.js, utils/logger.js, utils/apiRequest.js, utils/duration.js
+ * API Docs: https://developers.google.com/youtube/v3/docs
+ */
+
+const config = require('./config');
+const { YOUTUBE } = require('./endpoints');
+const logger = require('./utils/logger');
+const { apiRequest } = require('./utils/apiRequest');
+const { parseIsoDuration } = require('./utils/duration');
+
+// playlistItems and videos both cap page size at 50
+const PAGE_SIZE = 50;
+
+// Placeholder titles YouTube uses for videos that can no longer be played, with the Unavailable Reason for each
+const UNAVAILABLE_REASONS = {
+  'Deleted video': 'Video was deleted',
+  'Private video': 'Video is private',
+};
+
+// Decorations stripped from video names before parsing ("(Official Video)", "[Lyrics]", ...)
+const TITLE_NOISE = /\s*[([](?:official\s*)?(?:music\s*|lyric\s*)?(?:video|audio|visualizer|lyrics?|hd|hq|4k)[)\]]/gi;
+
+// Separators between artist and title in "Artist - Title" names
+const ARTIST_TITLE_SEPARATOR = /\s+[-–—|]\s+/;
+
+/**
+ * Get the API base URL (a local mock server when configured)
+ * @returns {string} - Base URL
+ */
+function getBaseUrl() {
+  return config.youtube.apiBaseUrl || YOUTUBE.BASE_URL;
+}
+
+/**
+ * Make a request to the YouTube Data API
+ * Quota and key problems (400, 403, 404) fail at once; retrying only burns more quota.
+ * @param {string} url - API endpoint URL
+ * @param {Object} params - Query parameters (the API key is added automatically)
+ * @returns {Promise<Object>} - API response data
+ */
+async function youtubeRequest(url, params = {}) {
+  if (!config.youtube.apiKey) {
+    throw new Error('YouTube API key not configured (YOUTUBE_API_KEY)');
+  }
+
+  return apiRequest(`${url}?${new URLSearchParams(params)}`, {
+    service: 'YouTube',
+    query: { key: config.youtube.apiKey },
+    permanentStatuses: [400, 403, 404],
+  });
+}
+
+/**
+ * Get a playlist's title, description, owner channel and item count
+ * @param {string} playlistId - YouTube playlist ID (same for YouTube Music)
+ * @returns {Promise<Object>} - Playlist metadata (no change marker, so the playlist is always re-read)
+ */
+async function getPlaylist(playlistId) {
+  try {
+    // YouTube Playlists: list https://developers.google.com/youtube/v3/docs/playlists/list
+    const data = await youtubeRequest(YOUTUBE.PLAYLISTS(getBaseUrl()), {
+      part: 'snippet,contentDetails',
+      id: playlistId,
+    });
+
+    const playlist = data.items?.[0];
+    if (!playlist) {
+      throw new Error(`Playlist ${playlistId} not found`);
+    }
+
+    logger.debug(`Retrieved YouTube playlist`, {
+      playlistId,
+      name: playlist.snippet.title,
+      trackCount: playlist.contentDetails.itemCount,
+    });
+
+    // YouTube exposes no change marker for playlist items, so it is always re-read
+    return {
+      id: playlist.id,
+      name: playlist.snippet.title,
+      description: playlist.snippet.description || '',
+      trackCount: playlist.contentDetails.itemCount,
+      url: YOUTUBE.PLAYLIST_PAGE(playlist.id),
+      curatorName: playlist.snippet.channelTitle,
+    };
+  } catch (error) {
+    logger.error(`Failed to get YouTube playlist ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get video details (duration, publish date) for a batch of videos
+ * @param {Array<string>} videoIds - Up to 50 video IDs
+ * @returns {Promise<Map>} - Video ID -> video resource
+ */
+async function getVideos(videoIds) {
+  const videos = new Map();
+  if (videoIds.length === 0) return videos;
+
+  // YouTube Videos: list https://developers.google.com/youtube/v3/docs/videos/list
+  const data = await youtubeRequest(YOUTUBE.VIDEOS(getBaseUrl()), {
+    part: 'snippet,contentDetails',
+    id: videoIds.join(','),
+    maxResults: String(PAGE_SIZE),
+  });
+
+  (data.items || []).forEach(video => videos.set(video.id, video));
+  return videos;
+}
+
+/**
+ * Get every video in a playlist, 50 items per page, with durations from the videos endpoint
+ * @param {string} playlistId - YouTube playlist ID
+ * @returns {Promise<Array>} - Normalized track data, deleted and private videos flagged Unavailable
+ */
+async function getPlaylistTracks(playlistId) {
+  try {
+    const tracks = [];
+
+    // Look up the playlist name once rather than once per track
+    let playlistName;
+    try {
+      playlistName = (await getPlaylist(playlistId)).name;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      playlistName = playlistId;
+    }
+    let pageToken = null;
+
+    do {
+      // YouTube PlaylistItems: list https://developers.google.com/youtube/v3/docs/playlistItems/list
+      const data = await youtubeRequest(YOUTUBE.PLAYLIST_ITEMS(getBaseUrl()), {
+        part: 'snippet,contentDetails',
+        playlistId,
+        maxResults: String(PAGE_SIZE),
+        ...(pageToken && { pageToken }),
+      });
+
+      const items = (data.items || []).filter(item => item.contentDetails?.videoId);
+
+      // Durations only come from the videos endpoint, one batch per page
+      // (deleted and private videos stay in playlists but the endpoint doesn't return them)
+      const videos = await getVideos(items
+        .filter(item => !UNAVAILABLE_REASONS[item.snippet?.title])
+        .map(item => item.contentDetails.videoId));
+
+      for (const item of items) {
+        const video = videos.get(item.contentDetails.videoId);
+        const trackData = await processTrackData({ ...item, video }, playlistId, playlistName);
+        trackData.addedAt = item.snippet.publishedAt || null;
+        tracks.push(trackData);
+      }
+
+      pageToken = data.nextPageToken || null;
+
+      logger.debug(`Processed YouTube playlist page`, {
+        playlistId,
+        pageItems: data.items?.length || 0,
+        totalSoFar: tracks.length,
+        hasMore: !!pageToken,
+      });
+    } while (pageToken);
+
+    logger.info(`Retrieved all YouTube playlist tracks`, {
+      playlistId,
+      totalTracks: tracks.length,
+    });
+
+    return tracks;
+  } catch (error) {
+    logger.error(`Failed to get YouTube playlist tracks ${playlistId}: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Split a video name into artist and title
+ * @param {string} videoTitle - Video name (e.g. "Artist - Title (Official Video)")
+ * @param {string} channelTitle - Uploading channel name
+ * @returns {Object} - { artist, title }
+ */
+function parseVideoTitle(videoTitle, channelTitle) {
+  const cleanTitle = (videoTitle || '').replace(TITLE_NOISE, '').trim();
+
+  // YouTube Music auto-generated "Artist - Topic" channels name the video after the song
+  const topicArtist = channelTitle && channelTitle.endsWith(' - Topic')
+    ? channelTitle.slice(0, -' - Topic'.length)
+    : null;
+  if (topicArtist) {
+    return { artist: topicArtist, title: cleanTitle };
+  }
+
+  const parts = cleanTitle.split(ARTIST_TITLE_SEPARATOR);
+  if (parts.length >= 2 && parts[0] && parts[1]) {
+    return {
+      artist: parts[0].trim(),
+      title: parts.slice(1).join(' - ').replace(/^["']|["']$/g, '').trim(),
+    };
+  }
+
+  // No separator: the channel is the best guess for the artist
+  return { artist: channelTitle || null, title: cleanTitle };
+}
+
+/**
+ * Process a playlist item into normalized format
+ * @param {Object} item - YouTube playlistItem resource, with its video resource as `video`
+ * @param {string} playlistId - Source playlist ID
+ * @param {string} [playlistName] - Source playlist name (looked up if omitted)
+ * @returns {Promise<Object>} - Normalized track data
+ */
+async function processTrackData(item, playlistId, playlistName) {
+  const missingFields = [];
+  const videoId = item.contentDetails?.videoId || item.snippet?.resourceId?.videoId;
+  const snippet = item.video?.snippet || item.snippet;
+  // videoOwnerChannelTitle is the uploader; channelTitle on a playlist item is the playlist owner
+  const channelTitle = item.snippet?.videoOwnerChannelTitle || item.video?.snippet?.channelTitle;
+  const unavailableReason = item.video ? null : UNAVAILABLE_REASONS[snippet.title];
+  // A placeholder title says nothing about the recording, so it must never overwrite the real one
+  const { artist, title } = unavailableReason ? {} : parseVideoTitle(snippet.title, channelTitle);
+
+  // Basic track information
+  const trackData = {
+    source: 'YouTube',
+    sourceId: videoId,
+    title,
+    url: YOUTUBE.WATCH(videoId),
+    duration: parseIsoDuration(item.video?.contentDetails?.duration),
+    // Deleted and private videos are kept, flagged, so cleanup doesn't mark their pages removed
+    unavailable: Boolean(unavailableReason),
+  };
+
+  if (unavailableReason) {
+    trackData.unavailableReason = unavailableReason;
+  }
+
+  if (trackData.duration === null) {
+    missingFields.push('duration');
+  }
+
+  // Artist information
+  if (artist) {
+    trackData.artist = artist;
+    trackData.performedBy = artist;
+  } else {
+    missingFields.push('artist');
+  }
+
+  // Release date (when the video was published)
+  const publishedAt = item.contentDetails?.videoPublishedAt || item.video?.snippet?.publishedAt;
+  if (publishedAt) {
+    trackData.releaseDate = publishedAt.split('T')[0];
+  } else {
+    missingFields.push('releaseDate');
+  }
+
+  // Playlist information - will be set by orchestrator
+  trackData.type = 'Source'; // Default, will be overridden by orchestrator
+
+  // Get playlist name for reference with service prefix
+  if (playlistName) {
+    trackData.playlist = `YouTube - ${playlistName}`;
+  } else {
+    try {
+      const playlist = await getPlaylist(playlistId);
+      trackData.playlist = `YouTube - ${playlist.name}`;
+    } catch (error) {
+      logger.warn(`Could not get playlist name for ${playlistId}, using ID`, error);
+      trackData.playlist = `YouTube - ${playlistId}`;
+    }
+  }
+
+  // Log metadata gaps (YouTube never has ISRC, album or label)
+  if (missingFields.length > 0) {
+    logger.metadataGap(videoId, 'YouTube', missingFields);
+  }
+
+  return trackData;
+}
+
+/**
+ * Extract playlist ID from a YouTube or YouTube Music URL
+ * @param {string} url - Playlist URL (youtube.com or music.youtube.com)
+ * @returns {string|null} - Playlist ID or null if invalid
+ */
+function extractPlaylistId(url) {
+  const regex = /youtube\.com\/playlist\?(?:.*&)?list=([a-zA-Z0-9_-]+)/;
+  const match = url.match(regex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract video ID from a YouTube or YouTube Music URL
+ * @param {string} url - Video URL
+ * @returns {string|null} - Video ID or null if invalid
+ */
+function extractTrackId(url) {
+  if (!url) return null;
+  const watchRegex = /youtube\.com\/watch\?(?:.*&)?v=([a-zA-Z0-9_-]{11})/;
+  const shortRegex = /youtu\.be\/([a-zA-Z0-9_-]{11})/;
+
+  const match = url.match(watchRegex) || url.match(shortRegex);
+  return match ? match[1] : null;
+}
+
+/**
+ * Recognise a youtube.com / music.youtube.com playlist link, or a watch or youtu.be video link
+ * @param {string} url - Pasted link
+ * @returns {Object|null} - { type: 'playlist'|'track', id } or null for other links
+ */
+function parseUrl(url) {
+  if (!url) return null;
+
+  const playlistId = extractPlaylistId(url);
+  if (playlistId) return { type: 'playlist', id: playlistId };
+
+  const trackId = extractTrackId(url);
+  if (trackId) return { type: 'track', id: trackId };
+
+  return null;
+}
+
+/**
+ * Check that the API key is accepted, using the cheapest read the API offers
+ * @returns {Promise<boolean>} - True when the key works and quota is left
+ */
+async function checkServiceHealth() {
+  try {
+    // videoCategories.list costs 1 quota unit
+    await youtubeRequest(YOUTUBE.VIDEO_CATEGORIES(getBaseUrl()), {
+      part: 'snippet',
+      regionCode: 'US',
+    });
+    return true;
+  } catch (error) {
+    logger.error(`YouTube service health check failed: ${error.message}`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  getPlaylist,
+  getPlaylistTracks,
+  processTrackData,
+  parseVideoTitle,
+  extractPlaylistId,
+  extractTrackId,
+  parseUrl,
+  checkServiceHealth,
+};